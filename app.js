@@ -9,6 +9,18 @@ const api = require("./routes/api");
 const Database = require("./Database/databaseClass");
 const CleanupService = require("./services/cleanupService");
 const { startCleanupCron } = require("./cleanupCron");
+const EnhancedPhotoService = require("./services/enhancedPhotoService");
+const jobQueue = require("./services/jobQueueService");
+const PhotoKeyService = require("./services/photoKeyService");
+
+// Photos can't be stored or read without the master keys
+try {
+  const keyVersion = PhotoKeyService.checkConfig();
+  console.log(`🔐 Photo master key version ${keyVersion}`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 6002;
@@ -52,7 +64,11 @@ app.use((req, res, next) => {
     );
     res.setHeader(
       "Access-Control-Allow-Headers",
-      "Access-Control-Allow-Headers, Origin, Accept, X-Requested-With, Content-Type, Access-Control-Request-Method, Access-Control-Request-Headers, Authorization"
+      "Access-Control-Allow-Headers, Origin, Accept, X-Requested-With, Content-Type, Access-Control-Request-Method, Access-Control-Request-Headers, Authorization, Upload-Offset, Upload-Length, X-Share-Key, X-Share-View"
+    );
+    res.setHeader(
+      "Access-Control-Expose-Headers",
+      "Upload-Offset, Upload-Length, Location"
     );
   }
 
@@ -73,6 +89,9 @@ const limiter = rateLimit({
     success: false,
     message: "Too many requests from this IP, please try again later.",
   },
+  // A large batch of resumable uploads is hundreds of chunk requests
+  skip: (req) =>
+    req.method === "PATCH" && req.path.startsWith("/api/photographer/uploads/"),
 });
 
 const authLimiter = rateLimit({
@@ -247,6 +266,12 @@ server.listen(PORT, async (error) => {
 
     // Start soft delete cleanup cron (runs daily at 3:00 AM)
     startCleanupCron();
+
+    // Start background job workers (upload processing)
+    new EnhancedPhotoService().registerJobs();
+    jobQueue
+      .start()
+      .catch((err) => console.error("Job queue start error:", err));
   } else {
     console.log("Error occurred, server can't start", error);
   }
@@ -1,5 +1,7 @@
 const cron = require("node-cron");
 const SoftDeleteService = require("./services/softDeleteService");
+const ResumableUploadService = require("./services/resumableUploadService");
+const PhotoVersionService = require("./services/photoVersionService");
 
 /**
  * Schedule daily cleanup of soft-deleted entities
@@ -28,6 +30,28 @@ function startCleanupCron() {
   });
 
   console.log("🔔 Cleanup cron job scheduled (daily at 3:00 AM)");
+
+  // Abandoned resumable uploads, every hour
+  const resumableUploadService = new ResumableUploadService();
+
+  cron.schedule("0 * * * *", async () => {
+    try {
+      await resumableUploadService.cleanupExpired();
+    } catch (error) {
+      console.error("❌ Resumable upload cleanup failed:", error);
+    }
+  });
+
+  // Replaced photo files past their retention period, daily at 3:30 AM
+  const photoVersionService = new PhotoVersionService();
+
+  cron.schedule("30 3 * * *", async () => {
+    try {
+      await photoVersionService.pruneExpired();
+    } catch (error) {
+      console.error("❌ Photo version cleanup failed:", error);
+    }
+  });
 }
 
 module.exports = { startCleanupCron };
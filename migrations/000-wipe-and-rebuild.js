@@ -23,6 +23,9 @@ async function wipeAndRebuild() {
     console.log("\n📋 Step 1: Deleting all vertices...");
 
     const classes = [
+      "PhotoComment",
+      "ShareLink",
+      "ProcessingJob",
       "RefreshToken",
       "Photo",
       "PhotoCollection",
@@ -49,6 +52,9 @@ async function wipeAndRebuild() {
     console.log("\n📋 Step 2: Dropping all classes...");
 
     const allClasses = [
+      "PhotoComment",
+      "ShareLink",
+      "ProcessingJob",
       "RefreshToken",
       "Photo",
       "PhotoCollection",
@@ -85,6 +91,9 @@ async function wipeAndRebuild() {
       "Photo",
       "PhotoCollection",
       "RefreshToken",
+      "ProcessingJob",
+      "ShareLink",
+      "PhotoComment",
     ];
 
     for (const className of vertexClasses) {
@@ -151,6 +160,9 @@ async function wipeAndRebuild() {
       { name: "isActive", type: "BOOLEAN" },
       { name: "createdBy", type: "STRING" },
       { name: "mustChangePassword", type: "BOOLEAN" },
+      { name: "exifStripPolicy", type: "STRING" },
+      { name: "quota", type: "EMBEDDED" },
+      { name: "defaultCollectionExpiry", type: "EMBEDDED" },
       { name: "deletedAt", type: "DATETIME" },
       { name: "scheduledDeletionDate", type: "DATETIME" },
       { name: "deletionReason", type: "STRING" },
@@ -236,9 +248,25 @@ async function wipeAndRebuild() {
       { name: "width", type: "INTEGER" },
       { name: "height", type: "INTEGER" },
       { name: "shareToken", type: "STRING" },
-      { name: "photoDataB64", type: "STRING" },
-      { name: "encryptedPhotoData", type: "STRING" },
-      { name: "thumbnailDataB64", type: "STRING" },
+      { name: "storageKey", type: "STRING" },
+      { name: "originalKey", type: "STRING" },
+      { name: "originalMimetype", type: "STRING" },
+      { name: "thumbnailKey", type: "STRING" },
+      { name: "renditions", type: "EMBEDDEDMAP STRING" },
+      { name: "exif", type: "EMBEDDED" },
+      { name: "checksum", type: "STRING" },
+      { name: "phash", type: "STRING" },
+      { name: "blurhash", type: "STRING" },
+      { name: "dominantColor", type: "STRING" },
+      { name: "mediaType", type: "STRING" },
+      { name: "duration", type: "DOUBLE" },
+      { name: "version", type: "INTEGER" },
+      { name: "versions", type: "EMBEDDEDLIST" },
+      { name: "replacedAt", type: "DATETIME" },
+      { name: "caption", type: "STRING" },
+      { name: "status", type: "STRING" },
+      { name: "processingError", type: "STRING" },
+      { name: "encryption", type: "EMBEDDED" },
       { name: "photographerId", type: "STRING" },
       { name: "createdAt", type: "DATETIME" },
       { name: "uploadedAt", type: "DATETIME" },
@@ -271,6 +299,15 @@ async function wipeAndRebuild() {
       { name: "createdAt", type: "DATETIME" },
       { name: "updatedAt", type: "DATETIME" },
       { name: "autoDeleteAt", type: "DATETIME" },
+      { name: "watermark", type: "EMBEDDED" },
+      { name: "isFinal", type: "BOOLEAN" },
+      { name: "sortMode", type: "STRING" },
+      { name: "sortDirection", type: "STRING" },
+      { name: "expiry", type: "EMBEDDED" },
+      { name: "firstSharedAt", type: "DATETIME" },
+      { name: "allowDownloads", type: "BOOLEAN" },
+      { name: "selectionLimit", type: "INTEGER" },
+      { name: "commentsReadAt", type: "DATETIME" },
       { name: "deletedAt", type: "DATETIME" },
       { name: "scheduledDeletionDate", type: "DATETIME" },
       { name: "deletionReason", type: "STRING" },
@@ -311,6 +348,89 @@ async function wipeAndRebuild() {
       }
     }
 
+    // Step 10.6: Create ProcessingJob properties
+    console.log("\n📋 Step 10.6: Creating ProcessingJob properties...");
+    const processingJobProperties = [
+      { name: "jobId", type: "STRING" },
+      { name: "type", type: "STRING" },
+      { name: "payload", type: "EMBEDDED" },
+      { name: "photographerId", type: "STRING" },
+      { name: "status", type: "STRING" },
+      { name: "attempts", type: "INTEGER" },
+      { name: "maxAttempts", type: "INTEGER" },
+      { name: "lastError", type: "STRING" },
+      { name: "runAfter", type: "DATETIME" },
+      { name: "startedAt", type: "DATETIME" },
+      { name: "createdAt", type: "DATETIME" },
+      { name: "updatedAt", type: "DATETIME" },
+    ];
+
+    for (const prop of processingJobProperties) {
+      try {
+        await db.query(
+          `CREATE PROPERTY ProcessingJob.${prop.name} ${prop.type}`
+        );
+        console.log(`   ✅ ProcessingJob.${prop.name} created`);
+      } catch (e) {
+        console.log(`   ⚠️  ProcessingJob.${prop.name} already exists`);
+      }
+    }
+
+    // Step 10.7: Create ShareLink properties
+    console.log("\n📋 Step 10.7: Creating ShareLink properties...");
+    const shareLinkProperties = [
+      { name: "linkId", type: "STRING" },
+      { name: "token", type: "STRING" },
+      { name: "collectionId", type: "STRING" },
+      { name: "photographerId", type: "STRING" },
+      { name: "label", type: "STRING" },
+      { name: "passwordHash", type: "STRING" },
+      { name: "expiresAt", type: "DATETIME" },
+      { name: "maxViews", type: "INTEGER" },
+      { name: "maxDownloads", type: "INTEGER" },
+      { name: "viewCount", type: "INTEGER" },
+      { name: "downloadCount", type: "INTEGER" },
+      { name: "mode", type: "STRING" },
+      { name: "createdAt", type: "DATETIME" },
+      { name: "revokedAt", type: "DATETIME" },
+    ];
+
+    for (const prop of shareLinkProperties) {
+      try {
+        await db.query(`CREATE PROPERTY ShareLink.${prop.name} ${prop.type}`);
+        console.log(`   ✅ ShareLink.${prop.name} created`);
+      } catch (e) {
+        console.log(`   ⚠️  ShareLink.${prop.name} already exists`);
+      }
+    }
+
+    // Step 10.8: Create PhotoComment properties
+    console.log("\n📋 Step 10.8: Creating PhotoComment properties...");
+    const photoCommentProperties = [
+      { name: "commentId", type: "STRING" },
+      { name: "collectionId", type: "STRING" },
+      { name: "photoId", type: "STRING" },
+      { name: "parentId", type: "STRING" },
+      { name: "authorType", type: "STRING" },
+      { name: "authorId", type: "STRING" },
+      { name: "authorName", type: "STRING" },
+      { name: "body", type: "STRING" },
+      { name: "createdAt", type: "DATETIME" },
+      { name: "editedAt", type: "DATETIME" },
+      { name: "deletedAt", type: "DATETIME" },
+    ];
+
+    for (const prop of photoCommentProperties) {
+      try {
+        await db.query(
+          `CREATE PROPERTY PhotoComment.${prop.name} ${prop.type}`
+        );
+        console.log(`   ✅ PhotoComment.${prop.name} created`);
+      } catch (e) {
+        console.log(`   ⚠️  PhotoComment.${prop.name} already exists`);
+      }
+    }
+
     // Step 11: Create indexes
     console.log("\n📋 Step 11: Creating indexes...");
 
@@ -326,14 +446,22 @@ async function wipeAndRebuild() {
       { class: "Guest", field: "username", unique: true },
       { class: "Photo", field: "photoId", unique: true },
       { class: "Photo", field: "shareToken", unique: true },
+      { class: "Photo", field: "checksum", unique: false },
       { class: "PhotoCollection", field: "collectionId", unique: true },
       { class: "RefreshToken", field: "token", unique: true },
       { class: "RefreshToken", field: "sessionId", unique: true },
+      { class: "ProcessingJob", field: "jobId", unique: true },
+      { class: "ProcessingJob", field: "status", unique: false },
+      { class: "ShareLink", field: "linkId", unique: true },
+      { class: "ShareLink", field: "token", unique: true },
+      { class: "ShareLink", field: "collectionId", unique: false },
+      { class: "PhotoComment", field: "commentId", unique: true },
+      { class: "PhotoComment", field: "collectionId", unique: false },
     ];
 
     for (const idx of indexes) {
       try {
-        const uniqueStr = idx.unique ? "UNIQUE" : "";
+        const uniqueStr = idx.unique ? "UNIQUE" : "NOTUNIQUE";
         await db.query(`CREATE INDEX ${idx.class}.${idx.field} ${uniqueStr}`);
         console.log(`   ✅ ${idx.class}.${idx.field} index created`);
       } catch (e) {
@@ -0,0 +1,164 @@
+const Database = require("../Database/databaseClass");
+const StorageService = require("../services/storageService");
+require("dotenv").config();
+
+/**
+ * Move photo binaries out of OrientDB into blob storage
+ *
+ * For every Photo that still carries photoDataB64 / thumbnailDataB64:
+ * 1. Decode the base64 and write it to the configured storage driver
+ * 2. Set storageKey / thumbnailKey on the record
+ * 3. Remove photoDataB64, thumbnailDataB64 and encryptedPhotoData
+ *
+ * Photos are processed one at a time so large libraries don't have to fit
+ * in memory. Safe to re-run: already migrated photos are skipped.
+ */
+class MovePhotoDataToStorageMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.storage = new StorageService();
+  }
+
+  async run() {
+    console.log("🚀 Starting photo data → blob storage migration...\n");
+    console.log(`📦 Storage driver: ${this.storage.driverName}\n`);
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      // Add the new key properties
+      for (const prop of ["storageKey", "thumbnailKey"]) {
+        try {
+          await db.query(`CREATE PROPERTY Photo.${prop} STRING`);
+          console.log(`   ✅ Added Photo.${prop}`);
+        } catch (error) {
+          console.log(`   ⚠️  Photo.${prop} already exists`);
+        }
+      }
+
+      // Only fetch ids here - the base64 payloads are loaded one by one below
+      const pending = await db.query(
+        `SELECT photoId, photographerId FROM Photo
+         WHERE storageKey IS NULL
+         AND (photoDataB64 IS NOT NULL OR thumbnailDataB64 IS NOT NULL)`
+      );
+
+      console.log(`\n📸 Found ${pending.length} photos to migrate\n`);
+
+      let migrated = 0;
+      let failed = 0;
+
+      for (const { photoId, photographerId } of pending) {
+        try {
+          const rows = await db.query(
+            `SELECT photoDataB64, thumbnailDataB64 FROM Photo WHERE photoId = :photoId`,
+            { params: { photoId } }
+          );
+          const photo = rows[0];
+          const owner = photographerId || "unassigned";
+
+          const storageKey = StorageService.photoKey(owner, photoId, "full");
+          const thumbnailKey = StorageService.photoKey(
+            owner,
+            photoId,
+            "thumbnail"
+          );
+
+          if (photo.photoDataB64) {
+            await this.storage.putObject(
+              storageKey,
+              Buffer.from(photo.photoDataB64, "base64"),
+              { contentType: "image/jpeg" }
+            );
+          }
+
+          if (photo.thumbnailDataB64) {
+            await this.storage.putObject(
+              thumbnailKey,
+              Buffer.from(photo.thumbnailDataB64, "base64"),
+              { contentType: "image/jpeg" }
+            );
+          }
+
+          await db.query(
+            `UPDATE Photo SET storageKey = :storageKey, thumbnailKey = :thumbnailKey
+             WHERE photoId = :photoId`,
+            {
+              params: {
+                photoId,
+                storageKey: photo.photoDataB64 ? storageKey : null,
+                thumbnailKey: photo.thumbnailDataB64 ? thumbnailKey : null,
+              },
+            }
+          );
+
+          await db.query(
+            `UPDATE Photo REMOVE photoDataB64, thumbnailDataB64, encryptedPhotoData
+             WHERE photoId = :photoId`,
+            { params: { photoId } }
+          );
+
+          migrated++;
+          console.log(`   ✅ ${photoId} → ${storageKey}`);
+        } catch (error) {
+          failed++;
+          console.error(`   ❌ Failed to migrate ${photoId}:`, error.message);
+        }
+      }
+
+      // Drop the old schema properties once nothing references them
+      if (failed === 0) {
+        for (const prop of [
+          "photoDataB64",
+          "thumbnailDataB64",
+          "encryptedPhotoData",
+        ]) {
+          try {
+            await db.query(`DROP PROPERTY Photo.${prop}`);
+            console.log(`   🗑️  Dropped Photo.${prop}`);
+          } catch (error) {
+            console.log(`   ⚠️  Photo.${prop} not defined, skipping`);
+          }
+        }
+      }
+
+      console.log(
+        `\n✅ Migration finished: ${migrated} migrated, ${failed} failed`
+      );
+      if (failed > 0) {
+        console.log("⚠️  Re-run the migration to retry the failed photos");
+      }
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new MovePhotoDataToStorageMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = MovePhotoDataToStorageMigration;
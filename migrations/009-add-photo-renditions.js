@@ -0,0 +1,62 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add Photo.renditions (rendition name -> storage key)
+ *
+ * Existing photos are not re-processed here: missing renditions are
+ * generated on first request by GET /api/photos/:photoId/rendition/:size.
+ */
+class AddPhotoRenditionsMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting photo renditions migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      try {
+        await db.query(`CREATE PROPERTY Photo.renditions EMBEDDEDMAP STRING`);
+        console.log("   ✅ Added Photo.renditions");
+      } catch (error) {
+        console.log("   ⚠️  Photo.renditions already exists");
+      }
+
+      console.log("\n✅ Renditions migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddPhotoRenditionsMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddPhotoRenditionsMigration;
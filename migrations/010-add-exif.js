@@ -0,0 +1,68 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add EXIF support
+ * - Photo.exif: capture data (camera, lens, exposure, capture time, orientation)
+ * - Photographer.exifStripPolicy: keep | private | all (unset = private)
+ */
+class AddExifMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting EXIF migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const properties = [
+        { name: "Photo.exif", type: "EMBEDDED" },
+        { name: "Photographer.exifStripPolicy", type: "STRING" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      console.log("\n✅ EXIF migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddExifMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddExifMigration;
@@ -0,0 +1,68 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add per-collection proof watermarks
+ * - PhotoCollection.watermark: text/logo watermark config (unset = none)
+ * - PhotoCollection.isFinal: final collections are delivered un-watermarked
+ */
+class AddCollectionWatermarkMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting collection watermark migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const properties = [
+        { name: "PhotoCollection.watermark", type: "EMBEDDED" },
+        { name: "PhotoCollection.isFinal", type: "BOOLEAN" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      console.log("\n✅ Collection watermark migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddCollectionWatermarkMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddCollectionWatermarkMigration;
@@ -0,0 +1,71 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Keep uploads byte-for-byte next to the web version
+ * - Photo.originalKey: storage key of the upload as received
+ *   (same as storageKey when the upload was stored unchanged)
+ * - Photo.originalMimetype: its real type (HEIC, TIFF, ...)
+ *
+ * Older photos only have the web version; downloads fall back to it.
+ */
+class AddOriginalFilesMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting original files migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const properties = [
+        { name: "Photo.originalKey", type: "STRING" },
+        { name: "Photo.originalMimetype", type: "STRING" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      console.log("\n✅ Original files migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddOriginalFilesMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddOriginalFilesMigration;
@@ -0,0 +1,77 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add duplicate detection hashes
+ * - Photo.checksum: SHA-256 of the uploaded file (indexed)
+ * - Photo.phash: 64-bit perceptual hash, hex
+ *
+ * Photos uploaded before this aren't hashed and never match.
+ */
+class AddPhotoHashesMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting photo hashes migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const properties = [
+        { name: "Photo.checksum", type: "STRING" },
+        { name: "Photo.phash", type: "STRING" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      try {
+        await db.query(`CREATE INDEX Photo.checksum NOTUNIQUE`);
+        console.log(`   ✅ Photo.checksum index created`);
+      } catch (error) {
+        console.log(`   ⚠️  Photo.checksum index already exists`);
+      }
+
+      console.log("\n✅ Photo hashes migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddPhotoHashesMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddPhotoHashesMigration;
@@ -0,0 +1,105 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add the background job queue
+ * - ProcessingJob class: persistent jobs for services/jobQueueService.js
+ * - Photo.status: 'processing' until the photo.process job has built the
+ *   web version and renditions, then 'ready' (or 'failed')
+ * - Photo.processingError: why processing failed
+ *
+ * Photos uploaded before this have no status and count as ready.
+ */
+class AddProcessingJobsMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting processing jobs migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      try {
+        await db.query(`CREATE CLASS ProcessingJob EXTENDS V`);
+        console.log(`   ✅ Created class ProcessingJob`);
+      } catch (error) {
+        console.log(`   ⚠️  ProcessingJob class already exists`);
+      }
+
+      const properties = [
+        { name: "ProcessingJob.jobId", type: "STRING" },
+        { name: "ProcessingJob.type", type: "STRING" },
+        { name: "ProcessingJob.payload", type: "EMBEDDED" },
+        { name: "ProcessingJob.photographerId", type: "STRING" },
+        { name: "ProcessingJob.status", type: "STRING" },
+        { name: "ProcessingJob.attempts", type: "INTEGER" },
+        { name: "ProcessingJob.maxAttempts", type: "INTEGER" },
+        { name: "ProcessingJob.lastError", type: "STRING" },
+        { name: "ProcessingJob.runAfter", type: "DATETIME" },
+        { name: "ProcessingJob.startedAt", type: "DATETIME" },
+        { name: "ProcessingJob.createdAt", type: "DATETIME" },
+        { name: "ProcessingJob.updatedAt", type: "DATETIME" },
+        { name: "Photo.status", type: "STRING" },
+        { name: "Photo.processingError", type: "STRING" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      const indexes = [
+        { name: "ProcessingJob.jobId", type: "UNIQUE" },
+        { name: "ProcessingJob.status", type: "NOTUNIQUE" },
+      ];
+
+      for (const index of indexes) {
+        try {
+          await db.query(`CREATE INDEX ${index.name} ${index.type}`);
+          console.log(`   ✅ ${index.name} index created`);
+        } catch (error) {
+          console.log(`   ⚠️  ${index.name} index already exists`);
+        }
+      }
+
+      console.log("\n✅ Processing jobs migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddProcessingJobsMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddProcessingJobsMigration;
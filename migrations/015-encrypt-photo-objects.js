@@ -0,0 +1,121 @@
+const Database = require("../Database/databaseClass");
+const StorageService = require("../services/storageService");
+require("dotenv").config();
+
+/**
+ * Encrypt stored photo bytes at rest
+ * - Photo.encryption: the photo's data key, wrapped by a master key
+ *   ({ keyVersion, wrappedKey }, see services/photoKeyService.js)
+ * - Every object of every photo (original, web version, thumbnail,
+ *   renditions) is rewritten encrypted with that key
+ *
+ * Needs PHOTO_MASTER_KEYS. Photos are processed one at a time; safe to
+ * re-run, objects that are already encrypted are skipped.
+ */
+class EncryptPhotoObjectsMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.storage = new StorageService();
+  }
+
+  async run() {
+    console.log("🚀 Starting photo encryption migration...\n");
+    console.log(`📦 Storage driver: ${this.storage.driverName}\n`);
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      try {
+        await db.query(`CREATE PROPERTY Photo.encryption EMBEDDED`);
+        console.log(`   ✅ Added Photo.encryption`);
+      } catch (error) {
+        console.log(`   ⚠️  Photo.encryption already exists`);
+      }
+
+      const photos = await db.query(
+        `SELECT photoId, mimetype, originalMimetype, storageKey, originalKey,
+                thumbnailKey, renditions
+         FROM Photo`
+      );
+
+      console.log(`\n📸 Checking ${photos.length} photos\n`);
+
+      let encrypted = 0;
+      let failed = 0;
+
+      for (const photo of photos) {
+        const objects = [
+          [photo.storageKey, photo.mimetype],
+          [photo.originalKey, photo.originalMimetype || photo.mimetype],
+          [photo.thumbnailKey, "image/jpeg"],
+          ...Object.values(photo.renditions || {}).map((key) => [
+            key,
+            "image/jpeg",
+          ]),
+        ];
+        const done = new Set();
+
+        for (const [key, contentType] of objects) {
+          if (typeof key !== "string" || done.has(key)) continue;
+          done.add(key);
+
+          try {
+            // Raw bytes, as stored
+            const stored = await this.storage.driver
+              .getObject(key)
+              .catch(() => null);
+            if (!stored || StorageService.isEncrypted(stored)) continue;
+
+            // Creates and records the photo's data key on first use
+            await this.storage.putObject(key, stored, {
+              contentType: contentType || "image/jpeg",
+            });
+            encrypted++;
+            console.log(`   🔒 ${key}`);
+          } catch (error) {
+            failed++;
+            console.error(`   ❌ Failed to encrypt ${key}:`, error.message);
+          }
+        }
+      }
+
+      console.log(
+        `\n✅ Migration finished: ${encrypted} objects encrypted, ${failed} failed`
+      );
+      if (failed > 0) {
+        console.log("⚠️  Re-run the migration to retry the failed objects");
+      }
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new EncryptPhotoObjectsMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = EncryptPhotoObjectsMigration;
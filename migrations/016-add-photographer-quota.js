@@ -0,0 +1,64 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add per-photographer storage quotas
+ * - Photographer.quota: admin override { bytes, photos, updatedAt,
+ *   updatedBy }; null limits mean unlimited
+ *
+ * Photographers without an override use DEFAULT_QUOTA_BYTES and
+ * DEFAULT_QUOTA_PHOTOS (unset = unlimited).
+ */
+class AddPhotographerQuotaMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting photographer quota migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      try {
+        await db.query(`CREATE PROPERTY Photographer.quota EMBEDDED`);
+        console.log(`   ✅ Added Photographer.quota`);
+      } catch (error) {
+        console.log(`   ⚠️  Photographer.quota already exists`);
+      }
+
+      console.log("\n✅ Photographer quota migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddPhotographerQuotaMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddPhotographerQuotaMigration;
@@ -0,0 +1,108 @@
+const Database = require("../Database/databaseClass");
+const StorageService = require("../services/storageService");
+const RenditionService = require("../services/renditionService");
+require("dotenv").config();
+
+/**
+ * Add gallery placeholders
+ * - Photo.blurhash: BlurHash of the photo
+ * - Photo.dominantColor: "#rrggbb"
+ *
+ * Ready photos without one get it computed from their thumbnail (or the
+ * stored photo when there is none). Safe to re-run.
+ */
+class AddPhotoPlaceholdersMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.storage = new StorageService();
+    this.renditionService = new RenditionService();
+  }
+
+  async run() {
+    console.log("🚀 Starting photo placeholders migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const properties = [
+        { name: "Photo.blurhash", type: "STRING" },
+        { name: "Photo.dominantColor", type: "STRING" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      const photos = await db.query(
+        `SELECT photoId, storageKey, thumbnailKey FROM Photo
+         WHERE blurhash IS NULL
+         AND (status IS NULL OR status = 'ready')`
+      );
+
+      console.log(`\n📸 ${photos.length} photos need a placeholder\n`);
+
+      let added = 0;
+      let failed = 0;
+
+      for (const photo of photos) {
+        try {
+          const buffer = await this.storage.getObject(
+            photo.thumbnailKey || photo.storageKey
+          );
+          const { blurhash, dominantColor } =
+            await this.renditionService.placeholder(buffer);
+
+          await db.query(
+            `UPDATE Photo SET blurhash = :blurhash, dominantColor = :dominantColor
+             WHERE photoId = :photoId`,
+            { params: { photoId: photo.photoId, blurhash, dominantColor } }
+          );
+          added++;
+        } catch (error) {
+          console.error(`   ❌ Photo ${photo.photoId}: ${error.message}`);
+          failed++;
+        }
+      }
+
+      console.log(
+        `\n✅ Photo placeholders migration finished: ${added} added, ${failed} failed`
+      );
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddPhotoPlaceholdersMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddPhotoPlaceholdersMigration;
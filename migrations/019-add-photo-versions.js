@@ -0,0 +1,71 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add photo file versions
+ * - Photo.version: number of the current file (unset = 1)
+ * - Photo.versions: replaced files kept for rollback, with their storage
+ *   keys and expiresAt (see services/photoVersionService.js)
+ * - Photo.replacedAt: upload time of the current file, if it replaced one
+ */
+class AddPhotoVersionsMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting photo versions migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const properties = [
+        { name: "Photo.version", type: "INTEGER" },
+        { name: "Photo.versions", type: "EMBEDDEDLIST" },
+        { name: "Photo.replacedAt", type: "DATETIME" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      console.log("\n✅ Photo versions migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddPhotoVersionsMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddPhotoVersionsMigration;
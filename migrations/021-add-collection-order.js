@@ -0,0 +1,117 @@
+const Database = require("../Database/databaseClass");
+const CollectionOrderService = require("../services/collectionOrderService");
+require("dotenv").config();
+
+/**
+ * Add collection photo order
+ * - PhotoCollection.sortMode: manual (unset), uploadedAt, capturedAt or
+ *   filename
+ * - PhotoCollection.sortDirection: asc or desc (ignored for manual)
+ * - CollectionPhoto.orderIndex gets a position on every edge: collections
+ *   with missing or repeated positions are numbered in upload order, keeping
+ *   the order of the positions that were there. Safe to re-run.
+ */
+class AddCollectionOrderMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.orderService = new CollectionOrderService();
+  }
+
+  async run() {
+    console.log("🚀 Starting collection order migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const properties = [
+        { name: "PhotoCollection.sortMode", type: "STRING" },
+        { name: "PhotoCollection.sortDirection", type: "STRING" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      const collections = await db.query(
+        `SELECT collectionId FROM PhotoCollection`
+      );
+
+      console.log(`\n📁 Checking ${collections.length} collections\n`);
+
+      let renumbered = 0;
+
+      for (const { collectionId } of collections) {
+        const entries = await this.orderService.loadEntries(db, collectionId);
+        const positions = entries.map((entry) => entry.position);
+        const numbered =
+          positions.every((position) => Number.isInteger(position)) &&
+          new Set(positions).size === positions.length;
+
+        if (numbered) continue;
+
+        const ordered = CollectionOrderService.sortEntries(entries, {
+          mode: "manual",
+          direction: "asc",
+        });
+
+        for (let i = 0; i < ordered.length; i++) {
+          await db.query(
+            `UPDATE CollectionPhoto SET orderIndex = :position
+             WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+             AND in IN (SELECT FROM Photo WHERE photoId = :photoId)`,
+            {
+              params: {
+                collectionId,
+                photoId: ordered[i].photoId,
+                position: i,
+              },
+            }
+          );
+        }
+
+        console.log(`   ✅ ${collectionId}: ${ordered.length} photos numbered`);
+        renumbered++;
+      }
+
+      console.log(
+        `\n✅ Collection order migration finished: ${renumbered} collections renumbered`
+      );
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddCollectionOrderMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddCollectionOrderMigration;
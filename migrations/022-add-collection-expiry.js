@@ -0,0 +1,129 @@
+const Database = require("../Database/databaseClass");
+const { toOrientDBDateTime } = require("../utils/dateFormatter");
+require("dotenv").config();
+
+/**
+ * Add collection expiry policies
+ * - PhotoCollection.expiry: { type: never | date | afterShare, expiresAt?, days? }
+ * - PhotoCollection.firstSharedAt: first time the collection was shared,
+ *   backfilled from the earliest CollectionAccess grant
+ * - Photographer.defaultCollectionExpiry: policy for new collections
+ * Collections without a policy get { type: "date" } at their current
+ * autoDeleteAt, or { type: "never" }, so nothing is deleted earlier or
+ * later than before. Safe to re-run.
+ */
+class AddCollectionExpiryMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting collection expiry migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const properties = [
+        { name: "PhotoCollection.expiry", type: "EMBEDDED" },
+        { name: "PhotoCollection.firstSharedAt", type: "DATETIME" },
+        { name: "Photographer.defaultCollectionExpiry", type: "EMBEDDED" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      const collections = await db.query(
+        `SELECT collectionId, expiry, firstSharedAt, autoDeleteAt
+         FROM PhotoCollection
+         WHERE expiry IS NULL OR firstSharedAt IS NULL`
+      );
+
+      console.log(`\n📁 Updating ${collections.length} collections\n`);
+
+      for (const collection of collections) {
+        const { collectionId } = collection;
+
+        if (!collection.firstSharedAt) {
+          const grants = await db.query(
+            `SELECT min(grantedAt) as firstSharedAt FROM CollectionAccess
+             WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)`,
+            { params: { collectionId } }
+          );
+
+          if (grants[0]?.firstSharedAt) {
+            await db.query(
+              `UPDATE PhotoCollection SET firstSharedAt = :firstSharedAt
+               WHERE collectionId = :collectionId`,
+              {
+                params: {
+                  collectionId,
+                  firstSharedAt: toOrientDBDateTime(
+                    new Date(grants[0].firstSharedAt)
+                  ),
+                },
+              }
+            );
+          }
+        }
+
+        if (!collection.expiry) {
+          const expiry = collection.autoDeleteAt
+            ? {
+                type: "date",
+                expiresAt: new Date(collection.autoDeleteAt).toISOString(),
+              }
+            : { type: "never" };
+
+          await db.query(
+            `UPDATE PhotoCollection SET expiry = :expiry
+             WHERE collectionId = :collectionId`,
+            { params: { collectionId, expiry } }
+          );
+        }
+
+        console.log(`   ✅ ${collectionId}`);
+      }
+
+      console.log(
+        `\n✅ Collection expiry migration finished: ${collections.length} collections updated`
+      );
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddCollectionExpiryMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddCollectionExpiryMigration;
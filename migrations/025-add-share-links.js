@@ -0,0 +1,103 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add public collection share links
+ * - ShareLink class: a public link to a collection, opened by its token
+ *   without an account (see services/shareLinkService.js), with optional
+ *   password hash, expiry, view/download caps and a view or download mode
+ */
+class AddShareLinksMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting share links migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      try {
+        await db.query(`CREATE CLASS ShareLink EXTENDS V`);
+        console.log(`   ✅ Created class ShareLink`);
+      } catch (error) {
+        console.log(`   ⚠️  ShareLink class already exists`);
+      }
+
+      const properties = [
+        { name: "ShareLink.linkId", type: "STRING" },
+        { name: "ShareLink.token", type: "STRING" },
+        { name: "ShareLink.collectionId", type: "STRING" },
+        { name: "ShareLink.photographerId", type: "STRING" },
+        { name: "ShareLink.label", type: "STRING" },
+        { name: "ShareLink.passwordHash", type: "STRING" },
+        { name: "ShareLink.expiresAt", type: "DATETIME" },
+        { name: "ShareLink.maxViews", type: "INTEGER" },
+        { name: "ShareLink.maxDownloads", type: "INTEGER" },
+        { name: "ShareLink.viewCount", type: "INTEGER" },
+        { name: "ShareLink.downloadCount", type: "INTEGER" },
+        { name: "ShareLink.mode", type: "STRING" },
+        { name: "ShareLink.createdAt", type: "DATETIME" },
+        { name: "ShareLink.revokedAt", type: "DATETIME" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      const indexes = [
+        { name: "ShareLink.linkId", type: "UNIQUE" },
+        { name: "ShareLink.token", type: "UNIQUE" },
+        { name: "ShareLink.collectionId", type: "NOTUNIQUE" },
+      ];
+
+      for (const index of indexes) {
+        try {
+          await db.query(`CREATE INDEX ${index.name} ${index.type}`);
+          console.log(`   ✅ ${index.name} index created`);
+        } catch (error) {
+          console.log(`   ⚠️  ${index.name} index already exists`);
+        }
+      }
+
+      console.log("\n✅ Share links migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddShareLinksMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddShareLinksMigration;
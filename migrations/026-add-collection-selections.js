@@ -0,0 +1,71 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add client selections (proofing favorites) to collection shares
+ * - CollectionAccess.favorites: photoIds the client picked (unset = none)
+ * - CollectionAccess.favoritesUpdatedAt: last change to the favorites
+ * - CollectionAccess.selectionSubmittedAt: set when the client submits the
+ *   selection, which locks it until the photographer reopens it
+ */
+class AddCollectionSelectionsMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting collection selections migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const properties = [
+        { name: "CollectionAccess.favorites", type: "EMBEDDEDLIST" },
+        { name: "CollectionAccess.favoritesUpdatedAt", type: "DATETIME" },
+        { name: "CollectionAccess.selectionSubmittedAt", type: "DATETIME" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      console.log("\n✅ Collection selections migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddCollectionSelectionsMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddCollectionSelectionsMigration;
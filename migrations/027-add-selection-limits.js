@@ -0,0 +1,72 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add selection limits and extra-image requests
+ * - PhotoCollection.selectionLimit: how many favorites a client may submit
+ *   (unset = no limit)
+ * - CollectionAccess.extraApproved: images granted on top of the limit
+ * - CollectionAccess.extraRequest: { count, message, status, requestedAt,
+ *   decidedAt } of the client's latest request for more images
+ */
+class AddSelectionLimitsMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting selection limits migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const properties = [
+        { name: "PhotoCollection.selectionLimit", type: "INTEGER" },
+        { name: "CollectionAccess.extraApproved", type: "INTEGER" },
+        { name: "CollectionAccess.extraRequest", type: "EMBEDDED" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      console.log("\n✅ Selection limits migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddSelectionLimitsMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddSelectionLimitsMigration;
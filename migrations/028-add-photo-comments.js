@@ -0,0 +1,103 @@
+const Database = require("../Database/databaseClass");
+require("dotenv").config();
+
+/**
+ * Add photo comments
+ * - PhotoComment class: a comment on a photo within a collection (see
+ *   services/photoCommentService.js); replies point to their thread with
+ *   parentId
+ * - CollectionAccess.commentsReadAt / PhotoCollection.commentsReadAt: when
+ *   the client / photographer last read the collection's comments
+ */
+class AddPhotoCommentsMigration {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  async run() {
+    console.log("🚀 Starting photo comments migration...\n");
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      try {
+        await db.query(`CREATE CLASS PhotoComment EXTENDS V`);
+        console.log(`   ✅ Created class PhotoComment`);
+      } catch (error) {
+        console.log(`   ⚠️  PhotoComment class already exists`);
+      }
+
+      const properties = [
+        { name: "PhotoComment.commentId", type: "STRING" },
+        { name: "PhotoComment.collectionId", type: "STRING" },
+        { name: "PhotoComment.photoId", type: "STRING" },
+        { name: "PhotoComment.parentId", type: "STRING" },
+        { name: "PhotoComment.authorType", type: "STRING" },
+        { name: "PhotoComment.authorId", type: "STRING" },
+        { name: "PhotoComment.authorName", type: "STRING" },
+        { name: "PhotoComment.body", type: "STRING" },
+        { name: "PhotoComment.createdAt", type: "DATETIME" },
+        { name: "PhotoComment.editedAt", type: "DATETIME" },
+        { name: "PhotoComment.deletedAt", type: "DATETIME" },
+        { name: "PhotoCollection.commentsReadAt", type: "DATETIME" },
+        { name: "CollectionAccess.commentsReadAt", type: "DATETIME" },
+      ];
+
+      for (const prop of properties) {
+        try {
+          await db.query(`CREATE PROPERTY ${prop.name} ${prop.type}`);
+          console.log(`   ✅ Added ${prop.name}`);
+        } catch (error) {
+          console.log(`   ⚠️  ${prop.name} already exists`);
+        }
+      }
+
+      const indexes = [
+        { name: "PhotoComment.commentId", type: "UNIQUE" },
+        { name: "PhotoComment.collectionId", type: "NOTUNIQUE" },
+      ];
+
+      for (const index of indexes) {
+        try {
+          await db.query(`CREATE INDEX ${index.name} ${index.type}`);
+          console.log(`   ✅ ${index.name} index created`);
+        } catch (error) {
+          console.log(`   ⚠️  ${index.name} index already exists`);
+        }
+      }
+
+      console.log("\n✅ Photo comments migration finished");
+    } catch (error) {
+      console.error("❌ Migration failed:", error);
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const migration = new AddPhotoCommentsMigration();
+  migration
+    .run()
+    .then(() => {
+      console.log("\n🎉 Migration completed!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = AddPhotoCommentsMigration;
@@ -2,12 +2,14 @@ const express = require("express");
 const PhotographerService = require("../services/photographerService");
 const AdminService = require("../services/adminService");
 const SoftDeleteService = require("../services/softDeleteService");
+const QuotaService = require("../services/quotaService");
 const { authenticateToken } = require("../middleware/auth");
 
 const router = express.Router();
 const photographerService = new PhotographerService();
 const adminService = new AdminService();
 const softDeleteService = new SoftDeleteService();
+const quotaService = new QuotaService();
 
 // All admin routes require authentication
 router.use(authenticateToken);
@@ -62,6 +64,23 @@ router.get("/photographer/:photographerId/stats", (req, res) =>
   photographerService.getPhotographerStats(req, res)
 );
 
+// Photographer storage quota: usage and limits
+router.get("/photographer/:photographerId/quota", (req, res) =>
+  quotaService.getPhotographerQuota(req, res)
+);
+
+// Override photographer quota (bytes / photos, null = unlimited)
+router.put(
+  "/photographer/:photographerId/quota",
+  QuotaService.getQuotaValidation(),
+  (req, res) => quotaService.setPhotographerQuota(req, res)
+);
+
+// Reset photographer quota to the defaults
+router.delete("/photographer/:photographerId/quota", (req, res) =>
+  quotaService.resetPhotographerQuota(req, res)
+);
+
 // Delete photographer (optional)
 router.delete("/photographer/:photographerId", (req, res) =>
   photographerService.deletePhotographer(req, res)
@@ -6,6 +6,7 @@ const clientRoutes = require("./client");
 // const guestRoutes = require("./guest"); // REMOVED - Guest functionality disabled
 const photoRoutes = require("./photos");
 const collectionRoutes = require("./collections");
+const publicRoutes = require("./public");
 const { authenticateToken } = require("../middleware/auth");
 const eventEmitter = require("../services/eventEmitterService");
 
@@ -29,6 +30,9 @@ router.use("/client", clientRoutes);
 // Photo routes
 router.use("/photos", photoRoutes);
 
+// Public share link routes (no account)
+router.use("/public", publicRoutes);
+
 // Collection routes (photographer and client)
 router.use("/", collectionRoutes);
 
@@ -89,8 +93,13 @@ router.get("/events", authenticateToken, (req, res) => {
   res.status(200);
   res.flushHeaders(); // Forces headers to be sent, establishing the SSE connection
 
-  // Add client to event emitter
-  eventEmitter.addClient(res, role, userId);
+  // Add client to event emitter. Events name their recipients by
+  // photographerId / clientId rather than the account's userId.
+  eventEmitter.addClient(res, role, userId, [
+    req.user.photographerId,
+    req.user.clientId,
+    req.user.guestId,
+  ]);
 
   console.log(`📡 SSE connection established for ${role}: ${userId}`);
 
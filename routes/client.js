@@ -1,11 +1,20 @@
 const express = require("express");
 const ClientService = require("../services/clientService");
+const SelectionService = require("../services/selectionService");
+const PhotoCommentService = require("../services/photoCommentService");
 const { authenticateToken } = require("../middleware/auth");
+const { sendStoredObject } = require("../utils/sendStoredObject");
+const { downloadFilename } = require("../utils/imageFormats");
+const ArchiveService = require("../services/archiveService");
+const WatermarkService = require("../services/watermarkService");
 const { body } = require("express-validator");
-const archiver = require("archiver");
 
 const router = express.Router();
 const clientService = new ClientService();
+const selectionService = new SelectionService();
+const commentService = new PhotoCommentService();
+const archiveService = new ArchiveService();
+const watermarkService = new WatermarkService();
 
 // Generate credentials for new client (only email required)
 router.post(
@@ -71,7 +80,80 @@ router.get("/collections/:collectionId/photos", authenticateToken, (req, res) =>
   clientService.getCollectionPhotos(req, res)
 );
 
-// Get single photo by shareToken (for viewing in modal)
+// Favorites (proofing selection) in a collection
+router.get(
+  "/collections/:collectionId/favorites",
+  authenticateToken,
+  (req, res) => selectionService.getFavorites(req, res)
+);
+
+router.put(
+  "/collections/:collectionId/favorites/:photoId",
+  authenticateToken,
+  (req, res) => selectionService.addFavorite(req, res)
+);
+
+router.delete(
+  "/collections/:collectionId/favorites/:photoId",
+  authenticateToken,
+  (req, res) => selectionService.removeFavorite(req, res)
+);
+
+// Submit the favorites as the final selection (locks them)
+router.post(
+  "/collections/:collectionId/selection/submit",
+  authenticateToken,
+  (req, res) => selectionService.submitSelection(req, res)
+);
+
+// Ask for more images than the collection's selection limit
+router.post(
+  "/collections/:collectionId/selection/extra",
+  authenticateToken,
+  SelectionService.getExtraRequestValidation(),
+  (req, res) => selectionService.requestExtra(req, res)
+);
+
+// Comments on photos (threads, edit/delete own, unread counts)
+router.get(
+  "/collections/:collectionId/photos/:photoId/comments",
+  authenticateToken,
+  (req, res) => commentService.listComments(req, res, "client")
+);
+
+router.post(
+  "/collections/:collectionId/photos/:photoId/comments",
+  authenticateToken,
+  PhotoCommentService.getCreateValidation(),
+  (req, res) => commentService.addComment(req, res, "client")
+);
+
+router.patch(
+  "/collections/:collectionId/comments/:commentId",
+  authenticateToken,
+  PhotoCommentService.getUpdateValidation(),
+  (req, res) => commentService.updateComment(req, res, "client")
+);
+
+router.delete(
+  "/collections/:collectionId/comments/:commentId",
+  authenticateToken,
+  (req, res) => commentService.deleteComment(req, res, "client")
+);
+
+router.get(
+  "/collections/:collectionId/comments/unread",
+  authenticateToken,
+  (req, res) => commentService.getUnread(req, res, "client")
+);
+
+router.post(
+  "/collections/:collectionId/comments/read",
+  authenticateToken,
+  (req, res) => commentService.markRead(req, res, "client")
+);
+
+// Get single photo by shareToken as binary (for viewing in modal)
 router.get("/photos/:shareToken", authenticateToken, async (req, res) => {
   try {
     const { shareToken } = req.params;
@@ -85,8 +167,8 @@ router.get("/photos/:shareToken", authenticateToken, async (req, res) => {
 
     // Get photo - clients can access photos shared with them via CollectionAccess
     const photos = await db.query(
-      `SELECT @rid as id, filename, originalName, size, width, height, 
-              photoDataB64, photographerId, shareToken, uploadedAt, mimetype
+      `SELECT photoId, originalName, storageKey, thumbnailKey, renditions,
+              photographerId, shareToken, mimetype
        FROM Photo 
        WHERE shareToken = :shareToken 
        AND isActive = true`,
@@ -105,61 +187,46 @@ router.get("/photos/:shareToken", authenticateToken, async (req, res) => {
     const photo = photos[0];
 
     // Verify client has access to this photo through CollectionAccess
-    // Simpler query: Check if photo is in a collection that the client has access to
-    const accessCheck = await db.query(
-      `SELECT COUNT(*) as count
-       FROM Photo
-       WHERE shareToken = :shareToken
-       AND @rid IN (
-         SELECT in FROM CollectionPhoto
-         WHERE out IN (
-           SELECT out FROM CollectionAccess
-           WHERE in IN (SELECT FROM Client WHERE username = :username)
-         )
-       )`,
-      {
-        params: {
-          username: req.user.username,
-          shareToken: shareToken,
-        },
-      }
-    );
-
-    console.log("📸 Photo access check for client:", {
-      username: req.user.username,
-      shareToken,
-      accessCount: accessCheck[0]?.count,
-    });
-
-    if (accessCheck.length === 0 || accessCheck[0].count === 0) {
+    if (
+      !(await clientService.hasPhotoAccess(db, req.user.username, shareToken))
+    ) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this photo",
       });
     }
 
-    // Return photo with full-size image
-    res.json({
-      success: true,
-      photo: {
-        id: photo.id,
-        shareToken: photo.shareToken,
-        filename: photo.filename,
-        originalName: photo.originalName,
-        size: photo.size,
-        width: photo.width,
-        height: photo.height,
-        photoData: photo.photoDataB64, // Base64 encoded photo data
-        uploadedAt: photo.uploadedAt,
-      },
+    // Proof collections get a watermarked copy - the original stays untouched
+    const { key, contentType } = await watermarkService.resolveForClient(
+      db,
+      photo,
+      "original",
+      req.user.username
+    );
+
+    // Full-size image as binary (supports ETag / Range)
+    const sent = await sendStoredObject(req, res, clientService.storage, key, {
+      contentType,
+      filename: downloadFilename(photo.originalName, contentType),
     });
+
+    if (!sent) {
+      return res.status(404).json({
+        success: false,
+        message: "Photo file not found",
+      });
+    }
   } catch (error) {
     console.error("Get photo error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to retrieve photo",
-      error: error.message,
-    });
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve photo",
+        error: error.message,
+      });
+    }
+  } finally {
+    clientService.dbInstance.closeConnection();
   }
 });
 
@@ -198,7 +265,8 @@ router.get(
 
       // Get photo - clients can access photos shared with them
       const photos = await db.query(
-        `SELECT photoDataB64, originalName, mimetype, shareToken
+        `SELECT photoId, originalName, storageKey, thumbnailKey, renditions,
+              photographerId, shareToken, mimetype
        FROM Photo 
        WHERE shareToken = :shareToken 
        AND isActive = true`,
@@ -215,30 +283,73 @@ router.get(
       }
 
       const photo = photos[0];
-      const photoBuffer = Buffer.from(photo.photoDataB64, "base64");
 
-      // Set headers for download
-      res.setHeader("Content-Type", photo.mimetype || "image/jpeg");
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${photo.originalName || "photo.jpg"}"`
+      if (
+        !(await clientService.hasPhotoAccess(db, req.user.username, shareToken))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied to this photo",
+        });
+      }
+
+      // The photographer can turn downloads off per collection
+      if (
+        !(await clientService.hasPhotoAccess(
+          db,
+          req.user.username,
+          shareToken,
+          { download: true }
+        ))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Downloads are disabled for this collection",
+        });
+      }
+
+      // Watermarked copy while the collection is a proof gallery
+      const { key, contentType } = await watermarkService.resolveForClient(
+        db,
+        photo,
+        "original",
+        req.user.username
+      );
+
+      // Stream from blob storage (Range requests let big downloads resume)
+      const sent = await sendStoredObject(
+        req,
+        res,
+        clientService.storage,
+        key,
+        {
+          contentType,
+          filename: downloadFilename(photo.originalName, contentType),
+          disposition: "attachment",
+        }
       );
-      res.setHeader("Content-Length", photoBuffer.length);
 
-      res.send(photoBuffer);
+      if (!sent) {
+        return res.status(404).json({
+          success: false,
+          message: "Photo file not found",
+        });
+      }
     } catch (error) {
       console.error("Photo download error:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to download photo",
-      });
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: "Failed to download photo",
+        });
+      }
     } finally {
       clientService.dbInstance.closeConnection();
     }
   }
 );
 
-// Download multiple photos as ZIP
+// Download multiple photos as ZIP (streamed, one photo at a time)
 router.post("/photos/download-zip", authenticateToken, async (req, res) => {
   try {
     const { shareTokens, photoTokens } = req.body;
@@ -258,52 +369,62 @@ router.post("/photos/download-zip", authenticateToken, async (req, res) => {
       process.env.DB_PASSWORD
     );
 
-    // Get all selected photos
-    const photos = await db.query(
-      `SELECT photoDataB64, originalName, mimetype, shareToken
-       FROM Photo 
-       WHERE shareToken IN :tokens 
-       AND isActive = true`,
+    // Selected photos the client can access in collections that allow
+    // downloads, looked up in batches as the ZIP is written
+    const photos = archiveService.queryInBatches(tokens, (batch) =>
+      db.query(
+        `SELECT photoId, originalName, storageKey, thumbnailKey, renditions,
+                photographerId, shareToken, mimetype
+         FROM Photo 
+         WHERE shareToken IN :tokens 
+         AND isActive = true
+         AND (status IS NULL OR status = 'ready')
+         AND @rid IN (
+           SELECT in FROM CollectionPhoto
+           WHERE out IN (
+             SELECT out FROM CollectionAccess
+             WHERE in IN (SELECT FROM Client WHERE username = :username)
+             AND (out.allowDownloads IS NULL OR out.allowDownloads = true)
+           )
+         )`,
+        {
+          params: { tokens: batch, username: req.user.username },
+        }
+      )
+    );
+
+    const sent = await archiveService.streamPhotoZip(
+      res,
+      `photos-${Date.now()}.zip`,
+      photos,
       {
-        params: { tokens: tokens },
+        // Proof collections are zipped as watermarked copies
+        prepare: async (photo) => {
+          const { key, contentType } = await watermarkService.resolveForClient(
+            db,
+            photo,
+            "original",
+            req.user.username
+          );
+          return { ...photo, storageKey: key, mimetype: contentType };
+        },
       }
     );
 
-    if (photos.length === 0) {
+    if (!sent) {
       return res.status(404).json({
         success: false,
         message: "No photos found",
       });
     }
-
-    // Create ZIP archive
-    const archive = archiver("zip", {
-      zlib: { level: 9 },
-    });
-
-    const zipFilename = `photos-${Date.now()}.zip`;
-    res.setHeader("Content-Type", "application/zip");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${zipFilename}"`
-    );
-
-    archive.pipe(res);
-
-    // Add photos to archive
-    photos.forEach((photo, index) => {
-      const photoBuffer = Buffer.from(photo.photoDataB64, "base64");
-      const filename = photo.originalName || `photo-${index + 1}.jpg`;
-      archive.append(photoBuffer, { name: filename });
-    });
-
-    await archive.finalize();
   } catch (error) {
     console.error("ZIP download error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create ZIP file",
-    });
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: "Failed to create ZIP file",
+      });
+    }
   } finally {
     clientService.dbInstance.closeConnection();
   }
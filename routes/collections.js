@@ -1,9 +1,22 @@
 const express = require("express");
 const PhotoCollectionService = require("../services/photoCollectionService");
+const CollectionOrderService = require("../services/collectionOrderService");
+const CollectionExpiryService = require("../services/collectionExpiryService");
+const CollectionAccessService = require("../services/collectionAccessService");
+const ShareLinkService = require("../services/shareLinkService");
+const SelectionService = require("../services/selectionService");
+const PhotoCommentService = require("../services/photoCommentService");
 const { authenticateToken } = require("../middleware/auth");
 
 const router = express.Router();
 const collectionService = new PhotoCollectionService();
+const orderService = new CollectionOrderService();
+const expiryService = new CollectionExpiryService();
+const accessService = new CollectionAccessService();
+const shareLinkService = new ShareLinkService();
+const selectionService = new SelectionService();
+const commentService = new PhotoCommentService();
+const logoUpload = collectionService.getLogoUploadConfig();
 
 // Photographer routes
 router.post(
@@ -23,6 +36,13 @@ router.get(
   (req, res) => collectionService.getCollectionById(req, res)
 );
 
+router.patch(
+  "/photographer/collections/:collectionId",
+  authenticateToken,
+  PhotoCollectionService.getUpdateCollectionValidation(),
+  (req, res) => collectionService.updateCollection(req, res)
+);
+
 router.delete(
   "/photographer/collections/:collectionId",
   authenticateToken,
@@ -48,6 +68,176 @@ router.post(
   (req, res) => collectionService.shareCollection(req, res)
 );
 
+// Clients the collection is shared with
+router.get(
+  "/photographer/collections/:collectionId/access",
+  authenticateToken,
+  (req, res) => accessService.listAccess(req, res)
+);
+
+router.delete(
+  "/photographer/collections/:collectionId/access/:clientId",
+  authenticateToken,
+  (req, res) => accessService.revokeAccess(req, res)
+);
+
+// Client selections (favorites): overview, export, reopen a submitted one
+router.get(
+  "/photographer/collections/:collectionId/selections",
+  authenticateToken,
+  (req, res) => selectionService.getSelections(req, res)
+);
+
+router.get(
+  "/photographer/collections/:collectionId/selections/export",
+  authenticateToken,
+  SelectionService.getExportValidation(),
+  (req, res) => selectionService.exportSelections(req, res)
+);
+
+router.post(
+  "/photographer/collections/:collectionId/selections/:clientId/reopen",
+  authenticateToken,
+  (req, res) => selectionService.reopenSelection(req, res)
+);
+
+// Answer a client's request for images beyond the selection limit
+router.post(
+  "/photographer/collections/:collectionId/selections/:clientId/extra/approve",
+  authenticateToken,
+  (req, res) => selectionService.approveExtra(req, res)
+);
+
+router.post(
+  "/photographer/collections/:collectionId/selections/:clientId/extra/decline",
+  authenticateToken,
+  (req, res) => selectionService.declineExtra(req, res)
+);
+
+// Comments on photos (threads, edit/delete own, unread counts)
+router.get(
+  "/photographer/collections/:collectionId/photos/:photoId/comments",
+  authenticateToken,
+  (req, res) => commentService.listComments(req, res, "photographer")
+);
+
+router.post(
+  "/photographer/collections/:collectionId/photos/:photoId/comments",
+  authenticateToken,
+  PhotoCommentService.getCreateValidation(),
+  (req, res) => commentService.addComment(req, res, "photographer")
+);
+
+router.patch(
+  "/photographer/collections/:collectionId/comments/:commentId",
+  authenticateToken,
+  PhotoCommentService.getUpdateValidation(),
+  (req, res) => commentService.updateComment(req, res, "photographer")
+);
+
+router.delete(
+  "/photographer/collections/:collectionId/comments/:commentId",
+  authenticateToken,
+  (req, res) => commentService.deleteComment(req, res, "photographer")
+);
+
+router.get(
+  "/photographer/collections/:collectionId/comments/unread",
+  authenticateToken,
+  (req, res) => commentService.getUnread(req, res, "photographer")
+);
+
+router.post(
+  "/photographer/collections/:collectionId/comments/read",
+  authenticateToken,
+  (req, res) => commentService.markRead(req, res, "photographer")
+);
+
+// Public share links
+router.post(
+  "/photographer/collections/:collectionId/links",
+  authenticateToken,
+  ShareLinkService.getCreateValidation(),
+  (req, res) => shareLinkService.createLink(req, res)
+);
+
+router.get(
+  "/photographer/collections/:collectionId/links",
+  authenticateToken,
+  (req, res) => shareLinkService.listLinks(req, res)
+);
+
+router.delete(
+  "/photographer/collections/:collectionId/links/:linkId",
+  authenticateToken,
+  (req, res) => shareLinkService.revokeLink(req, res)
+);
+
+// Proof watermark (JSON, or multipart with a PNG "logo" file)
+router.put(
+  "/photographer/collections/:collectionId/watermark",
+  authenticateToken,
+  logoUpload.single("logo"),
+  PhotoCollectionService.getWatermarkValidation(),
+  (req, res) => collectionService.updateWatermark(req, res)
+);
+
+router.delete(
+  "/photographer/collections/:collectionId/watermark",
+  authenticateToken,
+  (req, res) => collectionService.removeWatermark(req, res)
+);
+
+// Mark final (un-watermarked delivery) or back to proof
+router.patch(
+  "/photographer/collections/:collectionId/final",
+  authenticateToken,
+  PhotoCollectionService.getFinalValidation(),
+  (req, res) => collectionService.setFinal(req, res)
+);
+
+// Photo order: sort mode, manual (drag-and-drop) moves and cover photo
+router.put(
+  "/photographer/collections/:collectionId/sort",
+  authenticateToken,
+  CollectionOrderService.getSortValidation(),
+  (req, res) => orderService.updateSort(req, res)
+);
+
+router.post(
+  "/photographer/collections/:collectionId/photos/reorder",
+  authenticateToken,
+  CollectionOrderService.getReorderValidation(),
+  (req, res) => orderService.reorderPhotos(req, res)
+);
+
+router.put(
+  "/photographer/collections/:collectionId/cover",
+  authenticateToken,
+  CollectionOrderService.getCoverValidation(),
+  (req, res) => orderService.setCover(req, res)
+);
+
+router.put(
+  "/photographer/collections/:collectionId/expiry",
+  authenticateToken,
+  CollectionExpiryService.getPolicyValidation(),
+  (req, res) => expiryService.updateExpiry(req, res)
+);
+
+router.post(
+  "/photographer/collections/:collectionId/expiry/extend",
+  authenticateToken,
+  CollectionExpiryService.getExtendValidation(),
+  (req, res) => expiryService.extendExpiry(req, res)
+);
+
+router.delete(
+  "/photographer/collections/:collectionId/expiry",
+  authenticateToken,
+  (req, res) => expiryService.clearExpiry(req, res)
+);
+
 // Client routes
 router.get("/client/collections", authenticateToken, (req, res) =>
   collectionService.getClientCollections(req, res)
@@ -1,10 +1,13 @@
 const express = require("express");
 const router = express.Router();
 const GuestService = require("../services/guestService");
+const ArchiveService = require("../services/archiveService");
 const { authenticateToken } = require("../middleware/auth");
-const archiver = require("archiver");
+const { downloadFilename } = require("../utils/imageFormats");
+const { contentDisposition } = require("../utils/sendStoredObject");
 
 const guestService = new GuestService();
+const archiveService = new ArchiveService();
 
 // Guest login
 router.post("/login", GuestService.getLoginValidation(), (req, res) => {
@@ -33,7 +36,7 @@ router.get(
 
       // Verify guest has access to this photo
       const photos = await db.query(
-        `SELECT p.photoDataB64, p.originalName, p.mimetype
+        `SELECT p.storageKey, p.originalName, p.mimetype
        FROM Photo p
        WHERE p.shareToken = :shareToken
        AND p.isActive = true
@@ -53,13 +56,18 @@ router.get(
       }
 
       const photo = photos[0];
-      const photoBuffer = Buffer.from(photo.photoDataB64, "base64");
+      const photoBuffer = await archiveService.storage.getObject(
+        photo.storageKey
+      );
 
       // Set headers for download
       res.setHeader("Content-Type", photo.mimetype || "image/jpeg");
       res.setHeader(
         "Content-Disposition",
-        `attachment; filename="${photo.originalName || "photo.jpg"}"`
+        contentDisposition(
+          "attachment",
+          downloadFilename(photo.originalName, photo.mimetype)
+        )
       );
       res.setHeader("Content-Length", photoBuffer.length);
 
@@ -76,7 +84,7 @@ router.get(
   }
 );
 
-// Download multiple photos as ZIP
+// Download multiple photos as ZIP (streamed, one photo at a time)
 router.post("/photos/download-zip", authenticateToken, async (req, res) => {
   try {
     const { photoTokens } = req.body; // Array of shareTokens
@@ -95,55 +103,42 @@ router.post("/photos/download-zip", authenticateToken, async (req, res) => {
       process.env.DB_PASSWORD
     );
 
-    // Get all accessible photos
-    const photos = await db.query(
-      `SELECT p.photoDataB64, p.originalName, p.mimetype, p.shareToken
-       FROM Photo p
-       WHERE p.shareToken IN :tokens
-       AND p.isActive = true
-       AND @rid IN (
-         SELECT in FROM PhotoAccess WHERE out = :guestId
-       )`,
-      {
-        params: { tokens: photoTokens, guestId },
-      }
+    // Accessible photos, looked up in batches as the ZIP is written
+    const photos = archiveService.queryInBatches(photoTokens, (batch) =>
+      db.query(
+        `SELECT p.storageKey, p.originalName, p.mimetype, p.shareToken
+         FROM Photo p
+         WHERE p.shareToken IN :tokens
+         AND p.isActive = true
+         AND @rid IN (
+           SELECT in FROM PhotoAccess WHERE out = :guestId
+         )`,
+        {
+          params: { tokens: batch, guestId },
+        }
+      )
+    );
+
+    const sent = await archiveService.streamPhotoZip(
+      res,
+      `photos-${Date.now()}.zip`,
+      photos
     );
 
-    if (photos.length === 0) {
+    if (!sent) {
       return res.status(404).json({
         success: false,
         message: "No accessible photos found",
       });
     }
-
-    // Create ZIP archive
-    const archive = archiver("zip", {
-      zlib: { level: 9 }, // Maximum compression
-    });
-
-    const zipFilename = `photos-${Date.now()}.zip`;
-    res.setHeader("Content-Type", "application/zip");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${zipFilename}"`
-    );
-
-    archive.pipe(res);
-
-    // Add photos to archive
-    photos.forEach((photo, index) => {
-      const photoBuffer = Buffer.from(photo.photoDataB64, "base64");
-      const filename = photo.originalName || `photo-${index + 1}.jpg`;
-      archive.append(photoBuffer, { name: filename });
-    });
-
-    await archive.finalize();
   } catch (error) {
     console.error("ZIP download error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create ZIP file",
-    });
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: "Failed to create ZIP file",
+      });
+    }
   } finally {
     guestService.dbInstance.closeConnection();
   }
@@ -1,12 +1,27 @@
 const express = require("express");
 const PhotographerService = require("../services/photographerService");
 const EnhancedPhotoService = require("../services/enhancedPhotoService");
+const ArchiveService = require("../services/archiveService");
+const ResumableUploadService = require("../services/resumableUploadService");
+const QuotaService = require("../services/quotaService");
+const PhotoVersionService = require("../services/photoVersionService");
+const PhotoBulkService = require("../services/photoBulkService");
+const TagService = require("../services/tagService");
+const PhotoSearchService = require("../services/photoSearchService");
 const { authenticateToken } = require("../middleware/auth");
-const archiver = require("archiver");
+const { sendStoredObject } = require("../utils/sendStoredObject");
+const { downloadFilename } = require("../utils/imageFormats");
 
 const router = express.Router();
 const photographerService = new PhotographerService();
 const photoService = new EnhancedPhotoService();
+const archiveService = new ArchiveService();
+const resumableUploadService = new ResumableUploadService();
+const quotaService = new QuotaService();
+const photoVersionService = new PhotoVersionService();
+const photoBulkService = new PhotoBulkService();
+const tagService = new TagService();
+const photoSearchService = new PhotoSearchService();
 
 // All photographer routes require authentication
 router.use(authenticateToken);
@@ -24,6 +39,20 @@ const requirePhotographer = (req, res, next) => {
 
 router.use(requirePhotographer);
 
+// Photographer settings (EXIF strip policy, ...)
+router.get("/settings", (req, res) =>
+  photographerService.getSettings(req, res)
+);
+
+router.patch(
+  "/settings",
+  PhotographerService.getSettingsValidation(),
+  (req, res) => photographerService.updateSettings(req, res)
+);
+
+// Storage used and quota limits
+router.get("/usage", (req, res) => quotaService.getUsage(req, res));
+
 // Get all clients for this photographer
 router.get("/clients", (req, res) => photographerService.getClients(req, res));
 
@@ -39,6 +68,24 @@ router.get("/photos", (req, res) =>
   photoService.getPhotographerPhotos(req, res)
 );
 
+// Search the library by tags, filename, dates, collection and EXIF
+router.get(
+  "/photos/search",
+  PhotoSearchService.getSearchValidation(),
+  (req, res) => photoSearchService.searchPhotos(req, res)
+);
+
+// Tag vocabulary with photo counts
+router.get("/tags", (req, res) => tagService.listTags(req, res));
+
+// Rename (or merge) a tag on all photos
+router.patch("/tags/:tag", TagService.getRenameValidation(), (req, res) =>
+  tagService.renameTag(req, res)
+);
+
+// Remove a tag from all photos
+router.delete("/tags/:tag", (req, res) => tagService.deleteTag(req, res));
+
 // Get a single photo by ID (full size with base64)
 router.get("/photos/:photoId", (req, res) =>
   photoService.getPhotoById(req, res)
@@ -49,10 +96,88 @@ router.delete("/photos/:photoId", (req, res) =>
   photoService.deletePhoto(req, res)
 );
 
-// Upload photos (plural to match frontend)
+// Tags of a single photo
+router.get("/photos/:photoId/tags", (req, res) =>
+  tagService.getPhotoTags(req, res)
+);
+
+router.put(
+  "/photos/:photoId/tags",
+  TagService.getTagsValidation(),
+  (req, res) => tagService.setPhotoTags(req, res)
+);
+
+router.post(
+  "/photos/:photoId/tags",
+  TagService.getTagsValidation(),
+  (req, res) => tagService.addPhotoTags(req, res)
+);
+
+router.delete("/photos/:photoId/tags/:tag", (req, res) =>
+  tagService.removePhotoTag(req, res)
+);
+
+// Delete, move, copy, tag or caption many photos at once
+router.post("/photos/bulk", PhotoBulkService.getBulkValidation(), (req, res) =>
+  photoBulkService.bulkUpdate(req, res)
+);
+
+// Upload photos (plural to match frontend). Each file is held to the photo
+// size limit; larger videos go through the resumable uploads below
 const upload = photoService.getMulterConfig();
-router.post("/upload-photos", upload.array("photos", 20), (req, res) =>
-  photoService.uploadPhoto(req, res)
+const uploadError = (error, req, res, next) =>
+  photoService.handleUploadError(error, req, res, next);
+
+router.post(
+  "/upload-photos",
+  upload.array("photos", 20),
+  (req, res) => photoService.uploadPhoto(req, res),
+  uploadError
+);
+
+// Replace a photo's file, keeping its ids and collections (field "photo")
+router.put(
+  "/photos/:photoId/file",
+  upload.single("photo"),
+  (req, res) => photoVersionService.replaceFile(req, res),
+  uploadError
+);
+
+// Earlier files of a photo, kept for PHOTO_VERSION_RETENTION_DAYS
+router.get("/photos/:photoId/versions", (req, res) =>
+  photoVersionService.listVersions(req, res)
+);
+
+router.post("/photos/:photoId/versions/:version/rollback", (req, res) =>
+  photoVersionService.rollback(req, res)
+);
+
+// Resumable (chunked) uploads - see ResumableUploadService
+router.post(
+  "/uploads",
+  ResumableUploadService.getCreateUploadValidation(),
+  (req, res) => resumableUploadService.createUpload(req, res)
+);
+
+router.get("/uploads", (req, res) =>
+  resumableUploadService.listUploads(req, res)
+);
+
+// GET also answers HEAD (offset headers only)
+router.get("/uploads/:uploadId", (req, res) =>
+  resumableUploadService.getUpload(req, res)
+);
+
+router.patch("/uploads/:uploadId", (req, res) =>
+  resumableUploadService.uploadChunk(req, res)
+);
+
+router.post("/uploads/:uploadId/finalize", (req, res) =>
+  resumableUploadService.finalizeUpload(req, res)
+);
+
+router.delete("/uploads/:uploadId", (req, res) =>
+  resumableUploadService.cancelUpload(req, res)
 );
 
 // Share photos with client
@@ -92,7 +217,7 @@ router.get("/photos/:shareToken/download", async (req, res) => {
 
     // Get photo owned by this photographer
     const photos = await db.query(
-      `SELECT originalName, photoDataB64 FROM Photo 
+      `SELECT originalName, storageKey, mimetype, originalKey, originalMimetype FROM Photo 
        WHERE shareToken = :shareToken 
        AND photographerId = :photographerId
        AND scheduledDeletionDate IS NULL`,
@@ -110,120 +235,105 @@ router.get("/photos/:shareToken/download", async (req, res) => {
       });
     }
 
-    const photo = photos[0];
+    // The photographer gets their upload byte-for-byte (photos uploaded
+    // before originals were kept only have the web version)
+    const photo = photoService.originalFileOf(photos[0]);
 
-    // Convert base64 to buffer
-    const photoBuffer = Buffer.from(photo.photoDataB64, "base64");
-
-    // Set headers for download
-    res.setHeader("Content-Type", "image/jpeg");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${photo.originalName || "photo.jpg"}"`
+    // Stream from blob storage (Range requests let big downloads resume)
+    const sent = await sendStoredObject(
+      req,
+      res,
+      photoService.storage,
+      photo.storageKey,
+      {
+        contentType: photo.mimetype,
+        filename: downloadFilename(photo.originalName, photo.mimetype),
+        disposition: "attachment",
+      }
     );
-    res.setHeader("Content-Length", photoBuffer.length);
 
-    res.send(photoBuffer);
+    if (!sent) {
+      return res.status(404).json({
+        success: false,
+        message: "Photo file not found",
+      });
+    }
   } catch (error) {
     console.error("Error downloading photo:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error downloading photo",
-      error: error.message,
-    });
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: "Error downloading photo",
+        error: error.message,
+      });
+    }
   }
 });
 
-// Download multiple photos as ZIP
+// Download multiple photos as ZIP (streamed, one photo at a time)
 router.post("/photos/download-zip", async (req, res) => {
-  try {
-    const { shareTokens } = req.body;
-    const photographerId = req.user.photographerId || req.user.userId;
+  const { shareTokens } = req.body;
+  const photographerId = req.user.photographerId || req.user.userId;
 
-    if (
-      !shareTokens ||
-      !Array.isArray(shareTokens) ||
-      shareTokens.length === 0
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide an array of shareTokens",
-      });
-    }
+  if (!shareTokens || !Array.isArray(shareTokens) || shareTokens.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Please provide an array of shareTokens",
+    });
+  }
 
-    const Database = require("../Database/databaseClass");
-    const dbInstance = new Database(
-      process.env.DB_HOST,
-      process.env.DB_PORT,
-      process.env.DB_USERNAME,
-      process.env.DB_PASSWORD
-    );
+  const Database = require("../Database/databaseClass");
+  const dbInstance = new Database(
+    process.env.DB_HOST,
+    process.env.DB_PORT,
+    process.env.DB_USERNAME,
+    process.env.DB_PASSWORD
+  );
 
+  try {
     const db = dbInstance.useDatabase(
       process.env.DB_NAME,
       process.env.DB_USERNAME,
       process.env.DB_PASSWORD
     );
 
-    // Get all photos owned by this photographer
-    const photos = await db.query(
-      `SELECT originalName, photoDataB64 FROM Photo 
-       WHERE shareToken IN :shareTokens 
-       AND photographerId = :photographerId
-       AND scheduledDeletionDate IS NULL`,
-      {
-        params: { shareTokens, photographerId },
-      }
+    // Photos owned by this photographer, looked up in batches as the ZIP is written
+    const photos = archiveService.queryInBatches(shareTokens, (batch) =>
+      db.query(
+        `SELECT originalName, storageKey, mimetype, originalKey, originalMimetype FROM Photo 
+         WHERE shareToken IN :shareTokens 
+         AND photographerId = :photographerId
+         AND scheduledDeletionDate IS NULL`,
+        {
+          params: { shareTokens: batch, photographerId },
+        }
+      )
     );
 
-    dbInstance.closeConnection();
+    const sent = await archiveService.streamPhotoZip(
+      res,
+      `photos_${Date.now()}.zip`,
+      photos,
+      { prepare: async (photo) => photoService.originalFileOf(photo) }
+    );
 
-    if (!photos || photos.length === 0) {
+    if (!sent) {
       return res.status(404).json({
         success: false,
         message: "No photos found",
       });
     }
-
-    // Create ZIP archive
-    const archive = archiver("zip", {
-      zlib: { level: 9 }, // Maximum compression
-    });
-
-    // Set headers
-    res.setHeader("Content-Type", "application/zip");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="photos_${Date.now()}.zip"`
-    );
-
-    // Pipe archive to response
-    archive.pipe(res);
-
-    // Add each photo to the archive
-    for (const photo of photos) {
-      const photoBuffer = Buffer.from(photo.photoDataB64, "base64");
-      archive.append(photoBuffer, { name: photo.originalName || "photo.jpg" });
-    }
-
-    // Finalize the archive
-    await archive.finalize();
-
-    archive.on("error", (err) => {
-      console.error("Archive error:", err);
+  } catch (error) {
+    console.error("Error downloading photos as ZIP:", error);
+    if (!res.headersSent) {
       res.status(500).json({
         success: false,
-        message: "Error creating archive",
-        error: err.message,
+        message: "Error downloading photos",
+        error: error.message,
       });
-    });
-  } catch (error) {
-    console.error("Error downloading photos as ZIP:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error downloading photos",
-      error: error.message,
-    });
+    }
+  } finally {
+    dbInstance.closeConnection();
   }
 });
 
@@ -1,9 +1,11 @@
 const express = require("express");
 const PhotoService = require("../services/photoService");
+const EnhancedPhotoService = require("../services/enhancedPhotoService");
 const { authenticateToken } = require("../middleware/auth");
 
 const router = express.Router();
 const photoService = new PhotoService();
+const enhancedPhotoService = new EnhancedPhotoService();
 
 // Configure multer for photo uploads
 const upload = photoService.getMulterConfig();
@@ -23,6 +25,11 @@ router.get("/share/:shareToken", (req, res) =>
   photoService.sharePhoto(req, res)
 );
 
+// Get a rendition of a photo: thumb, grid, preview, original (protected route)
+router.get("/:photoId/rendition/:size", authenticateToken, (req, res) =>
+  enhancedPhotoService.getRendition(req, res)
+);
+
 // Delete photo (protected route)
 router.delete("/:photoId", authenticateToken, (req, res) =>
   photoService.deletePhoto(req, res)
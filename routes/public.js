@@ -0,0 +1,38 @@
+const express = require("express");
+const ShareLinkService = require("../services/shareLinkService");
+
+const router = express.Router();
+const shareLinkService = new ShareLinkService();
+
+// Public collection share links - no account needed. Password protected
+// links take the key from /unlock as the X-Share-Key header (?key= also
+// works, but ends up in logs and browser history).
+// Photos need the view session returned when the link is opened
+
+// Exchange the password for the link's access key
+router.post(
+  "/links/:token/unlock",
+  ShareLinkService.getUnlockValidation(),
+  (req, res) => shareLinkService.unlock(req, res)
+);
+
+// Open the link: collection details and photos (counts as a view)
+router.get("/links/:token", (req, res) => shareLinkService.getLink(req, res));
+
+// Whole collection as a ZIP (download links only)
+router.get("/links/:token/download", (req, res) =>
+  shareLinkService.downloadCollection(req, res)
+);
+
+// Full-size download of one photo (download links only)
+router.get("/links/:token/photos/:photoId/download", (req, res) =>
+  shareLinkService.downloadPhoto(req, res)
+);
+
+// One photo at a viewing size: thumb, grid or preview (default); needs the
+// view session as the X-Share-View header or ?view=
+router.get("/links/:token/photos/:photoId/:size?", (req, res) =>
+  shareLinkService.getPhoto(req, res)
+);
+
+module.exports = router;
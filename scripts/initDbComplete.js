@@ -30,6 +30,7 @@ async function initializeDatabase() {
       { name: "PhotoGroup", description: "Photo organization groups" },
       { name: "PhotoAccess", description: "Access permissions for photos" },
       { name: "GuestAccess", description: "Guest access to specific photos" },
+      { name: "ProcessingJob", description: "Background job queue" },
     ];
 
     for (const cls of classes) {
@@ -81,6 +82,9 @@ async function initializeDatabase() {
       { name: "lastLogin", type: "DATETIME" },
       { name: "isActive", type: "BOOLEAN" },
       { name: "createdBy", type: "STRING" }, // Admin who created this photographer
+      { name: "exifStripPolicy", type: "STRING" }, // keep | private | all
+      { name: "quota", type: "EMBEDDED" }, // Admin override: { bytes, photos }, null = unlimited
+      { name: "defaultCollectionExpiry", type: "EMBEDDED" }, // Policy for new collections: { type: never | afterShare, days? }
     ];
 
     for (const prop of photographerProperties) {
@@ -148,7 +152,7 @@ async function initializeDatabase() {
       }
     }
 
-    // Photo properties (with B64 storage)
+    // Photo properties (binaries live in blob storage, referenced by key)
     console.log("Creating Photo properties...");
     const photoProperties = [
       { name: "photographerId", type: "STRING" },
@@ -159,9 +163,25 @@ async function initializeDatabase() {
       { name: "size", type: "LONG" },
       { name: "width", type: "INTEGER" },
       { name: "height", type: "INTEGER" },
-      { name: "photoDataB64", type: "STRING" }, // Base64 encoded photo
-      { name: "thumbnailDataB64", type: "STRING" }, // Base64 encoded thumbnail
-      { name: "encryptedPhotoData", type: "STRING" }, // Encrypted photo data
+      { name: "storageKey", type: "STRING" }, // Blob storage key of the photo
+      { name: "originalKey", type: "STRING" }, // Upload as received (may equal storageKey)
+      { name: "originalMimetype", type: "STRING" },
+      { name: "thumbnailKey", type: "STRING" }, // Blob storage key of the thumbnail
+      { name: "renditions", type: "EMBEDDEDMAP STRING" }, // Rendition name -> storage key
+      { name: "exif", type: "EMBEDDED" }, // Camera, lens, exposure, capture time
+      { name: "checksum", type: "STRING" }, // SHA-256 of the uploaded file
+      { name: "phash", type: "STRING" }, // Perceptual hash (near-duplicate detection)
+      { name: "blurhash", type: "STRING" }, // Gallery placeholder while loading
+      { name: "dominantColor", type: "STRING" }, // "#rrggbb"
+      { name: "mediaType", type: "STRING" }, // 'image' (or unset) or 'video'
+      { name: "duration", type: "DOUBLE" }, // Video length in seconds
+      { name: "version", type: "INTEGER" }, // File version (unset = 1)
+      { name: "versions", type: "EMBEDDEDLIST" }, // Replaced files kept for rollback
+      { name: "replacedAt", type: "DATETIME" }, // Upload time of a replacement file
+      { name: "caption", type: "STRING" }, // Shown with the photo in galleries
+      { name: "status", type: "STRING" }, // 'processing', 'ready' or 'failed'
+      { name: "processingError", type: "STRING" },
+      { name: "encryption", type: "EMBEDDED" }, // Wrapped data key: { keyVersion, wrappedKey }
       { name: "shareToken", type: "STRING" },
       { name: "uploadedAt", type: "DATETIME" },
       { name: "isActive", type: "BOOLEAN" },
@@ -251,6 +271,36 @@ async function initializeDatabase() {
       }
     }
 
+    // ProcessingJob properties (see services/jobQueueService.js)
+    console.log("Creating ProcessingJob properties...");
+    const processingJobProperties = [
+      { name: "jobId", type: "STRING" },
+      { name: "type", type: "STRING" }, // e.g. 'photo.process'
+      { name: "payload", type: "EMBEDDED" },
+      { name: "photographerId", type: "STRING" },
+      { name: "status", type: "STRING" }, // 'queued', 'running' or 'failed'
+      { name: "attempts", type: "INTEGER" },
+      { name: "maxAttempts", type: "INTEGER" },
+      { name: "lastError", type: "STRING" },
+      { name: "runAfter", type: "DATETIME" }, // Not picked up before this
+      { name: "startedAt", type: "DATETIME" },
+      { name: "createdAt", type: "DATETIME" },
+      { name: "updatedAt", type: "DATETIME" },
+    ];
+
+    for (const prop of processingJobProperties) {
+      try {
+        await db.query(
+          `CREATE PROPERTY ProcessingJob.${prop.name} ${prop.type}`
+        );
+        console.log(`ProcessingJob property ${prop.name} created`);
+      } catch (e) {
+        if (e.message.includes("already exists")) {
+          console.log(`ProcessingJob property ${prop.name} already exists`);
+        }
+      }
+    }
+
     // Create indexes for performance
     console.log("Creating indexes...");
 
@@ -276,6 +326,7 @@ async function initializeDatabase() {
       { table: "Photo", field: "shareToken", unique: true },
       { table: "Photo", field: "photographerId", unique: false },
       { table: "Photo", field: "uploadedAt", unique: false },
+      { table: "Photo", field: "checksum", unique: false },
 
       // Group indexes
       { table: "PhotoGroup", field: "photographerId", unique: false },
@@ -284,6 +335,10 @@ async function initializeDatabase() {
       { table: "PhotoAccess", field: "photoId", unique: false },
       { table: "PhotoAccess", field: "userId", unique: false },
       { table: "GuestAccess", field: "guestId", unique: false },
+
+      // Job queue indexes
+      { table: "ProcessingJob", field: "jobId", unique: true },
+      { table: "ProcessingJob", field: "status", unique: false },
     ];
 
     for (const index of indexes) {
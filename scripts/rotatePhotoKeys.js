@@ -0,0 +1,35 @@
+require("dotenv").config();
+const PhotoKeyService = require("../services/photoKeyService");
+
+/**
+ * Re-wrap every photo data key with the current master key
+ * (PHOTO_MASTER_KEY_VERSION). Image bytes are not re-encrypted.
+ *
+ * 1. Add the new key to PHOTO_MASTER_KEYS, keeping the old versions,
+ *    and point PHOTO_MASTER_KEY_VERSION at it; restart the app
+ * 2. npm run rotate-photo-keys
+ * 3. Once it reports no failures, remove the old versions
+ */
+async function rotatePhotoKeys() {
+  const photoKeys = new PhotoKeyService();
+
+  console.log(
+    `🔑 Re-wrapping photo data keys with master key version ${photoKeys.currentVersion}...\n`
+  );
+
+  const { rotated, failed } = await photoKeys.rotate();
+
+  console.log(`\n✅ Re-wrapped ${rotated} data key(s)`);
+  if (failed.length > 0) {
+    console.log(
+      `⚠️  ${failed.length} key(s) could not be re-wrapped - keep their master key versions configured`
+    );
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+rotatePhotoKeys().catch((error) => {
+  console.error("❌ Key rotation failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+const assert = require("assert");
+const CollectionExpiryService = require("../services/collectionExpiryService");
+
+/**
+ * Checks of the collection expiry policies (no database needed):
+ *   npm run test-collection-expiry
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2030-06-15T12:00:00Z");
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+
+const cases = [
+  {
+    name: "never expires, even with a stale autoDeleteAt",
+    collection: { expiry: { type: "never" }, autoDeleteAt: daysAgo(3) },
+    expired: false,
+  },
+  {
+    name: "fixed date in the past",
+    collection: {
+      expiry: { type: "date", expiresAt: daysAgo(1).toISOString() },
+    },
+    expired: true,
+  },
+  {
+    name: "fixed date in the future",
+    collection: {
+      expiry: { type: "date", expiresAt: daysAgo(-1).toISOString() },
+    },
+    expired: false,
+  },
+  {
+    name: "afterShare, never shared",
+    collection: {
+      expiry: { type: "afterShare", days: 7 },
+      autoDeleteAt: daysAgo(3),
+    },
+    expired: false,
+  },
+  {
+    name: "afterShare, shared longer ago than its days",
+    collection: {
+      expiry: { type: "afterShare", days: 7 },
+      firstSharedAt: daysAgo(8),
+    },
+    expired: true,
+  },
+  {
+    name: "afterShare, still within its days",
+    collection: {
+      expiry: { type: "afterShare", days: 7 },
+      firstSharedAt: daysAgo(6),
+    },
+    expired: false,
+  },
+  {
+    name: "no policy, autoDeleteAt passed",
+    collection: { autoDeleteAt: daysAgo(1) },
+    expired: true,
+  },
+  {
+    name: "no policy, no autoDeleteAt",
+    collection: {},
+    expired: false,
+  },
+];
+
+function testCollectionExpiry() {
+  console.log("⏱️ Testing collection expiry policies\n");
+
+  let failed = 0;
+
+  for (const { name, collection, expired } of cases) {
+    try {
+      assert.strictEqual(
+        CollectionExpiryService.isExpired(collection, now),
+        expired
+      );
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: expected ${expired ? "expired" : "kept"}`);
+    }
+  }
+
+  console.log(
+    `\n${failed === 0 ? "🎉" : "💥"} ${cases.length - failed}/${
+      cases.length
+    } passed`
+  );
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+testCollectionExpiry();
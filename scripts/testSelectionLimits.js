@@ -0,0 +1,87 @@
+const assert = require("assert");
+const SelectionService = require("../services/selectionService");
+
+/**
+ * Checks of the selection limits (no database needed):
+ *   npm run test-selection-limits
+ */
+const picks = (count) => Array.from({ length: count }, (_, i) => `photo-${i}`);
+
+const cases = [
+  {
+    name: "no limit means no allowance",
+    run: () => assert.strictEqual(SelectionService.allowanceOf(null, 5), null),
+  },
+  {
+    name: "extra images raise the allowance",
+    run: () => assert.strictEqual(SelectionService.allowanceOf(50, 10), 60),
+  },
+  {
+    name: "nothing picked allows any limit",
+    run: () =>
+      assert.strictEqual(
+        SelectionService.minimumLimit([{}, { favorites: [] }]),
+        0
+      ),
+  },
+  {
+    name: "the limit can't go below the largest selection",
+    run: () =>
+      assert.strictEqual(
+        SelectionService.minimumLimit([
+          { favorites: picks(12) },
+          { favorites: picks(30), selectionSubmittedAt: new Date() },
+          { favorites: picks(4) },
+        ]),
+        30
+      ),
+  },
+  {
+    name: "approved extra images count towards the selection",
+    run: () =>
+      assert.strictEqual(
+        SelectionService.minimumLimit([
+          { favorites: picks(30), extraApproved: 10 },
+          { favorites: picks(15) },
+        ]),
+        20
+      ),
+  },
+  {
+    name: "a selection at the minimum limit has nothing remaining",
+    run: () => {
+      const grant = { favorites: picks(30), extraApproved: 10 };
+      const summary = SelectionService.summarize(
+        grant,
+        SelectionService.minimumLimit([grant])
+      );
+      assert.strictEqual(summary.allowance, 30);
+      assert.strictEqual(summary.remaining, 0);
+    },
+  },
+];
+
+function testSelectionLimits() {
+  console.log("⭐ Testing selection limits\n");
+
+  let failed = 0;
+
+  for (const { name, run } of cases) {
+    try {
+      run();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(
+    `\n${failed === 0 ? "🎉" : "💥"} ${cases.length - failed}/${
+      cases.length
+    } passed`
+  );
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+testSelectionLimits();
@@ -1,4 +1,7 @@
 const Database = require("../Database/databaseClass");
+const StorageService = require("./storageService");
+const QuotaService = require("./quotaService");
+const CollectionOrderService = require("./collectionOrderService");
 
 class AdminService {
   constructor() {
@@ -8,6 +11,9 @@ class AdminService {
       process.env.DB_USERNAME,
       process.env.DB_PASSWORD
     );
+    this.storage = new StorageService();
+    this.quotaService = new QuotaService();
+    this.orderService = new CollectionOrderService();
   }
 
   // Get all photographers with their stats
@@ -42,11 +48,14 @@ class AdminService {
             { params: { photogId: photographer.id } }
           );
 
+          const quota = await this.quotaService.getStatus(db, photographer.id);
+
           return {
             ...photographer,
             clientCount: clientCount[0]?.count || 0,
             collectionCount: collectionCount[0]?.count || 0,
             photoCount: photoCount[0]?.count || 0,
+            quota: quota ? this.quotaService.describe(quota) : null,
           };
         })
       );
@@ -205,7 +214,8 @@ class AdminService {
       );
 
       const collections = await db.query(
-        `SELECT collectionId as id, name, description, createdAt, photographerId
+        `SELECT collectionId as id, name, description, createdAt, photographerId,
+                coverPhotoId, sortMode, sortDirection
          FROM PhotoCollection
          WHERE scheduledDeletionDate IS NULL
          ORDER BY createdAt DESC`
@@ -231,22 +241,19 @@ class AdminService {
             { params: { collectionId: collection.id } }
           );
 
-          const thumbnail = await db.query(
-            `SELECT thumbnailDataB64 FROM Photo 
-             WHERE @rid IN (
-               SELECT in FROM CollectionPhoto 
-               WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
-             )
-             ORDER BY createdAt ASC LIMIT 1`,
-            { params: { collectionId: collection.id } }
-          );
+          const cover = await this.orderService.getCover(db, {
+            ...collection,
+            collectionId: collection.id,
+          });
 
           return {
             ...collection,
             photographerName: photographer[0]?.businessName || "Unknown",
             photoCount: photoCount[0]?.count || 0,
             clientCount: clientCount[0]?.count || 0,
-            thumbnailDataB64: thumbnail[0]?.thumbnailDataB64 || null,
+            thumbnailDataB64: await this.storage.getObjectBase64(
+              cover?.thumbnailKey
+            ),
           };
         })
       );
@@ -275,7 +282,7 @@ class AdminService {
       );
 
       const photos = await db.query(
-        `SELECT photoId as id, originalName, thumbnailDataB64, size, createdAt, photographerId
+        `SELECT photoId as id, originalName, thumbnailKey, size, createdAt, photographerId
          FROM Photo
          WHERE scheduledDeletionDate IS NULL
          ORDER BY createdAt DESC
@@ -290,8 +297,11 @@ class AdminService {
             { params: { photogId: photo.photographerId } }
           );
 
+          const { thumbnailKey, ...photoFields } = photo;
+
           return {
-            ...photo,
+            ...photoFields,
+            thumbnailDataB64: await this.storage.getObjectBase64(thumbnailKey),
             photographerName: photographer[0]?.businessName || "Unknown",
           };
         })
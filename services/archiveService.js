@@ -0,0 +1,201 @@
+const path = require("path");
+const archiver = require("archiver");
+const StorageService = require("./storageService");
+const { downloadFilename } = require("../utils/imageFormats");
+const { contentDisposition } = require("../utils/sendStoredObject");
+
+// Formats that are already compressed - deflating them again only burns CPU
+const PRECOMPRESSED_TYPES = new Set([
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/heic",
+  "image/heif",
+  "image/avif",
+  "video/mp4",
+  "video/quicktime",
+]);
+
+/**
+ * Archive Service - Streams ZIP downloads of stored photos
+ * Photos are read from storage and added one at a time, so memory use stays
+ * flat no matter how many photos are selected.
+ */
+class ArchiveService {
+  constructor() {
+    this.storage = new StorageService();
+    this.batchSize = parseInt(process.env.ZIP_QUERY_BATCH_SIZE) || 100;
+  }
+
+  /**
+   * Lazily yield rows for a long list of ids, querying them in fixed-size batches
+   * @param {Array} ids - Ids (e.g. shareTokens) to look up
+   * @param {Function} loadBatch - async (idsBatch) => rows
+   */
+  async *queryInBatches(ids, loadBatch) {
+    for (let i = 0; i < ids.length; i += this.batchSize) {
+      const rows = await loadBatch(ids.slice(i, i + this.batchSize));
+      yield* rows;
+    }
+  }
+
+  /**
+   * Make a filename unique within the archive ("a.jpg", "a (1).jpg", ...)
+   */
+  uniqueName(name, usedNames) {
+    const ext = path.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    let candidate = name;
+
+    for (let i = 1; usedNames.has(candidate.toLowerCase()); i++) {
+      candidate = `${base} (${i})${ext}`;
+    }
+
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * Resolve once archiver has consumed the pending entry (or the client left)
+   */
+  waitForEntry(archive, res) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        archive.off("entry", onEntry);
+        archive.off("error", onError);
+        res.off("close", onEntry);
+      };
+      const onEntry = () => {
+        cleanup();
+        resolve();
+      };
+      const onError = (error) => {
+        cleanup();
+        reject(error);
+      };
+
+      archive.on("entry", onEntry);
+      archive.on("error", onError);
+      res.on("close", onEntry);
+    });
+  }
+
+  /**
+   * Stream a ZIP of photos to the response
+   * @param {object} res - Express response
+   * @param {string} zipFilename - Download filename
+   * @param {AsyncIterable<object>} photos - Rows with storageKey, originalName, mimetype
+   *   (mimetype of the stored file; it decides the entry's extension)
+   * @param {object} [options]
+   * @param {Function} [options.prepare] - async (row) => row to add instead,
+   *   e.g. pointing storageKey at a watermarked copy
+   * @returns {Promise<boolean>} false if there were no photos (nothing was sent)
+   */
+  async streamPhotoZip(res, zipFilename, photos, { prepare } = {}) {
+    const iterator = photos[Symbol.asyncIterator]();
+
+    // Look at the first photo before committing to a 200 response
+    let next = await iterator.next();
+    if (next.done) {
+      return false;
+    }
+
+    const archive = archiver("zip", { zlib: { level: 6 } });
+    let clientGone = false;
+
+    archive.on("warning", (warning) => {
+      console.warn("Archive warning:", warning);
+    });
+
+    // Errors while an entry is pending are handled by waitForEntry; this keeps
+    // any later ones (e.g. during finalize) from crashing the process
+    archive.on("error", (error) => {
+      console.error(`Archive error for ${zipFilename}:`, error.message);
+    });
+
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        clientGone = true;
+        archive.abort();
+      }
+    });
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      contentDisposition("attachment", zipFilename)
+    );
+
+    archive.pipe(res);
+
+    const usedNames = new Set();
+    const skipped = [];
+    let index = 0;
+
+    try {
+      for (; !next.done && !clientGone; next = await iterator.next()) {
+        const photo = next.value;
+        index++;
+
+        let entry = photo;
+        let stream;
+        try {
+          if (prepare) {
+            entry = await prepare(photo);
+          }
+          stream = await this.storage.getObjectStream(entry.storageKey);
+        } catch (error) {
+          // One unreadable file shouldn't kill a 300-photo download
+          console.error(
+            `ZIP: could not read ${photo.storageKey}:`,
+            error.message
+          );
+          skipped.push(photo.originalName || `photo-${index}`);
+          continue;
+        }
+
+        // The extension follows the file actually added (e.g. a HEIC upload
+        // is delivered as its JPEG derivative)
+        const name = this.uniqueName(
+          downloadFilename(
+            photo.originalName || `photo-${index}`,
+            entry.mimetype || "image/jpeg"
+          ),
+          usedNames
+        );
+
+        archive.append(stream, {
+          name,
+          store: PRECOMPRESSED_TYPES.has(entry.mimetype || "image/jpeg"),
+        });
+        await this.waitForEntry(archive, res);
+      }
+
+      if (clientGone) {
+        console.log(`ZIP download ${zipFilename} aborted by client`);
+        return true;
+      }
+
+      if (skipped.length > 0) {
+        const note = [
+          "These files could not be read and are missing from the download:",
+          ...skipped,
+        ].join("\n");
+        archive.append(`${note}\n`, { name: "MISSING_FILES.txt" });
+      }
+
+      await archive.finalize();
+    } catch (error) {
+      // Headers and part of the body are already out, so a JSON error is no
+      // longer possible - abort the connection so the client sees a failed
+      // download instead of a truncated ZIP that looks complete
+      console.error(`ZIP streaming error for ${zipFilename}:`, error);
+      archive.abort();
+      res.destroy(error);
+    }
+
+    return true;
+  }
+}
+
+module.exports = ArchiveService;
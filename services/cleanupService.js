@@ -1,5 +1,6 @@
 const Database = require("../Database/databaseClass");
 const SoftDeleteService = require("./softDeleteService");
+const CollectionExpiryService = require("./collectionExpiryService");
 
 class CleanupService {
   constructor() {
@@ -13,7 +14,7 @@ class CleanupService {
   }
 
   /**
-   * Delete expired PhotoCollections
+   * Delete PhotoCollections whose expiry policy has run out
    */
   async cleanupExpiredCollections() {
     const db = this.dbInstance.useDatabase(
@@ -23,13 +24,23 @@ class CleanupService {
     );
 
     try {
-      // Find expired collections (autoDeleteAt has passed)
-      const expiredCollections = await db.query(
-        `SELECT collectionId, name, autoDeleteAt FROM PhotoCollection 
-         WHERE autoDeleteAt IS NOT NULL 
-         AND autoDeleteAt < sysdate()
-         AND isActive = true
-         AND scheduledDeletionDate IS NULL`
+      // Collections whose policy can expire: fixed dates, afterShare once
+      // shared, and autoDeleteAt for collections without a policy. "never"
+      // collections are left alone whatever autoDeleteAt says.
+      const candidates = await db.query(
+        `SELECT collectionId, name, autoDeleteAt, expiry, firstSharedAt
+         FROM PhotoCollection
+         WHERE isActive = true
+         AND scheduledDeletionDate IS NULL
+         AND (
+           (expiry IS NULL AND autoDeleteAt IS NOT NULL AND autoDeleteAt < sysdate())
+           OR expiry.type = 'date'
+           OR (expiry.type = 'afterShare' AND firstSharedAt IS NOT NULL)
+         )`
+      );
+      const now = new Date();
+      const expiredCollections = candidates.filter((collection) =>
+        CollectionExpiryService.isExpired(collection, now)
       );
 
       console.log(
@@ -39,7 +50,11 @@ class CleanupService {
       if (expiredCollections.length > 0) {
         console.log("Current time:", new Date().toISOString());
         expiredCollections.forEach((c) => {
-          console.log(`  - ${c.name}: autoDeleteAt = ${c.autoDeleteAt}`);
+          console.log(
+            `  - ${c.name}: ${
+              c.expiry?.type || "autoDeleteAt"
+            }, autoDeleteAt = ${c.autoDeleteAt}`
+          );
         });
       }
 
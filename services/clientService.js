@@ -4,6 +4,12 @@ const Database = require("../Database/databaseClass");
 const { generateToken, setTokenCookie } = require("../middleware/auth");
 const EncryptionService = require("./encryptionService");
 const EmailService = require("./emailService");
+const StorageService = require("./storageService");
+const WatermarkService = require("./watermarkService");
+const CollectionOrderService = require("./collectionOrderService");
+const CollectionAccessService = require("./collectionAccessService");
+const SelectionService = require("./selectionService");
+const PhotoCommentService = require("./photoCommentService");
 const UserCredentials = require("../UserManagement/generateUserCredentials");
 
 class ClientService {
@@ -16,6 +22,12 @@ class ClientService {
     );
     this.encryption = new EncryptionService();
     this.emailService = new EmailService();
+    this.storage = new StorageService();
+    this.watermarkService = new WatermarkService();
+    this.orderService = new CollectionOrderService();
+    this.accessService = new CollectionAccessService();
+    this.selectionService = new SelectionService();
+    this.commentService = new PhotoCommentService();
     this.userCredentials = new UserCredentials();
   }
 
@@ -141,6 +153,41 @@ class ClientService {
     }
   }
 
+  /**
+   * Is the photo in a collection shared with this client?
+   * With `download`, only collections that allow downloads count.
+   */
+  async hasPhotoAccess(
+    db,
+    clientUsername,
+    shareToken,
+    { download = false } = {}
+  ) {
+    const accessCheck = await db.query(
+      `SELECT COUNT(*) as count
+       FROM Photo
+       WHERE shareToken = :shareToken
+       AND (status IS NULL OR status = 'ready')
+       AND @rid IN (
+         SELECT in FROM CollectionPhoto
+         WHERE out IN (
+           SELECT out FROM CollectionAccess
+           WHERE in IN (SELECT FROM Client WHERE username = :username)
+           ${
+             download
+               ? "AND (out.allowDownloads IS NULL OR out.allowDownloads = true)"
+               : ""
+           }
+         )
+       )`,
+      {
+        params: { username: clientUsername, shareToken },
+      }
+    );
+
+    return accessCheck.length > 0 && accessCheck[0].count > 0;
+  }
+
   async getAccessiblePhotos(req, res) {
     try {
       const { page = 1, limit = 100 } = req.query;
@@ -157,6 +204,10 @@ class ClientService {
       const accessiblePhotos = await db.query(
         `SELECT 
           @rid as id,
+          photoId,
+          photographerId,
+          storageKey,
+          renditions,
           filename,
           originalName,
           shareToken,
@@ -165,9 +216,16 @@ class ClientService {
           height,
           uploadedAt,
           tags,
-          thumbnailDataB64
+          caption,
+          thumbnailKey,
+          blurhash,
+          dominantColor,
+          mimetype,
+          mediaType,
+          duration
          FROM Photo
          WHERE isActive = true
+         AND (status IS NULL OR status = 'ready')
          AND @rid IN (
            SELECT out.@rid FROM CollectionPhoto
            WHERE in IN (
@@ -186,19 +244,36 @@ class ClientService {
         }
       );
 
-      const photosWithThumbnails = accessiblePhotos.map((photo) => ({
-        id: photo.id,
-        filename: photo.filename,
-        originalName: photo.originalName,
-        shareToken: photo.shareToken,
-        size: photo.size,
-        width: photo.width,
-        height: photo.height,
-        uploadedAt: photo.uploadedAt,
-        tags: photo.tags || [],
-        thumbnailDataB64: photo.thumbnailDataB64,
-        selected: false,
-      }));
+      const photosWithThumbnails = await Promise.all(
+        accessiblePhotos.map(async (photo) => ({
+          id: photo.id,
+          filename: photo.filename,
+          originalName: photo.originalName,
+          shareToken: photo.shareToken,
+          size: photo.size,
+          width: photo.width,
+          height: photo.height,
+          uploadedAt: photo.uploadedAt,
+          tags: photo.tags || [],
+          caption: photo.caption || null,
+          blurhash: photo.blurhash || null,
+          dominantColor: photo.dominantColor || null,
+          mimetype: photo.mimetype,
+          mediaType: photo.mediaType || "image",
+          duration: photo.duration ?? null,
+          // Watermarked if the photo is only shared through proof collections
+          thumbnailDataB64: await this.watermarkService.getThumbnailBase64(
+            db,
+            photo,
+            await this.watermarkService.getClientConfig(
+              db,
+              photo.photoId,
+              clientUsername
+            )
+          ),
+          selected: false,
+        }))
+      );
 
       res.json({
         success: true,
@@ -237,7 +312,14 @@ class ClientService {
           description,
           createdAt,
           updatedAt,
-          autoDeleteAt
+          autoDeleteAt,
+          watermark,
+          isFinal,
+          coverPhotoId,
+          sortMode,
+          sortDirection,
+          allowDownloads,
+          selectionLimit
          FROM PhotoCollection
          WHERE @rid IN (
            SELECT out FROM CollectionAccess 
@@ -250,7 +332,15 @@ class ClientService {
         }
       );
 
-      // Get photo count and first thumbnail for each collection
+      // Unread comments of all listed collections at once
+      const unreadComments = await this.commentService.unreadTotals(
+        db,
+        "client",
+        collections.map((c) => c.collectionId),
+        req.user
+      );
+
+      // Get photo count and cover thumbnail for each collection
       const collectionsWithDetails = await Promise.all(
         collections.map(async (c) => {
           // Count photos
@@ -263,26 +353,25 @@ class ClientService {
             }
           );
 
-          // Get first photo's thumbnail
-          const firstPhoto = await db.query(
-            `SELECT thumbnailDataB64 
-             FROM Photo 
-             WHERE @rid IN (
-               SELECT in FROM CollectionPhoto 
-               WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
-             )
-             AND isActive = true
-             ORDER BY uploadedAt ASC
-             LIMIT 1`,
-            {
-              params: { collectionId: c.collectionId },
-            }
+          // Cover photo (chosen by the photographer, or the first one)
+          const cover = await this.orderService.getCover(db, c);
+
+          // The client's favorites, limit and extra images request
+          const selection = await this.selectionService.loadSelection(
+            db,
+            c.collectionId,
+            clientUsername
           );
 
-          // Calculate days remaining until auto-deletion
+          // Proof watermark for this collection's photos (null = clean)
+          const watermark = this.watermarkService.activeConfig(c);
+
+          // Calculate days remaining until auto-deletion (null = never)
           const now = new Date();
           const deleteDate = new Date(c.autoDeleteAt);
-          const daysRemaining = Math.max(0, Math.ceil((deleteDate - now) / (1000 * 60 * 60 * 24)));
+          const daysRemaining = c.autoDeleteAt
+            ? Math.max(0, Math.ceil((deleteDate - now) / (1000 * 60 * 60 * 24)))
+            : null;
 
           return {
             collectionId: c.collectionId,
@@ -293,7 +382,35 @@ class ClientService {
             autoDeleteAt: c.autoDeleteAt,
             daysRemaining,
             photoCount: photoCount[0]?.count || 0,
-            thumbnailDataB64: firstPhoto[0]?.thumbnailDataB64 || null,
+            isFinal: !!c.isFinal,
+            watermarked: !!watermark,
+            allowDownloads: c.allowDownloads !== false,
+            selection: selection
+              ? SelectionService.summarize(
+                  {
+                    favorites: selection.favorites,
+                    selectionSubmittedAt: selection.submittedAt,
+                    extraApproved: selection.extraApproved,
+                    extraRequest: selection.extraRequest,
+                  },
+                  selection.selectionLimit
+                )
+              : null,
+            unreadComments: unreadComments.get(c.collectionId) || 0,
+            coverPhotoId: cover?.photoId || null,
+            coverPlaceholder: cover
+              ? {
+                  blurhash: cover.blurhash || null,
+                  dominantColor: cover.dominantColor || null,
+                }
+              : null,
+            thumbnailDataB64: cover
+              ? await this.watermarkService.getThumbnailBase64(
+                  db,
+                  cover,
+                  watermark
+                )
+              : null,
           };
         })
       );
@@ -341,10 +458,31 @@ class ClientService {
         });
       }
 
+      await this.accessService.markViewed(db, collectionId, clientUsername);
+
+      const collection = await db.query(
+        `SELECT collectionId, watermark, isFinal, sortMode, sortDirection
+         FROM PhotoCollection WHERE collectionId = :collectionId`,
+        { params: { collectionId } }
+      );
+      const watermark = this.watermarkService.activeConfig(collection[0]);
+
+      // The client's favorites, marked on the photos
+      const selection = await this.selectionService.loadSelection(
+        db,
+        collectionId,
+        clientUsername
+      );
+      const favorites = new Set(selection?.favorites || []);
+
       // Get all photos in this collection
-      const photos = await db.query(
+      const collectionPhotos = await db.query(
         `SELECT 
           @rid as id,
+          photoId,
+          photographerId,
+          storageKey,
+          renditions,
           filename,
           originalName,
           shareToken,
@@ -353,36 +491,64 @@ class ClientService {
           height,
           uploadedAt,
           tags,
-          thumbnailDataB64
+          caption,
+          thumbnailKey,
+          blurhash,
+          dominantColor,
+          mimetype,
+          mediaType,
+          duration
          FROM Photo
          WHERE @rid IN (
            SELECT in FROM CollectionPhoto 
            WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
          )
          AND isActive = true
-         ORDER BY uploadedAt DESC`,
+         AND (status IS NULL OR status = 'ready')`,
         {
           params: { collectionId },
         }
       );
 
-      const photosWithThumbnails = photos.map((p) => ({
-        id: p.id,
-        shareToken: p.shareToken,
-        filename: p.filename,
-        originalName: p.originalName,
-        size: p.size,
-        width: p.width,
-        height: p.height,
-        uploadedAt: p.uploadedAt,
-        tags: p.tags || [],
-        thumbnailDataB64: p.thumbnailDataB64,
-        selected: false,
-      }));
+      // In the collection's order
+      const photos = CollectionOrderService.applyOrder(
+        collectionPhotos,
+        await this.orderService.orderedPhotoIds(db, collection[0])
+      );
+
+      const photosWithThumbnails = await Promise.all(
+        photos.map(async (p) => ({
+          id: p.id,
+          photoId: p.photoId,
+          shareToken: p.shareToken,
+          filename: p.filename,
+          originalName: p.originalName,
+          size: p.size,
+          width: p.width,
+          height: p.height,
+          uploadedAt: p.uploadedAt,
+          tags: p.tags || [],
+          caption: p.caption || null,
+          blurhash: p.blurhash || null,
+          dominantColor: p.dominantColor || null,
+          mimetype: p.mimetype,
+          mediaType: p.mediaType || "image",
+          duration: p.duration ?? null,
+          thumbnailDataB64: await this.watermarkService.getThumbnailBase64(
+            db,
+            p,
+            watermark
+          ),
+          selected: false,
+          isFavorite: favorites.has(p.photoId),
+        }))
+      );
 
       res.json({
         success: true,
         photos: photosWithThumbnails,
+        watermarked: !!watermark,
+        selectionSubmitted: !!selection?.submittedAt,
       });
     } catch (error) {
       console.error("Get collection photos error:", error);
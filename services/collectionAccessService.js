@@ -0,0 +1,177 @@
+const Database = require("../Database/databaseClass");
+const eventEmitter = require("./eventEmitterService");
+
+/**
+ * Collection Access Service - Who a collection is shared with
+ *
+ * Sharing creates a CollectionAccess edge (PhotoCollection -> Client) with
+ * grantedAt; lastViewedAt is set each time the client opens the
+ * collection. Revoking deletes the edge and tells the client's open
+ * sessions straight away.
+ */
+class CollectionAccessService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  /**
+   * Remember that the client opened the collection
+   */
+  async markViewed(db, collectionId, clientUsername) {
+    await db.query(
+      `UPDATE CollectionAccess SET lastViewedAt = sysdate()
+       WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+       AND in IN (SELECT FROM Client WHERE username = :username)`,
+      { params: { collectionId, username: clientUsername } }
+    );
+  }
+
+  /**
+   * Is the collection the photographer's (and not deleted)?
+   */
+  async ownsCollection(db, collectionId, photographerId) {
+    const collections = await db.query(
+      `SELECT collectionId FROM PhotoCollection
+       WHERE collectionId = :collectionId AND photographerId = :photographerId
+       AND isActive = true AND scheduledDeletionDate IS NULL`,
+      { params: { collectionId, photographerId } }
+    );
+
+    return collections.length > 0;
+  }
+
+  /**
+   * Clients the collection is shared with, oldest share first
+   */
+  async listAccess(req, res) {
+    try {
+      const { collectionId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      if (!(await this.ownsCollection(db, collectionId, photographerId))) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const grants = await db.query(
+        `SELECT in.clientId as clientId, in.username as username,
+                in.clientName as clientName, in.isActive as isActive,
+                accessType, grantedAt, lastViewedAt
+         FROM CollectionAccess
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+         ORDER BY grantedAt ASC`,
+        { params: { collectionId } }
+      );
+
+      res.json({
+        success: true,
+        collectionId,
+        access: grants.map((grant) => ({
+          clientId: grant.clientId,
+          username: grant.username,
+          clientName: grant.clientName || null,
+          isActive: grant.isActive !== false,
+          accessType: grant.accessType || "view",
+          grantedAt: grant.grantedAt || null,
+          lastViewedAt: grant.lastViewedAt || null,
+        })),
+        total: grants.length,
+      });
+    } catch (error) {
+      console.error("List collection access error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve collection access",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Stop sharing the collection with one client
+   */
+  async revokeAccess(req, res) {
+    try {
+      const { collectionId, clientId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      if (!(await this.ownsCollection(db, collectionId, photographerId))) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const grants = await db.query(
+        `SELECT in.username as username FROM CollectionAccess
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+         AND in IN (SELECT FROM Client WHERE clientId = :clientId)`,
+        { params: { collectionId, clientId } }
+      );
+
+      if (grants.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection is not shared with this client",
+        });
+      }
+
+      await db.query(
+        `DELETE EDGE CollectionAccess
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+         AND in IN (SELECT FROM Client WHERE clientId = :clientId)`,
+        { params: { collectionId, clientId } }
+      );
+
+      console.log(
+        `🚫 Revoked access of ${grants[0].username} to collection ${collectionId}`
+      );
+
+      // The client's open gallery closes the collection right away
+      eventEmitter.emitCollectionEvent("access-revoked", {
+        collectionId,
+        photographerId,
+        clientId,
+        clientIds: [clientId],
+      });
+
+      res.json({
+        success: true,
+        message: "Access revoked",
+        collectionId,
+        clientId,
+      });
+    } catch (error) {
+      console.error("Revoke collection access error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke access",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+module.exports = CollectionAccessService;
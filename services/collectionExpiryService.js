@@ -0,0 +1,457 @@
+const { body, validationResult } = require("express-validator");
+const Database = require("../Database/databaseClass");
+const eventEmitter = require("./eventEmitterService");
+const CollectionOrderService = require("./collectionOrderService");
+const { toOrientDBDateTime } = require("../utils/dateFormatter");
+
+const EXPIRY_TYPES = ["never", "date", "afterShare"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EXPIRY_DAYS = 3650;
+
+/**
+ * Collection Expiry Service - When collections are deleted automatically
+ *
+ * PhotoCollection.expiry holds the policy:
+ *   { type: "never" }
+ *   { type: "date", expiresAt }       - fixed moment (ISO string)
+ *   { type: "afterShare", days }      - days after the first share
+ * and PhotoCollection.autoDeleteAt the deadline it works out to (null
+ * while there is none, e.g. an afterShare collection that was never
+ * shared). New collections get the policy from the request or the
+ * photographer's Photographer.defaultCollectionExpiry (never if unset).
+ */
+class CollectionExpiryService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.orderService = new CollectionOrderService();
+  }
+
+  static get TYPES() {
+    return EXPIRY_TYPES;
+  }
+
+  /**
+   * Validation for a policy in the request body
+   * @param {string} field - Body field holding the policy ("" = the body)
+   * @param {object} [options]
+   * @param {boolean} [options.optional] - The policy may be left out
+   * @param {boolean} [options.allowDate] - Fixed dates are allowed (not for
+   *   photographer defaults)
+   */
+  static getPolicyValidation(
+    field = "",
+    { optional = false, allowDate = true } = {}
+  ) {
+    const path = (name) => (field ? `${field}.${name}` : name);
+    const types = allowDate
+      ? EXPIRY_TYPES
+      : EXPIRY_TYPES.filter((type) => type !== "date");
+    const ofType =
+      (type) =>
+      (value, { req }) =>
+        (field ? req.body[field]?.type : req.body.type) === type;
+
+    const type = body(path("type"));
+
+    return [
+      (optional ? type.if(body(field || "type").exists()) : type)
+        .isIn(types)
+        .withMessage(`${path("type")} must be one of: ${types.join(", ")}`),
+      body(path("expiresAt"))
+        .if(ofType("date"))
+        .isISO8601()
+        .withMessage(`${path("expiresAt")} must be an ISO 8601 date`)
+        .custom((value) => new Date(value) > new Date())
+        .withMessage(`${path("expiresAt")} must be in the future`),
+      body(path("days"))
+        .if(ofType("afterShare"))
+        .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+        .withMessage(
+          `${path("days")} must be between 1 and ${MAX_EXPIRY_DAYS} days`
+        )
+        .toInt(),
+    ];
+  }
+
+  // Validation for extending the current deadline
+  static getExtendValidation() {
+    return [
+      body("days")
+        .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+        .withMessage(`days must be between 1 and ${MAX_EXPIRY_DAYS}`)
+        .toInt(),
+    ];
+  }
+
+  /**
+   * Policy as stored, from validated input
+   */
+  static normalizePolicy(policy) {
+    switch (policy?.type) {
+      case "date":
+        return {
+          type: "date",
+          expiresAt: new Date(policy.expiresAt).toISOString(),
+        };
+      case "afterShare":
+        return { type: "afterShare", days: parseInt(policy.days) };
+      default:
+        return { type: "never" };
+    }
+  }
+
+  /**
+   * Deadline a policy works out to
+   * @param {object} policy - Stored policy
+   * @param {Date|string|null} firstSharedAt
+   * @returns {Date|null}
+   */
+  static deadline(policy, firstSharedAt) {
+    if (policy?.type === "date") {
+      return new Date(policy.expiresAt);
+    }
+
+    if (policy?.type === "afterShare" && firstSharedAt) {
+      return new Date(new Date(firstSharedAt).getTime() + policy.days * DAY_MS);
+    }
+
+    return null;
+  }
+
+  /**
+   * Has the collection's policy run out by `now`? "never" collections and
+   * afterShare collections that were never shared don't expire. Collections
+   * from before policies existed fall back to autoDeleteAt.
+   */
+  static isExpired(collection, now = new Date()) {
+    if (!collection.expiry) {
+      return (
+        !!collection.autoDeleteAt && new Date(collection.autoDeleteAt) < now
+      );
+    }
+
+    const deadline = CollectionExpiryService.deadline(
+      CollectionExpiryService.normalizePolicy(collection.expiry),
+      collection.firstSharedAt
+    );
+
+    return !!deadline && deadline < now;
+  }
+
+  /**
+   * Policy and deadline as shown in collection listings
+   */
+  static describe(collection) {
+    const policy = collection.expiry
+      ? CollectionExpiryService.normalizePolicy(collection.expiry)
+      : { type: collection.autoDeleteAt ? "date" : "never" };
+
+    return {
+      ...policy,
+      firstSharedAt: collection.firstSharedAt || null,
+      autoDeleteAt: collection.autoDeleteAt || null,
+    };
+  }
+
+  /**
+   * Default policy for a photographer's new collections
+   */
+  async getDefaultPolicy(db, photographerId) {
+    const photographers = await db.query(
+      `SELECT defaultCollectionExpiry FROM Photographer
+       WHERE photographerId = :photographerId`,
+      { params: { photographerId } }
+    );
+
+    return CollectionExpiryService.normalizePolicy(
+      photographers[0]?.defaultCollectionExpiry
+    );
+  }
+
+  /**
+   * Store a policy on a collection together with its deadline
+   * @returns {Promise<Date|null>} the new deadline
+   */
+  async applyPolicy(db, collectionId, policy, firstSharedAt = null) {
+    const deadline = CollectionExpiryService.deadline(policy, firstSharedAt);
+
+    await db.query(
+      `UPDATE PhotoCollection
+       SET expiry = :expiry, autoDeleteAt = :autoDeleteAt, updatedAt = sysdate()
+       WHERE collectionId = :collectionId`,
+      {
+        params: {
+          collectionId,
+          expiry: policy,
+          autoDeleteAt: deadline ? toOrientDBDateTime(deadline) : null,
+        },
+      }
+    );
+
+    return deadline;
+  }
+
+  /**
+   * Remember the first share; afterShare collections start counting down
+   */
+  async onShared(db, collectionId) {
+    const collections = await db.query(
+      `SELECT expiry, firstSharedAt FROM PhotoCollection
+       WHERE collectionId = :collectionId`,
+      { params: { collectionId } }
+    );
+    const collection = collections[0];
+
+    if (!collection || collection.firstSharedAt) return;
+
+    const firstSharedAt = new Date();
+
+    await db.query(
+      `UPDATE PhotoCollection SET firstSharedAt = :firstSharedAt
+       WHERE collectionId = :collectionId`,
+      {
+        params: {
+          collectionId,
+          firstSharedAt: toOrientDBDateTime(firstSharedAt),
+        },
+      }
+    );
+
+    if (collection.expiry?.type === "afterShare") {
+      const deadline = await this.applyPolicy(
+        db,
+        collectionId,
+        collection.expiry,
+        firstSharedAt
+      );
+      console.log(
+        `⏱️ Collection ${collectionId} first shared, expires ${deadline.toISOString()}`
+      );
+    }
+  }
+
+  /**
+   * `expiryMinutes` of an upload request. It only sets a deadline on
+   * collections that don't have an expiry policy yet, so later uploads
+   * don't move it.
+   */
+  async applyUploadExpiry(db, collectionId, expiryMinutes) {
+    if (!(expiryMinutes > 0)) return;
+
+    const collections = await db.query(
+      `SELECT expiry, autoDeleteAt FROM PhotoCollection
+       WHERE collectionId = :collectionId`,
+      { params: { collectionId } }
+    );
+
+    if (
+      !collections[0] ||
+      collections[0].expiry ||
+      collections[0].autoDeleteAt
+    ) {
+      return;
+    }
+
+    const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
+    await this.applyPolicy(db, collectionId, {
+      type: "date",
+      expiresAt: expiresAt.toISOString(),
+    });
+    console.log(
+      `⏱️ Collection ${collectionId} expires in ${expiryMinutes} minutes`
+    );
+  }
+
+  /**
+   * Collection of the photographer, or null
+   */
+  async loadCollection(db, collectionId, photographerId) {
+    const collections = await db.query(
+      `SELECT collectionId, expiry, firstSharedAt, autoDeleteAt
+       FROM PhotoCollection
+       WHERE collectionId = :collectionId AND photographerId = :photographerId
+       AND isActive = true AND scheduledDeletionDate IS NULL`,
+      { params: { collectionId, photographerId } }
+    );
+
+    return collections[0] || null;
+  }
+
+  /**
+   * Shared flow of the handlers: validate, load the collection, let
+   * `change` return the new policy, store it and report the deadline.
+   * When `change` returns null the request is refused with `rejectMessage`.
+   */
+  async changeExpiry(req, res, change, message, rejectMessage) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const { collectionId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const collection = await this.loadCollection(
+        db,
+        collectionId,
+        photographerId
+      );
+
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const policy = change(collection);
+
+      if (!policy) {
+        return res.status(409).json({
+          success: false,
+          message: rejectMessage,
+        });
+      }
+
+      const deadline = await this.applyPolicy(
+        db,
+        collectionId,
+        policy,
+        collection.firstSharedAt
+      );
+
+      console.log(
+        `⏱️ Expiry of collection ${collectionId} set to ${policy.type}${
+          deadline ? ` (${deadline.toISOString()})` : ""
+        }`
+      );
+
+      eventEmitter.emitCollectionEvent("expiry-changed", {
+        collectionId,
+        photographerId,
+        clientIds: await this.orderService.clientIdsOf(db, collectionId),
+        expiry: policy,
+        autoDeleteAt: deadline ? deadline.toISOString() : null,
+      });
+
+      res.json({
+        success: true,
+        message,
+        expiry: CollectionExpiryService.describe({
+          ...collection,
+          expiry: policy,
+          autoDeleteAt: deadline ? deadline.toISOString() : null,
+        }),
+      });
+    } catch (error) {
+      console.error("Update collection expiry error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update collection expiry",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Set a collection's policy. Body: { type, expiresAt? | days? }
+   */
+  updateExpiry(req, res) {
+    return this.changeExpiry(
+      req,
+      res,
+      () => CollectionExpiryService.normalizePolicy(req.body),
+      "Collection expiry updated"
+    );
+  }
+
+  /**
+   * Push the deadline back by a number of days (from now if it has passed),
+   * keeping the policy's type: fixed dates move, afterShare policies get
+   * more days (up to MAX_EXPIRY_DAYS). Collections that never expire can't
+   * be extended. Body: { days }
+   */
+  extendExpiry(req, res) {
+    return this.changeExpiry(
+      req,
+      res,
+      (collection) => {
+        // Collections from before policies: a fixed date at autoDeleteAt
+        const policy = CollectionExpiryService.normalizePolicy(
+          collection.expiry ||
+            (collection.autoDeleteAt && {
+              type: "date",
+              expiresAt: collection.autoDeleteAt,
+            })
+        );
+
+        if (policy.type === "never") return null;
+
+        // Not shared yet: the countdown just gets longer
+        if (policy.type === "afterShare" && !collection.firstSharedAt) {
+          return {
+            type: "afterShare",
+            days: Math.min(policy.days + req.body.days, MAX_EXPIRY_DAYS),
+          };
+        }
+
+        const current = CollectionExpiryService.deadline(
+          policy,
+          collection.firstSharedAt
+        );
+        const extended =
+          Math.max(current ? current.getTime() : 0, Date.now()) +
+          req.body.days * DAY_MS;
+
+        if (policy.type === "afterShare") {
+          return {
+            type: "afterShare",
+            days: Math.min(
+              Math.ceil(
+                (extended - new Date(collection.firstSharedAt).getTime()) /
+                  DAY_MS
+              ),
+              MAX_EXPIRY_DAYS
+            ),
+          };
+        }
+
+        return { type: "date", expiresAt: new Date(extended).toISOString() };
+      },
+      `Collection expiry extended by ${req.body.days} days`,
+      "This collection doesn't expire; set an expiry policy instead"
+    );
+  }
+
+  /**
+   * Keep a collection until it is deleted by hand
+   */
+  clearExpiry(req, res) {
+    return this.changeExpiry(
+      req,
+      res,
+      () => ({ type: "never" }),
+      "Collection no longer expires"
+    );
+  }
+}
+
+module.exports = CollectionExpiryService;
@@ -0,0 +1,536 @@
+const { body, validationResult } = require("express-validator");
+const Database = require("../Database/databaseClass");
+const eventEmitter = require("./eventEmitterService");
+const { runInTransaction } = require("../utils/transaction");
+
+// How a collection's photos can be sorted. "manual" follows the position
+// stored on the CollectionPhoto edge (orderIndex).
+const SORT_MODES = ["manual", "uploadedAt", "capturedAt", "filename"];
+const DEFAULT_SORT = { mode: "manual", direction: "asc" };
+
+/**
+ * Collection Order Service - Photo order and cover photo of collections
+ *
+ * PhotoCollection.sortMode / sortDirection pick the order every listing
+ * shows; unset means manual. New photos are added at the end. The cover is
+ * PhotoCollection.coverPhotoId while that photo is in the collection and
+ * ready, otherwise the first photo in the collection's order.
+ */
+class CollectionOrderService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  // Validation for sort settings
+  static getSortValidation() {
+    return [
+      body("mode")
+        .isIn(SORT_MODES)
+        .withMessage(`mode must be one of: ${SORT_MODES.join(", ")}`),
+      body("direction")
+        .optional()
+        .isIn(["asc", "desc"])
+        .withMessage("direction must be asc or desc"),
+    ];
+  }
+
+  // Validation for reordering: photoIds go before/after a photo or at a
+  // position; without either they go first
+  static getReorderValidation() {
+    return [
+      body("photoIds")
+        .isArray({ min: 1 })
+        .withMessage("photoIds must be a non-empty array"),
+      body("photoIds.*").isString().withMessage("photoIds must be strings"),
+      body("beforePhotoId").optional().isString(),
+      body("afterPhotoId").optional().isString(),
+      body("position")
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage("position must be a whole number of at least 0"),
+    ];
+  }
+
+  // Validation for the cover photo (null = first photo)
+  static getCoverValidation() {
+    return [
+      body("photoId")
+        .custom((value) => value === null || typeof value === "string")
+        .withMessage("photoId must be a photo id, or null for the first photo"),
+    ];
+  }
+
+  /**
+   * Sort settings of a collection record
+   * @returns {{mode: string, direction: string}}
+   */
+  static sortOf(collection) {
+    const mode = SORT_MODES.includes(collection?.sortMode)
+      ? collection.sortMode
+      : DEFAULT_SORT.mode;
+
+    return {
+      mode,
+      // Manual order is always the stored positions, first to last
+      direction:
+        mode !== "manual" && collection.sortDirection === "desc"
+          ? "desc"
+          : "asc",
+    };
+  }
+
+  /**
+   * Sort CollectionPhoto entries (see loadEntries). Missing values go last;
+   * ties keep the manual order, then upload order.
+   */
+  static sortEntries(entries, sort) {
+    const time = (value) => (value ? new Date(value).getTime() : null);
+    const keyOf = {
+      manual: (entry) => entry.position,
+      uploadedAt: (entry) => time(entry.uploadedAt),
+      capturedAt: (entry) => time(entry.capturedAt),
+      filename: (entry) => entry.originalName || null,
+    }[sort.mode];
+    const compare = (a, b, sign = 1) => {
+      if (a === b) return 0;
+      if (a === null || a === undefined) return 1;
+      if (b === null || b === undefined) return -1;
+      return (
+        sign *
+        (typeof a === "string"
+          ? a.localeCompare(b, undefined, {
+              numeric: true,
+              sensitivity: "base",
+            })
+          : a - b)
+      );
+    };
+
+    return [...entries].sort(
+      (a, b) =>
+        compare(keyOf(a), keyOf(b), sort.direction === "desc" ? -1 : 1) ||
+        compare(a.position, b.position) ||
+        compare(time(a.uploadedAt), time(b.uploadedAt))
+    );
+  }
+
+  /**
+   * Photos of a collection with what they are sorted by
+   * @param {object} db - Open database session
+   * @returns {Promise<Array<object>>} { photoId, position, uploadedAt,
+   *   capturedAt, originalName, status }
+   */
+  async loadEntries(db, collectionId) {
+    return db.query(
+      `SELECT in.photoId as photoId, orderIndex as position,
+              in.uploadedAt as uploadedAt, in.exif.capturedAt as capturedAt,
+              in.originalName as originalName, in.status as status
+       FROM CollectionPhoto
+       WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+       AND in.scheduledDeletionDate IS NULL`,
+      { params: { collectionId } }
+    );
+  }
+
+  /**
+   * photoIds of a collection in its display order
+   * @param {object} collection - Needs collectionId, sortMode, sortDirection
+   */
+  async orderedPhotoIds(db, collection) {
+    const entries = await this.loadEntries(db, collection.collectionId);
+
+    return CollectionOrderService.sortEntries(
+      entries,
+      CollectionOrderService.sortOf(collection)
+    ).map((entry) => entry.photoId);
+  }
+
+  /**
+   * Put photo records in the order of orderedPhotoIds (unknown ones last)
+   */
+  static applyOrder(photos, photoIds) {
+    const rank = new Map(photoIds.map((photoId, i) => [photoId, i]));
+    const rankOf = (photo) => rank.get(photo.photoId) ?? photoIds.length;
+
+    return [...photos].sort((a, b) => rankOf(a) - rankOf(b));
+  }
+
+  /**
+   * Cover photo of a collection, with what listings need to show it
+   * @param {object} collection - Needs collectionId, coverPhotoId and the
+   *   sort settings
+   * @returns {Promise<object|null>} Photo record, null for an empty collection
+   */
+  async getCover(db, collection) {
+    const entries = (
+      await this.loadEntries(db, collection.collectionId)
+    ).filter((entry) => !entry.status || entry.status === "ready");
+
+    if (entries.length === 0) return null;
+
+    const explicit = entries.find(
+      (entry) => entry.photoId === collection.coverPhotoId
+    );
+    const cover =
+      explicit ||
+      CollectionOrderService.sortEntries(
+        entries,
+        CollectionOrderService.sortOf(collection)
+      )[0];
+
+    const photos = await db.query(
+      `SELECT photoId, photographerId, storageKey, thumbnailKey, renditions,
+              blurhash, dominantColor, mediaType
+       FROM Photo WHERE photoId = :photoId`,
+      { params: { photoId: cover.photoId } }
+    );
+
+    return photos[0] || null;
+  }
+
+  /**
+   * Position for a photo added at the end of a collection
+   */
+  async nextPosition(db, collectionId) {
+    const last = await db.query(
+      `SELECT max(orderIndex) as maxIndex FROM CollectionPhoto
+       WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)`,
+      { params: { collectionId } }
+    );
+
+    return (last[0]?.maxIndex ?? -1) + 1;
+  }
+
+  /**
+   * clientIds the collection is shared with, to notify them of changes
+   */
+  async clientIdsOf(db, collectionId) {
+    const clients = await db.query(
+      `SELECT in.clientId as clientId FROM CollectionAccess
+       WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)`,
+      { params: { collectionId } }
+    );
+
+    return clients.map((client) => client.clientId).filter(Boolean);
+  }
+
+  /**
+   * Collection of the photographer, or null
+   */
+  async loadCollection(db, collectionId, photographerId) {
+    const collections = await db.query(
+      `SELECT collectionId, sortMode, sortDirection, coverPhotoId
+       FROM PhotoCollection
+       WHERE collectionId = :collectionId AND photographerId = :photographerId
+       AND isActive = true AND scheduledDeletionDate IS NULL`,
+      { params: { collectionId, photographerId } }
+    );
+
+    return collections[0] || null;
+  }
+
+  /**
+   * Choose how a collection's photos are sorted. Body: { mode, direction }
+   */
+  async updateSort(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const { collectionId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const collection = await this.loadCollection(
+        db,
+        collectionId,
+        photographerId
+      );
+
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const sort = CollectionOrderService.sortOf({
+        sortMode: req.body.mode,
+        sortDirection: req.body.direction,
+      });
+
+      await db.query(
+        `UPDATE PhotoCollection
+         SET sortMode = :mode, sortDirection = :direction, updatedAt = sysdate()
+         WHERE collectionId = :collectionId`,
+        { params: { collectionId, ...sort } }
+      );
+
+      eventEmitter.emitCollectionEvent("reordered", {
+        collectionId,
+        photographerId,
+        clientIds: await this.clientIdsOf(db, collectionId),
+        sort,
+      });
+
+      res.json({
+        success: true,
+        message: "Sort order updated",
+        sort,
+      });
+    } catch (error) {
+      console.error("Update collection sort error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update sort order",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Move photos to a new place in the manual order, e.g. a drag-and-drop of
+   * a selection. Body: { photoIds, beforePhotoId? | afterPhotoId? | position? }
+   *
+   * The order the collection is shown in is the starting point, and the
+   * collection switches to manual sorting.
+   */
+  async reorderPhotos(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { beforePhotoId, afterPhotoId, position } = req.body;
+    const anchors = [beforePhotoId, afterPhotoId, position].filter(
+      (value) => value !== undefined
+    );
+
+    if (anchors.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Use only one of beforePhotoId, afterPhotoId and position",
+      });
+    }
+
+    try {
+      const { collectionId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+      const moving = [...new Set(req.body.photoIds)];
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const collection = await this.loadCollection(
+        db,
+        collectionId,
+        photographerId
+      );
+
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const entries = CollectionOrderService.sortEntries(
+        await this.loadEntries(db, collectionId),
+        CollectionOrderService.sortOf(collection)
+      );
+      const current = entries.map((entry) => entry.photoId);
+
+      const unknown = moving.filter((photoId) => !current.includes(photoId));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Some photos are not in this collection",
+          photoIds: unknown,
+        });
+      }
+
+      const anchor = beforePhotoId ?? afterPhotoId;
+      if (anchor !== undefined && !current.includes(anchor)) {
+        return res.status(400).json({
+          success: false,
+          message: "The photo to move next to is not in this collection",
+        });
+      }
+      if (anchor !== undefined && moving.includes(anchor)) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot move photos next to one of themselves",
+        });
+      }
+
+      const rest = current.filter((photoId) => !moving.includes(photoId));
+      const index =
+        beforePhotoId !== undefined
+          ? rest.indexOf(beforePhotoId)
+          : afterPhotoId !== undefined
+          ? rest.indexOf(afterPhotoId) + 1
+          : Math.min(position ?? 0, rest.length);
+      const order = [...rest.slice(0, index), ...moving, ...rest.slice(index)];
+
+      // Rewrite the positions that changed, together with the sort mode
+      const positionOf = new Map(
+        entries.map((entry) => [entry.photoId, entry.position])
+      );
+      const params = { collectionId };
+      const statements = [
+        `UPDATE PhotoCollection SET sortMode = 'manual', sortDirection = 'asc',
+         updatedAt = sysdate() WHERE collectionId = :collectionId`,
+      ];
+
+      order.forEach((photoId, i) => {
+        if (positionOf.get(photoId) === i) return;
+
+        params[`photo${i}`] = photoId;
+        statements.push(
+          `UPDATE CollectionPhoto SET orderIndex = ${i}
+           WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+           AND in IN (SELECT FROM Photo WHERE photoId = :photo${i})`
+        );
+      });
+
+      await runInTransaction(db, statements, params);
+
+      console.log(
+        `↕️  Moved ${moving.length} photos in collection ${collectionId} (${
+          statements.length - 1
+        } positions updated)`
+      );
+
+      eventEmitter.emitCollectionEvent("reordered", {
+        collectionId,
+        photographerId,
+        clientIds: await this.clientIdsOf(db, collectionId),
+        sort: DEFAULT_SORT,
+      });
+
+      res.json({
+        success: true,
+        message: `${moving.length} photo(s) moved`,
+        sort: DEFAULT_SORT,
+        photoIds: order,
+      });
+    } catch (error) {
+      console.error("Reorder collection photos error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reorder photos",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Choose the cover photo. Body: { photoId } (null = first photo)
+   */
+  async setCover(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const { collectionId } = req.params;
+      const { photoId } = req.body;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const collection = await this.loadCollection(
+        db,
+        collectionId,
+        photographerId
+      );
+
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      if (photoId !== null) {
+        const entries = await this.loadEntries(db, collectionId);
+
+        if (!entries.some((entry) => entry.photoId === photoId)) {
+          return res.status(400).json({
+            success: false,
+            message: "The cover photo must be in this collection",
+          });
+        }
+      }
+
+      await db.query(
+        `UPDATE PhotoCollection SET coverPhotoId = :photoId, updatedAt = sysdate()
+         WHERE collectionId = :collectionId`,
+        { params: { collectionId, photoId } }
+      );
+
+      eventEmitter.emitCollectionEvent("cover-changed", {
+        collectionId,
+        photographerId,
+        clientIds: await this.clientIdsOf(db, collectionId),
+        coverPhotoId: photoId,
+      });
+
+      res.json({
+        success: true,
+        message:
+          photoId === null
+            ? "The first photo is now the cover"
+            : "Cover photo updated",
+        coverPhotoId: photoId,
+      });
+    } catch (error) {
+      console.error("Set collection cover error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update cover photo",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+module.exports = CollectionOrderService;
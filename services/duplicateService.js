@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// What to do with an upload that duplicates an existing photo
+const DUPLICATE_ACTIONS = ["skip", "replace", "keep-both"];
+const DEFAULT_DUPLICATE_ACTION = "keep-both";
+
+// pHash works on the 8x8 lowest frequencies of a 32x32 greyscale copy
+const HASH_SOURCE_SIZE = 32;
+const HASH_SIZE = 8;
+
+// COS_TABLE[u][x] = cos((2x + 1) * u * PI / 64), shared by every hash
+const COS_TABLE = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Array.from({ length: HASH_SOURCE_SIZE }, (_, x) =>
+    Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SOURCE_SIZE))
+  )
+);
+
+/**
+ * Duplicate Service - Spots re-uploads of photos a photographer already has
+ *
+ * Every upload gets a SHA-256 checksum of its bytes (exact duplicates) and a
+ * 64-bit perceptual hash (near duplicates: re-exports, small edits, other
+ * sizes). Photos whose hashes differ in at most DUPLICATE_PHASH_THRESHOLD
+ * bits (default 8) count as near duplicates.
+ */
+class DuplicateService {
+  constructor() {
+    const threshold = parseInt(process.env.DUPLICATE_PHASH_THRESHOLD);
+    this.threshold = Number.isNaN(threshold) ? 8 : threshold;
+  }
+
+  /**
+   * SHA-256 of a file's bytes, hex encoded
+   */
+  checksum(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+  }
+
+  /**
+   * DCT-based perceptual hash of an image, as 16 hex characters
+   * @param {Buffer} buffer - Any image sharp can read; its EXIF orientation
+   *   is applied first, so uploads hash like their processed version
+   * @returns {Promise<string>}
+   */
+  async perceptualHash(buffer) {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .greyscale()
+      .resize(HASH_SOURCE_SIZE, HASH_SOURCE_SIZE, { fit: "fill" })
+      .raw()
+      .toBuffer();
+
+    const coefficients = [];
+    for (let u = 0; u < HASH_SIZE; u++) {
+      for (let v = 0; v < HASH_SIZE; v++) {
+        let sum = 0;
+        for (let y = 0; y < HASH_SOURCE_SIZE; y++) {
+          for (let x = 0; x < HASH_SOURCE_SIZE; x++) {
+            sum +=
+              pixels[y * HASH_SOURCE_SIZE + x] *
+              COS_TABLE[u][y] *
+              COS_TABLE[v][x];
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // The DC term is the average brightness; leave it out of the median
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+
+    let hash = 0n;
+    for (const coefficient of coefficients) {
+      hash = (hash << 1n) | (coefficient > median ? 1n : 0n);
+    }
+
+    return hash.toString(16).padStart(16, "0");
+  }
+
+  /**
+   * Number of differing bits between two hex hashes
+   */
+  hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+
+    while (diff > 0n) {
+      distance += Number(diff & 1n);
+      diff >>= 1n;
+    }
+
+    return distance;
+  }
+
+  /**
+   * Load the hashes of a photographer's library, marking the photos that
+   * are in the collection being uploaded to
+   * @returns {Promise<Array<object>>} entries for findMatch
+   */
+  async loadLibrary(db, photographerId, collectionId) {
+    const photos = await db.query(
+      `SELECT photoId, originalName, checksum, phash, status FROM Photo
+       WHERE photographerId = :photographerId
+       AND isActive = true
+       AND scheduledDeletionDate IS NULL
+       AND (checksum IS NOT NULL OR phash IS NOT NULL)`,
+      { params: { photographerId } }
+    );
+
+    const inCollection = await db.query(
+      `SELECT in.photoId as photoId FROM CollectionPhoto
+       WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)`,
+      { params: { collectionId } }
+    );
+    const collectionPhotoIds = new Set(inCollection.map((p) => p.photoId));
+
+    return photos.map((photo) => ({
+      photoId: photo.photoId,
+      originalName: photo.originalName,
+      checksum: photo.checksum,
+      phash: photo.phash,
+      status: photo.status || "ready",
+      inCollection: collectionPhotoIds.has(photo.photoId),
+    }));
+  }
+
+  /**
+   * Best duplicate of an upload in the library: exact matches beat near
+   * ones, and photos in the target collection beat the rest of the library
+   * @param {Array<object>} library - From loadLibrary
+   * @param {{checksum: string, phash: string}} hashes
+   * @returns {object|null} { photoId, originalName, type, distance, scope }
+   */
+  findMatch(library, { checksum, phash }) {
+    let best = null;
+
+    for (const entry of library) {
+      let distance;
+      if (checksum && entry.checksum === checksum) {
+        distance = 0;
+      } else if (phash && entry.phash) {
+        distance = this.hammingDistance(phash, entry.phash);
+        if (distance > this.threshold) continue;
+      } else {
+        continue;
+      }
+
+      const type = entry.checksum === checksum ? "exact" : "near";
+      const rank = [type === "exact", entry.inCollection, -distance];
+
+      if (!best || this.compareRank(rank, best.rank) > 0) {
+        best = { entry, type, distance, rank };
+      }
+    }
+
+    if (!best) return null;
+
+    return {
+      photoId: best.entry.photoId,
+      originalName: best.entry.originalName,
+      type: best.type,
+      distance: best.distance,
+      scope: best.entry.inCollection ? "collection" : "library",
+    };
+  }
+
+  compareRank(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return a[i] > b[i] ? 1 : -1;
+    }
+    return 0;
+  }
+
+  /**
+   * Read the duplicate handling of an upload request:
+   *   onDuplicate      - skip | replace | keep-both for every file
+   *   duplicateActions - JSON object of per-file overrides, by file name
+   * @returns {Function} (filename) => action
+   */
+  getActionResolver(body = {}) {
+    const fallback = DUPLICATE_ACTIONS.includes(body.onDuplicate)
+      ? body.onDuplicate
+      : DEFAULT_DUPLICATE_ACTION;
+
+    let perFile = {};
+    if (body.duplicateActions) {
+      try {
+        perFile =
+          typeof body.duplicateActions === "string"
+            ? JSON.parse(body.duplicateActions)
+            : body.duplicateActions;
+      } catch (e) {
+        console.error("Error parsing duplicateActions:", e);
+      }
+    }
+
+    return (filename) =>
+      DUPLICATE_ACTIONS.includes(perFile?.[filename])
+        ? perFile[filename]
+        : fallback;
+  }
+}
+
+DuplicateService.ACTIONS = DUPLICATE_ACTIONS;
+DuplicateService.DEFAULT_ACTION = DEFAULT_DUPLICATE_ACTION;
+
+module.exports = DuplicateService;
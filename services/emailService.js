@@ -330,9 +330,11 @@ Stoyanography Share Team
               : ""
           }
           <p><strong>Photos:</strong> ${collectionInfo.photoCount || 0}</p>
-          <p><strong>Auto-deletes in:</strong> ${
-            collectionInfo.daysRemaining || 14
-          } days</p>
+          ${
+            collectionInfo.daysRemaining != null
+              ? `<p><strong>Auto-deletes in:</strong> ${collectionInfo.daysRemaining} days</p>`
+              : ""
+          }
         </div>
         
         <p style="margin: 30px 0;">
@@ -377,7 +379,11 @@ ${
     : ""
 }
 - Photos: ${collectionInfo.photoCount || 0}
-- Auto-deletes in: ${collectionInfo.daysRemaining || 14} days
+${
+  collectionInfo.daysRemaining != null
+    ? `- Auto-deletes in: ${collectionInfo.daysRemaining} days`
+    : ""
+}
 
 Login to view: ${process.env.FRONTEND_URL || "http://localhost:3001"}/login
 
@@ -1,11 +1,38 @@
 const multer = require("multer");
 const sharp = require("sharp");
+const heicDecode = require("heic-decode");
 const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
 const Database = require("../Database/databaseClass");
 const EncryptionService = require("./encryptionService");
 const SoftDeleteService = require("./softDeleteService");
-const { now, toOrientDBDateTime } = require("../utils/dateFormatter");
+const StorageService = require("./storageService");
+const RenditionService = require("./renditionService");
+const ExifService = require("./exifService");
+const WatermarkService = require("./watermarkService");
+const DuplicateService = require("./duplicateService");
+const VideoService = require("./videoService");
+const QuotaService = require("./quotaService");
+const CollectionOrderService = require("./collectionOrderService");
+const CollectionExpiryService = require("./collectionExpiryService");
+const jobQueue = require("./jobQueueService");
+const eventEmitter = require("./eventEmitterService");
+const { now } = require("../utils/dateFormatter");
+const {
+  sendStoredObject,
+  contentDisposition,
+} = require("../utils/sendStoredObject");
+const { normalizeTags } = require("../utils/photoTags");
+const {
+  IMAGE_FORMATS,
+  VIDEO_FORMATS,
+  formatOfMimetype,
+  formatOfFilename,
+  isVideoFormat,
+  isSupportedUpload,
+  detectFormat,
+  downloadFilename,
+} = require("../utils/imageFormats");
 
 class EnhancedPhotoService {
   constructor() {
@@ -17,23 +44,42 @@ class EnhancedPhotoService {
     );
     this.encryption = new EncryptionService();
     this.softDeleteService = new SoftDeleteService();
+    this.storage = new StorageService();
+    this.renditionService = new RenditionService();
+    this.exifService = new ExifService();
+    this.watermarkService = new WatermarkService();
+    this.duplicateService = new DuplicateService();
+    this.quotaService = new QuotaService();
+    this.orderService = new CollectionOrderService();
+    this.expiryService = new CollectionExpiryService();
+    this.videoService = new VideoService();
     this.maxPhotoSize = parseInt(process.env.MAX_PHOTO_SIZE) || 52428800; // 50MB
+    this.maxVideoSize = parseInt(process.env.MAX_VIDEO_SIZE) || 209715200; // 200MB
     this.compressionQuality =
       parseFloat(process.env.PHOTO_COMPRESSION_QUALITY) || 0.8;
   }
 
-  // Configure multer for memory storage (we'll process and store in DB)
+  // Configure multer for memory storage (we'll process and write to blob storage)
   getMulterConfig() {
     const storage = multer.memoryStorage();
 
+    // JPEG, PNG, WebP, GIF, AVIF, HEIC/HEIF and TIFF images, MP4 and MOV
+    // videos (see utils/imageFormats)
     const fileFilter = (req, file, cb) => {
-      if (file.mimetype.startsWith("image/")) {
+      if (isSupportedUpload(file)) {
         cb(null, true);
       } else {
-        cb(new Error("Only image files are allowed"), false);
+        cb(
+          new Error(
+            "Only JPEG, PNG, WebP, GIF, AVIF, HEIC and TIFF images and MP4 and MOV videos are allowed"
+          ),
+          false
+        );
       }
     };
 
+    // Files are buffered in memory, so every file is held to the photo
+    // limit while it streams in; videos above it use resumable uploads
     return multer({
       storage: storage,
       fileFilter: fileFilter,
@@ -43,41 +89,115 @@ class EnhancedPhotoService {
     });
   }
 
-  async processImage(buffer, mimetype) {
+  /**
+   * Error handler for the multipart upload routes: files over the limit
+   * get a 413 instead of failing the whole request with a 500
+   */
+  handleUploadError(error, req, res, next) {
+    if (!(error instanceof multer.MulterError)) return next(error);
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      const megabytes = (bytes) => Math.round(bytes / 1024 / 1024);
+
+      return res.status(413).json({
+        success: false,
+        message: `Files can be up to ${megabytes(
+          this.maxPhotoSize
+        )}MB here. Upload videos up to ${megabytes(
+          this.maxVideoSize
+        )}MB with the resumable uploads (/api/photographer/uploads).`,
+        maxSize: this.maxPhotoSize,
+        maxVideoSize: this.maxVideoSize,
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  /**
+   * Size limit for an upload, by its declared type
+   * @param {{mimetype: string, originalname: string}} file
+   */
+  maxUploadSize(file) {
+    const format =
+      formatOfMimetype(file.mimetype) || formatOfFilename(file.originalname);
+
+    return isVideoFormat(format) ? this.maxVideoSize : this.maxPhotoSize;
+  }
+
+  /**
+   * Prepare an upload for storage: read its EXIF, apply the EXIF orientation
+   * and strip metadata according to the photographer's policy.
+   * Browser-friendly formats (JPEG, PNG, WebP) keep their format and are only
+   * re-encoded when something actually has to change; the others (HEIC,
+   * TIFF, AVIF, GIF) get a JPEG derivative. The upload itself is not modified.
+   * @returns {Promise<{processedBuffer: Buffer, mimetype: string,
+   *   extension: string, original: {mimetype: string, extension: string},
+   *   exif: object, placeholder: object, metadata: object}>}
+   */
+  async processImage(
+    buffer,
+    mimetype,
+    exifPolicy = ExifService.DEFAULT_POLICY
+  ) {
     try {
-      // Get image metadata
-      const metadata = await sharp(buffer).metadata();
+      // sharp can't read HEVC-compressed HEIC, so metadata may be missing
+      const metadata = await sharp(buffer)
+        .metadata()
+        .catch(() => null);
+      const format = detectFormat(buffer, metadata);
+
+      if (!IMAGE_FORMATS[format]) {
+        throw new Error(`Unsupported image format (${mimetype})`);
+      }
+
+      const exif = this.exifService.parse(metadata?.exif);
+      const orientation = metadata?.orientation || 1;
 
       // Create optimized version
       let processedBuffer = buffer;
-      let thumbnailBuffer;
+      let outputFormat = format;
+      let outputMetadata = metadata;
 
-      // Compress image if it's too large or wrong format
+      // Re-encode if it's too large, not a web format, needs rotating or
+      // carries EXIF the policy doesn't allow
       if (
-        metadata.size > this.maxPhotoSize * 0.5 ||
-        mimetype !== "image/jpeg"
+        buffer.length > this.maxPhotoSize * 0.5 ||
+        !IMAGE_FORMATS[format].web ||
+        orientation !== 1 ||
+        this.exifService.needsStripping(exif, exifPolicy)
       ) {
-        processedBuffer = await sharp(buffer)
-          .jpeg({ quality: Math.round(this.compressionQuality * 100) })
-          .toBuffer();
-      }
+        outputFormat = IMAGE_FORMATS[format].web ? format : "jpeg";
+
+        const source =
+          format === "heic" ? await this.decodeHeic(buffer) : sharp(buffer);
+        const pipeline = this.exifService.applyPolicy(
+          source.rotate(),
+          exif,
+          exifPolicy
+        );
 
-      // Create thumbnail (300x300 max, maintain aspect ratio)
-      thumbnailBuffer = await sharp(buffer)
-        .resize(300, 300, {
-          fit: "inside",
-          withoutEnlargement: true,
-        })
-        .jpeg({ quality: 70 })
-        .toBuffer();
+        processedBuffer = await this.encode(pipeline, outputFormat).toBuffer();
+        outputMetadata = await sharp(processedBuffer).metadata();
+      }
 
       return {
         processedBuffer,
-        thumbnailBuffer,
+        mimetype: IMAGE_FORMATS[outputFormat].mimetype,
+        extension: IMAGE_FORMATS[outputFormat].extension,
+        original: {
+          mimetype: IMAGE_FORMATS[format].mimetype,
+          extension: IMAGE_FORMATS[format].extension,
+        },
+        exif: this.exifService.getCaptureData(exif, orientation),
+        placeholder: await this.renditionService.placeholder(processedBuffer),
         metadata: {
-          width: metadata.width,
-          height: metadata.height,
-          format: metadata.format,
+          width: outputMetadata.width,
+          height: outputMetadata.height,
+          format,
           size: processedBuffer.length,
           originalSize: buffer.length,
         },
@@ -87,6 +207,778 @@ class EnhancedPhotoService {
     }
   }
 
+  /**
+   * Decode a HEIC file into a sharp pipeline (libheif applies its rotation)
+   */
+  async decodeHeic(buffer) {
+    const { width, height, data } = await heicDecode({ buffer });
+
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+      raw: { width, height, channels: 4 },
+    });
+  }
+
+  /**
+   * Prepare a video upload. The clip is delivered as uploaded; its poster
+   * frame stands in for it wherever an image is needed (thumbnail,
+   * renditions, placeholder).
+   * @returns {Promise<{processedBuffer: Buffer, mimetype: string,
+   *   extension: string, exif: null, placeholder: object, metadata: object,
+   *   poster: Buffer, duration: number|null}>}
+   */
+  async processVideo(buffer, mimetype) {
+    const format = formatOfMimetype(mimetype);
+
+    if (!isVideoFormat(format)) {
+      throw new Error(`Unsupported video format (${mimetype})`);
+    }
+
+    try {
+      const { poster, duration, width, height, codec, hasAudio } =
+        await this.videoService.analyze(buffer);
+
+      return {
+        processedBuffer: buffer,
+        mimetype: VIDEO_FORMATS[format].mimetype,
+        extension: VIDEO_FORMATS[format].extension,
+        exif: null,
+        placeholder: await this.renditionService.placeholder(poster),
+        metadata: {
+          width,
+          height,
+          format,
+          codec,
+          hasAudio,
+          size: buffer.length,
+          originalSize: buffer.length,
+        },
+        poster,
+        duration,
+      };
+    } catch (error) {
+      throw new Error(`Video processing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Encode a pipeline as one of the web formats
+   */
+  encode(pipeline, format) {
+    const quality = Math.round(this.compressionQuality * 100);
+
+    switch (format) {
+      case "png":
+        return pipeline.png({ compressionLevel: 9 });
+      case "webp":
+        return pipeline.webp({ quality });
+      default:
+        // JPEG has no alpha channel; transparent areas become white, not black
+        return pipeline.flatten({ background: "#ffffff" }).jpeg({ quality });
+    }
+  }
+
+  /**
+   * Point a photo row (storageKey, mimetype, originalKey, originalMimetype)
+   * at the untouched upload instead of the web version, where one was kept
+   */
+  originalFileOf(photo) {
+    if (!photo.originalKey) {
+      return { ...photo, mimetype: photo.mimetype || "image/jpeg" };
+    }
+
+    return {
+      ...photo,
+      storageKey: photo.originalKey,
+      mimetype: photo.originalMimetype || photo.mimetype || "image/jpeg",
+    };
+  }
+
+  /**
+   * Upload response entry (in `errors`) for a duplicate that was skipped
+   */
+  skippedDuplicate(file, duplicate) {
+    console.log(
+      `⏭️ Skipping ${file.originalname}: ${duplicate.type} duplicate of ${duplicate.photoId}`
+    );
+
+    return {
+      filename: file.originalname,
+      error:
+        duplicate.type === "exact"
+          ? `Skipped: identical to "${duplicate.originalName}"`
+          : `Skipped: near-duplicate of "${duplicate.originalName}"`,
+      duplicate: { ...duplicate, decision: "skipped" },
+    };
+  }
+
+  /**
+   * Swap an existing photo in a collection for its re-upload: the old photo
+   * goes to the deleted items and the collection cover follows the new one
+   */
+  async replaceDuplicate(db, oldPhotoId, newPhotoId, collectionId) {
+    await this.softDeleteService.markForDeletion(
+      "Photo",
+      oldPhotoId,
+      `Replaced by re-upload ${newPhotoId}`,
+      "photoId"
+    );
+
+    await db.query(
+      `UPDATE PhotoCollection SET coverPhotoId = :newPhotoId
+       WHERE collectionId = :collectionId AND coverPhotoId = :oldPhotoId`,
+      { params: { collectionId, oldPhotoId, newPhotoId } }
+    );
+
+    console.log(`🔁 Replaced photo ${oldPhotoId} with ${newPhotoId}`);
+  }
+
+  /**
+   * EXIF strip policy of a photographer (see ExifService)
+   */
+  async getExifPolicy(db, photographerId) {
+    const rows = await db.query(
+      `SELECT exifStripPolicy FROM Photographer WHERE photographerId = :photographerId`,
+      { params: { photographerId } }
+    );
+
+    return this.exifService.normalizePolicy(rows[0]?.exifStripPolicy);
+  }
+
+  /**
+   * Everything uploadPhoto needs to know about the request, shared by
+   * multipart uploads and finalized resumable uploads
+   * @param {object} db - Open database session
+   * @param {object} user - req.user
+   * @param {object} options - collectionId, tags (comma separated),
+   *   onDuplicate, duplicateActions
+   */
+  async createUploadContext(db, user, options) {
+    const photographerId = user.photographerId || user.userId;
+
+    return {
+      photographerId,
+      collectionId: options.collectionId,
+      tags: normalizeTags(options.tags),
+      // Hashes of the photographer's library, to flag re-uploads. Files
+      // stored with this context are added as they go, so exact copies
+      // within one batch count too.
+      library: await this.duplicateService.loadLibrary(
+        db,
+        photographerId,
+        options.collectionId
+      ),
+      duplicateActionFor: this.duplicateService.getActionResolver(options),
+      // Limits and usage, updated as files are stored (null for admins)
+      quota: await this.quotaService.getStatus(db, photographerId),
+    };
+  }
+
+  /**
+   * Detect what an uploaded file really is. Only the header is read here;
+   * decoding happens in the worker.
+   * @returns {Promise<{format: string, mediaType: string, mimetype: string,
+   *   extension: string, metadata: object|null}>}
+   */
+  async inspectUpload(file) {
+    // sharp can't read HEVC-compressed HEIC (or videos), so metadata may be
+    // missing
+    const metadata = await sharp(file.buffer)
+      .metadata()
+      .catch(() => null);
+    const format = detectFormat(file.buffer, metadata);
+
+    if (!format) {
+      throw new Error(`Unsupported file format (${file.mimetype})`);
+    }
+
+    const mediaType = isVideoFormat(format) ? "video" : "image";
+    const { mimetype, extension } =
+      mediaType === "video" ? VIDEO_FORMATS[format] : IMAGE_FORMATS[format];
+
+    return { format, mediaType, mimetype, extension, metadata };
+  }
+
+  /**
+   * Store one uploaded file as received and queue its processing: the
+   * original blob, a Photo record in the "processing" state and the
+   * CollectionPhoto edge. Exact and near duplicates are decided here, so the
+   * response reports them; the web version and renditions are made by the
+   * "photo.process" job (see processPhotoJob).
+   * The stored original is removed again if a later step fails.
+   * @param {object} db - Open database session
+   * @param {{buffer: Buffer, originalname: string, mimetype: string}} file
+   * @param {object} context - From createUploadContext
+   * @returns {Promise<{photo: object}|{skipped: object}|{rejected: object}>}
+   *   the response entry for `photos`, or for `errors` when it was skipped
+   *   as a duplicate or rejected for its size or the quota
+   */
+  async storeUploadedFile(db, file, context) {
+    const {
+      photographerId,
+      collectionId,
+      tags,
+      library,
+      duplicateActionFor,
+      quota,
+    } = context;
+
+    // Key written to storage for this file, removed again if the DB insert fails
+    let originalKey = null;
+
+    try {
+      const checksum = this.duplicateService.checksum(file.buffer);
+      const duplicateAction = duplicateActionFor(file.originalname);
+
+      // Exact copies being skipped don't need processing at all
+      const exactDuplicate = this.duplicateService.findMatch(library, {
+        checksum,
+      });
+      if (exactDuplicate && duplicateAction === "skip") {
+        return { skipped: this.skippedDuplicate(file, exactDuplicate) };
+      }
+
+      const maxSize = this.maxUploadSize(file);
+      if (file.buffer.length > maxSize) {
+        return {
+          rejected: {
+            filename: file.originalname,
+            error: `File is larger than the ${maxSize} byte limit`,
+          },
+        };
+      }
+
+      const quotaError =
+        quota && this.quotaService.check(quota, file.buffer.length);
+      if (quotaError) {
+        console.log(`🚫 Rejecting ${file.originalname}: ${quotaError}`);
+        return {
+          rejected: {
+            filename: file.originalname,
+            error: quotaError,
+            quotaExceeded: true,
+          },
+        };
+      }
+
+      const { mediaType, mimetype, extension, metadata } =
+        await this.inspectUpload(file);
+
+      // sharp can't decode every image (HEVC HEIC); those are compared by
+      // pHash in the worker instead and reported as photo.ready/skipped
+      // events ("duplicateCheck": "pending")
+      const phash =
+        mediaType === "video"
+          ? null
+          : await this.duplicateService
+              .perceptualHash(file.buffer)
+              .catch(() => null);
+      const duplicate = this.duplicateService.findMatch(library, {
+        checksum,
+        phash,
+      });
+      const duplicateChecked =
+        mediaType === "video" || phash !== null || duplicate !== null;
+
+      if (duplicate && duplicateAction === "skip") {
+        return { skipped: this.skippedDuplicate(file, duplicate) };
+      }
+
+      // Only a duplicate in this collection can be replaced; one that
+      // lives in another collection stays where it is. The worker swaps
+      // them once the new photo is ready.
+      const duplicateDecision = !duplicate
+        ? null
+        : duplicateAction === "replace" && duplicate.scope === "collection"
+        ? "replaced"
+        : "kept-both";
+      const encryptedOriginalName = this.encryption.encryptSimple(
+        file.originalname
+      );
+
+      // Generate unique identifiers
+      const shareToken = crypto.randomBytes(32).toString("hex");
+      const filename = crypto.randomBytes(16).toString("hex") + "." + extension;
+      const photoId = uuidv4();
+
+      // Data key for every object of this photo, encrypted at rest
+      const { encryption } = this.storage.photoKeys.createKey(photoId);
+
+      // The upload exactly as received; the worker adds the web version
+      originalKey = StorageService.photoKey(
+        photographerId,
+        photoId,
+        "original",
+        extension
+      );
+      await this.storage.putObject(originalKey, file.buffer, {
+        contentType: mimetype,
+      });
+
+      // Store photo in database. Until processing finishes the record points
+      // at the original, and only the photographer can see it.
+      const result = await db.query(
+        `
+        INSERT INTO Photo SET 
+        photoId = :photoId,
+        photographerId = :photographerId,
+        filename = :filename,
+        originalName = :originalName,
+        encryptedOriginalName = :encryptedOriginalName,
+        mimetype = :mimetype,
+        size = :size,
+        width = :width,
+        height = :height,
+        storageKey = :originalKey,
+        originalKey = :originalKey,
+        originalMimetype = :mimetype,
+        mediaType = :mediaType,
+        shareToken = :shareToken,
+        uploadedAt = :uploadedAt,
+        isActive = true,
+        status = 'processing',
+        tags = :tags,
+        checksum = :checksum,
+        phash = :phash,
+        encryption = :encryption
+      `,
+        {
+          params: {
+            photoId: photoId,
+            photographerId: photographerId,
+            filename: filename,
+            originalName: file.originalname,
+            encryptedOriginalName: encryptedOriginalName,
+            mimetype: mimetype,
+            mediaType: mediaType,
+            size: file.buffer.length,
+            width: metadata?.width || null,
+            height: metadata?.height || null,
+            originalKey: originalKey,
+            shareToken: shareToken,
+            uploadedAt: now(),
+            tags: tags,
+            checksum: checksum,
+            phash: phash,
+            encryption: encryption,
+          },
+        }
+      );
+
+      // Query for the photoId (UUID) using the unique shareToken
+      // INSERT returns invalid temporary RID, so we need to query for it
+      const photoQuery = await db.query(
+        `SELECT @rid, photoId FROM Photo WHERE shareToken = :shareToken`,
+        {
+          params: {
+            shareToken: shareToken,
+          },
+        }
+      );
+
+      const photoIdResult =
+        photoQuery && photoQuery.length > 0 ? photoQuery[0].photoId : photoId;
+      console.log(
+        `📸 Photo created - photoId: ${photoIdResult}, shareToken: ${shareToken}`
+      );
+
+      // Link photo to collection (required)
+      console.log(
+        `🔗 Linking photo (token: ${shareToken}) to collection ${collectionId}`
+      );
+      try {
+        // Create edge using subqueries to avoid RID issues
+        // Use the unique shareToken and collectionId to find the actual records
+        const edgeResult = await db.query(
+          `CREATE EDGE CollectionPhoto 
+           FROM (SELECT FROM PhotoCollection WHERE collectionId = :collectionId AND isActive = true LIMIT 1) 
+           TO (SELECT FROM Photo WHERE shareToken = :shareToken AND isActive = true LIMIT 1) 
+           SET createdAt = sysdate(), orderIndex = :orderIndex`,
+          {
+            params: {
+              collectionId: collectionId,
+              shareToken: shareToken,
+              // New photos go at the end of the manual order
+              orderIndex: await this.orderService.nextPosition(
+                db,
+                collectionId
+              ),
+            },
+          }
+        );
+        console.log(`✅ Successfully linked photo to collection`, edgeResult);
+      } catch (linkError) {
+        console.error(`❌ Error linking photo to collection:`, linkError);
+        // Don't leave a photo outside of any collection behind
+        await db.query(`DELETE VERTEX Photo WHERE photoId = :photoId`, {
+          params: { photoId: photoIdResult },
+        });
+        // This is a critical error since collection is required
+        throw new Error(
+          `Failed to add photo to collection: ${linkError.message}`
+        );
+      }
+
+      // Later files of the same batch are compared with this one too
+      library.push({
+        photoId: photoIdResult,
+        originalName: file.originalname,
+        checksum,
+        phash,
+        status: "processing",
+        inCollection: true,
+      });
+
+      await jobQueue.enqueue(
+        db,
+        "photo.process",
+        {
+          photoId: photoIdResult,
+          collectionId,
+          duplicateAction,
+          duplicateChecked,
+          duplicate: duplicate && { ...duplicate, decision: duplicateDecision },
+        },
+        { photographerId }
+      );
+
+      if (quota) this.quotaService.consume(quota, file.buffer.length);
+
+      return {
+        photo: {
+          id: photoIdResult, // Use photoId (UUID) instead of RID
+          photoId: photoIdResult,
+          filename: filename,
+          originalName: file.originalname,
+          mimetype: mimetype,
+          originalMimetype: mimetype,
+          mediaType: mediaType,
+          size: file.buffer.length,
+          width: metadata?.width || null,
+          height: metadata?.height || null,
+          shareToken: shareToken,
+          uploadedAt: now(),
+          tags: tags,
+          status: "processing",
+          duplicate: duplicate
+            ? { ...duplicate, decision: duplicateDecision }
+            : null,
+          duplicateCheck: duplicateChecked ? "done" : "pending",
+        },
+      };
+    } catch (error) {
+      if (originalKey) {
+        await this.storage
+          .deleteObject(originalKey)
+          .catch((err) =>
+            console.error(
+              `Failed to remove orphaned ${originalKey}:`,
+              err.message
+            )
+          );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Register the background jobs of this service with the job queue
+   */
+  registerJobs() {
+    jobQueue.register("photo.process", {
+      run: (payload) => this.processPhotoJob(payload),
+      onFailed: (payload, error) => this.failPhotoJob(payload, error),
+    });
+  }
+
+  /**
+   * "photo.process" job: build the web version and renditions of an upload
+   * stored by storeUploadedFile, carry out its duplicate decision and mark
+   * it ready. Uploads that couldn't be hashed at upload time are checked
+   * for near duplicates here. Progress is pushed to the photographer as
+   * photo.* events.
+   * @param {{photoId: string, collectionId: string, duplicateAction: string,
+   *   duplicateChecked?: boolean, duplicate?: object}} payload
+   */
+  async processPhotoJob({
+    photoId,
+    collectionId,
+    duplicateAction,
+    duplicateChecked,
+    duplicate: decided,
+  }) {
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    // Keys written to storage by this attempt, removed again if it fails
+    const storedKeys = [];
+
+    try {
+      const photos = await db.query(
+        `SELECT photoId, photographerId, filename, originalName, originalKey,
+                originalMimetype, checksum, status, mediaType, version
+         FROM Photo
+         WHERE photoId = :photoId AND isActive = true
+         AND scheduledDeletionDate IS NULL`,
+        { params: { photoId } }
+      );
+      const photo = photos[0];
+
+      // Deleted while queued, or finished by an earlier attempt
+      if (!photo || photo.status !== "processing") return;
+
+      const { photographerId } = photo;
+      const event = { photoId, photographerId, collectionId };
+      // Objects of a replacement are named after its version
+      const variant = (name) =>
+        StorageService.versionedVariant(name, photo.version);
+      eventEmitter.emitPhotoEvent("processing", event);
+
+      const buffer = await this.storage.getObject(photo.originalKey);
+      const video = photo.mediaType === "video";
+      const processed = video
+        ? await this.processVideo(buffer, photo.originalMimetype)
+        : await this.processImage(
+            buffer,
+            photo.originalMimetype,
+            await this.getExifPolicy(db, photographerId)
+          );
+      const {
+        processedBuffer,
+        mimetype,
+        extension,
+        exif,
+        placeholder,
+        metadata,
+      } = processed;
+      // Videos are only matched by checksum
+      const phash = video
+        ? null
+        : await this.duplicateService.perceptualHash(processedBuffer);
+
+      // Decided at upload, unless sharp couldn't hash the upload then
+      let duplicate = decided || null;
+      if (!duplicateChecked) {
+        // Uploads still processing carry the pHash taken at upload time
+        const library = (
+          await this.duplicateService.loadLibrary(
+            db,
+            photographerId,
+            collectionId
+          )
+        ).filter((entry) => entry.photoId !== photoId);
+        duplicate = this.duplicateService.findMatch(library, {
+          checksum: photo.checksum,
+          phash,
+        });
+
+        if (duplicate && duplicateAction === "skip") {
+          this.skippedDuplicate(
+            { originalname: photo.originalName },
+            duplicate
+          );
+          await this.softDeleteService.markForDeletion(
+            "Photo",
+            photoId,
+            `Duplicate of ${duplicate.photoId}`,
+            "photoId"
+          );
+          eventEmitter.emitPhotoEvent("skipped", {
+            ...event,
+            duplicate: { ...duplicate, decision: "skipped" },
+          });
+          return;
+        }
+      }
+
+      // Write the web version to blob storage, unless the upload already is one
+      let storageKey = photo.originalKey;
+      if (processedBuffer !== buffer) {
+        storageKey = StorageService.photoKey(
+          photographerId,
+          photoId,
+          variant("full"),
+          extension
+        );
+        await this.storage.putObject(storageKey, processedBuffer, {
+          contentType: mimetype,
+        });
+        storedKeys.push(storageKey);
+      }
+
+      // Resized variants (thumb, grid, preview, ...) - see RenditionService.
+      // Rendered from the processed file (or a video's poster frame), so
+      // they are already upright.
+      const renditions = await this.renditionService.generateAll(
+        video ? processed.poster : processedBuffer,
+        photographerId,
+        photoId,
+        photo.version
+      );
+      storedKeys.push(...Object.values(renditions));
+
+      if (video) {
+        renditions.poster = StorageService.photoKey(
+          photographerId,
+          photoId,
+          variant("poster")
+        );
+        await this.storage.putObject(renditions.poster, processed.poster, {
+          contentType: "image/jpeg",
+        });
+        storedKeys.push(renditions.poster);
+      }
+
+      await db.query(
+        `UPDATE Photo SET
+           filename = :filename,
+           mimetype = :mimetype,
+           size = :size,
+           width = :width,
+           height = :height,
+           storageKey = :storageKey,
+           thumbnailKey = :thumbnailKey,
+           renditions = :renditions,
+           exif = :exif,
+           phash = :phash,
+           blurhash = :blurhash,
+           dominantColor = :dominantColor,
+           duration = :duration,
+           metadata = :metadata,
+           status = 'ready',
+           processingError = null
+         WHERE photoId = :photoId`,
+        {
+          params: {
+            photoId,
+            filename: photo.filename.replace(/\.[^.]+$/, `.${extension}`),
+            mimetype,
+            size: metadata.size,
+            width: metadata.width,
+            height: metadata.height,
+            storageKey,
+            thumbnailKey: renditions.thumb,
+            renditions,
+            exif,
+            phash,
+            blurhash: placeholder.blurhash,
+            dominantColor: placeholder.dominantColor,
+            duration: video ? processed.duration : null,
+            metadata: {
+              originalSize: metadata.originalSize,
+              compressionRatio: metadata.originalSize / metadata.size,
+              format: metadata.format,
+              ...(video && {
+                codec: metadata.codec,
+                hasAudio: metadata.hasAudio,
+              }),
+            },
+          },
+        }
+      );
+      storedKeys.length = 0;
+
+      // Only a duplicate in this collection can be replaced; one that
+      // lives in another collection stays where it is
+      let duplicateDecision = null;
+      if (duplicate) {
+        duplicateDecision = "kept-both";
+
+        if (duplicateAction === "replace" && duplicate.scope === "collection") {
+          await this.replaceDuplicate(
+            db,
+            duplicate.photoId,
+            photoId,
+            collectionId
+          );
+          duplicateDecision = "replaced";
+        }
+      }
+
+      console.log(`✅ Photo ${photoId} processed`);
+      eventEmitter.emitPhotoEvent("ready", {
+        ...event,
+        mimetype,
+        size: metadata.size,
+        width: metadata.width,
+        height: metadata.height,
+        blurhash: placeholder.blurhash,
+        dominantColor: placeholder.dominantColor,
+        mediaType: video ? "video" : "image",
+        duration: video ? processed.duration : undefined,
+        duplicate: duplicate
+          ? { ...duplicate, decision: duplicateDecision }
+          : undefined,
+      });
+    } catch (error) {
+      for (const key of storedKeys) {
+        await this.storage
+          .deleteObject(key)
+          .catch((err) =>
+            console.error(`Failed to remove orphaned ${key}:`, err.message)
+          );
+      }
+      throw error;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * A "photo.process" job ran out of attempts: keep the original, but mark
+   * the photo as failed so the photographer can delete or re-upload it
+   */
+  async failPhotoJob({ photoId, collectionId }, error) {
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const photos = await db.query(
+        `SELECT photographerId FROM Photo WHERE photoId = :photoId`,
+        { params: { photoId } }
+      );
+      if (photos.length === 0) return;
+
+      await db.query(
+        `UPDATE Photo SET status = 'failed', processingError = :message
+         WHERE photoId = :photoId`,
+        { params: { photoId, message: error.message } }
+      );
+
+      eventEmitter.emitPhotoEvent("failed", {
+        photoId,
+        photographerId: photos[0].photographerId,
+        collectionId,
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Apply an upload's expiryMinutes to its collection. Collections keep
+   * their expiry policy otherwise (see CollectionExpiryService).
+   * @param {number} expiryMinutes - Custom expiry; 0 to leave it alone
+   */
+  async startCollectionExpiry(db, collectionId, expiryMinutes) {
+    try {
+      await this.expiryService.applyUploadExpiry(
+        db,
+        collectionId,
+        expiryMinutes
+      );
+    } catch (error) {
+      console.error("Error setting collection autoDeleteAt:", error);
+      // Don't fail the upload if this fails
+    }
+  }
+
   async uploadPhoto(req, res) {
     try {
       if (!req.files || req.files.length === 0) {
@@ -137,152 +1029,49 @@ class EnhancedPhotoService {
 
       console.log("📸 Upload request - collectionId:", collectionId);
       console.log("📸 Upload request - clientIds:", clientIds);
-      console.log("📸 Upload request - body:", req.body);
       console.log("📸 Upload request - files count:", req.files?.length);
 
       const uploadedPhotos = [];
       const errors = [];
+      const context = await this.createUploadContext(db, req.user, req.body);
+
+      // onQuotaExceeded=reject: all files or none. By default as many files
+      // as fit are stored and the rest get an error.
+      if (context.quota && req.body.onQuotaExceeded === "reject") {
+        const total = req.files.reduce(
+          (sum, file) => sum + file.buffer.length,
+          0
+        );
+        const quotaError = this.quotaService.check(
+          context.quota,
+          total,
+          req.files.length
+        );
+
+        if (quotaError) {
+          return res.status(413).json({
+            success: false,
+            message: `Upload rejected: ${quotaError}`,
+            quota: this.quotaService.describe(context.quota),
+            errors: req.files.map((file) => ({
+              filename: file.originalname,
+              error: "Not uploaded: the batch doesn't fit the quota",
+              quotaExceeded: true,
+            })),
+          });
+        }
+      }
 
       // Process each file
       for (const file of req.files) {
         try {
-          // Process image
-          const { processedBuffer, thumbnailBuffer, metadata } =
-            await this.processImage(file.buffer, file.mimetype);
-
-          // Convert to base64
-          const photoDataB64 = processedBuffer.toString("base64");
-          const thumbnailDataB64 = thumbnailBuffer.toString("base64");
-
-          // Encrypt photo data
-          const encryptedPhotoData =
-            this.encryption.encryptSimple(photoDataB64);
-          const encryptedOriginalName = this.encryption.encryptSimple(
-            file.originalname
-          );
-
-          // Generate unique identifiers
-          const shareToken = crypto.randomBytes(32).toString("hex");
-          const filename = crypto.randomBytes(16).toString("hex") + ".jpg";
-          const photoId = uuidv4();
-
-          // Extract tags from filename or request
-          const tags = req.body.tags
-            ? req.body.tags.split(",").map((tag) => tag.trim())
-            : [];
-
-          // Store photo in database
-          const result = await db.query(
-            `
-            INSERT INTO Photo SET 
-            photoId = :photoId,
-            photographerId = :photographerId,
-            filename = :filename,
-            originalName = :originalName,
-            encryptedOriginalName = :encryptedOriginalName,
-            mimetype = :mimetype,
-            size = :size,
-            width = :width,
-            height = :height,
-            photoDataB64 = :photoDataB64,
-            thumbnailDataB64 = :thumbnailDataB64,
-            encryptedPhotoData = :encryptedPhotoData,
-            shareToken = :shareToken,
-            uploadedAt = :uploadedAt,
-            isActive = true,
-            tags = :tags,
-            metadata = :metadata
-          `,
-            {
-              params: {
-                photoId: photoId,
-                photographerId: req.user.photographerId || req.user.userId,
-                filename: filename,
-                originalName: file.originalname,
-                encryptedOriginalName: encryptedOriginalName,
-                mimetype: "image/jpeg",
-                size: metadata.size,
-                width: metadata.width,
-                height: metadata.height,
-                photoDataB64: photoDataB64,
-                thumbnailDataB64: thumbnailDataB64,
-                encryptedPhotoData: encryptedPhotoData,
-                shareToken: shareToken,
-                uploadedAt: now(),
-                tags: tags,
-                metadata: {
-                  originalSize: metadata.originalSize,
-                  compressionRatio: metadata.originalSize / metadata.size,
-                  format: metadata.format,
-                },
-              },
-            }
-          );
+          const result = await this.storeUploadedFile(db, file, context);
 
-          // Query for the photoId (UUID) using the unique shareToken
-          // INSERT returns invalid temporary RID, so we need to query for it
-          const photoQuery = await db.query(
-            `SELECT @rid, photoId FROM Photo WHERE shareToken = :shareToken`,
-            {
-              params: {
-                shareToken: shareToken,
-              },
-            }
-          );
-
-          const photoRid =
-            photoQuery && photoQuery.length > 0 ? photoQuery[0]["@rid"] : null;
-          const photoIdResult =
-            photoQuery && photoQuery.length > 0
-              ? photoQuery[0].photoId
-              : photoId;
-          console.log(
-            `📸 Photo created - photoId: ${photoIdResult}, shareToken: ${shareToken}`
-          );
-
-          // Link photo to collection (required)
-          console.log(
-            `🔗 Linking photo (token: ${shareToken}) to collection ${collectionId}`
-          );
-          try {
-            // Create edge using subqueries to avoid RID issues
-            // Use the unique shareToken and collectionId to find the actual records
-            const edgeResult = await db.query(
-              `CREATE EDGE CollectionPhoto 
-               FROM (SELECT FROM PhotoCollection WHERE collectionId = :collectionId AND isActive = true LIMIT 1) 
-               TO (SELECT FROM Photo WHERE shareToken = :shareToken AND isActive = true LIMIT 1) 
-               SET createdAt = sysdate()`,
-              {
-                params: {
-                  collectionId: collectionId,
-                  shareToken: shareToken,
-                },
-              }
-            );
-            console.log(
-              `✅ Successfully linked photo to collection`,
-              edgeResult
-            );
-          } catch (linkError) {
-            console.error(`❌ Error linking photo to collection:`, linkError);
-            // This is a critical error since collection is required
-            throw new Error(
-              `Failed to add photo to collection: ${linkError.message}`
-            );
+          if (result.skipped || result.rejected) {
+            errors.push(result.skipped || result.rejected);
+          } else {
+            uploadedPhotos.push(result.photo);
           }
-
-          uploadedPhotos.push({
-            id: photoIdResult, // Use photoId (UUID) instead of RID
-            photoId: photoIdResult,
-            filename: filename,
-            originalName: file.originalname,
-            size: metadata.size,
-            width: metadata.width,
-            height: metadata.height,
-            shareToken: shareToken,
-            uploadedAt: now(),
-            tags: tags,
-          });
         } catch (error) {
           console.error(`Error processing file ${file.originalname}:`, error);
           errors.push({
@@ -292,53 +1081,29 @@ class EnhancedPhotoService {
         }
       }
 
-      // Update collection's autoDeleteAt to start countdown with custom expiry
+      // Custom expiry from the request (in minutes), if the collection has none
       if (collectionId && uploadedPhotos.length > 0) {
-        try {
-          // Get expiry duration from request (in minutes, default to 30 seconds for testing)
-          const expiryMinutes = parseInt(req.body.expiryMinutes) || 0;
-
-          const autoDeleteDate = new Date();
-
-          if (expiryMinutes > 0) {
-            // Custom expiry in minutes
-            autoDeleteDate.setMinutes(
-              autoDeleteDate.getMinutes() + expiryMinutes
-            );
-            console.log(
-              `⏱️ Setting collection expiry to ${expiryMinutes} minutes`
-            );
-          } else {
-            // Default: 30 seconds for testing
-            autoDeleteDate.setSeconds(autoDeleteDate.getSeconds() + 30);
-            console.log(`⏱️ Setting collection expiry to 30 seconds (default)`);
-          }
-
-          await db.query(
-            `UPDATE PhotoCollection 
-             SET autoDeleteAt = :autoDeleteAt, updatedAt = sysdate()
-             WHERE collectionId = :collectionId`,
-            {
-              params: {
-                collectionId: collectionId,
-                autoDeleteAt: toOrientDBDateTime(autoDeleteDate),
-              },
-            }
-          );
-          console.log(
-            `⏱️ Set collection autoDeleteAt to ${autoDeleteDate.toISOString()}`
-          );
-        } catch (error) {
-          console.error("Error setting collection autoDeleteAt:", error);
-          // Don't fail the upload if this fails
-        }
+        await this.startCollectionExpiry(
+          db,
+          collectionId,
+          parseInt(req.body.expiryMinutes) || 0
+        );
       }
 
-      res.status(201).json({
-        success: true,
-        message: `Successfully uploaded ${uploadedPhotos.length} photo(s)`,
+      // Nothing stored because nothing fit
+      const overQuota =
+        uploadedPhotos.length === 0 && errors.some((e) => e.quotaExceeded);
+
+      res.status(overQuota ? 413 : 201).json({
+        success: !overQuota,
+        message: overQuota
+          ? "Upload rejected: quota exceeded"
+          : `Successfully uploaded ${uploadedPhotos.length} photo(s)`,
         photos: uploadedPhotos,
         errors: errors.length > 0 ? errors : undefined,
+        quota: context.quota
+          ? this.quotaService.describe(context.quota)
+          : undefined,
       });
     } catch (error) {
       console.error("Photo upload error:", error);
@@ -364,8 +1129,7 @@ class EnhancedPhotoService {
       // Get the photo using either photoId (UUID) or shareToken
       const photos = await db.query(
         `
-        SELECT @rid as id, photoId, filename, originalName, size, width, height, 
-               photoDataB64, photographerId, shareToken, createdAt
+        SELECT photoId, originalName, mimetype, storageKey, photographerId
         FROM Photo 
         WHERE (photoId = :photoId OR shareToken = :photoId) 
         AND isActive = true
@@ -397,28 +1161,32 @@ class EnhancedPhotoService {
         });
       }
 
-      // Return photo with full-size image
-      res.json({
-        success: true,
-        photo: {
-          id: photo.id,
-          photoId: photo.photoId,
-          filename: photo.filename,
-          originalName: photo.originalName,
-          size: photo.size,
-          width: photo.width,
-          height: photo.height,
-          shareToken: photo.shareToken,
-          createdAt: photo.createdAt,
-          photoData: photo.photoDataB64, // Already base64
-        },
-      });
+      // Full-size image as binary (supports ETag / Range)
+      const sent = await sendStoredObject(
+        req,
+        res,
+        this.storage,
+        photo.storageKey,
+        {
+          contentType: photo.mimetype || "image/jpeg",
+          filename: downloadFilename(photo.originalName, photo.mimetype),
+        }
+      );
+
+      if (!sent) {
+        return res.status(404).json({
+          success: false,
+          message: "Photo file not found",
+        });
+      }
     } catch (error) {
       console.error("Get photo by ID error:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to retrieve photo",
-      });
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: "Failed to retrieve photo",
+        });
+      }
     } finally {
       this.dbInstance.closeConnection();
     }
@@ -437,7 +1205,8 @@ class EnhancedPhotoService {
 
       let query = `
         SELECT @rid as id, photoId, filename, originalName, size, width, height, shareToken, 
-               uploadedAt, tags, thumbnailDataB64
+               uploadedAt, tags, thumbnailKey, exif, status, processingError,
+               caption, blurhash, dominantColor, mediaType, duration
         FROM Photo 
         WHERE photographerId = :photographerId AND isActive = true
         AND scheduledDeletionDate IS NULL
@@ -449,7 +1218,7 @@ class EnhancedPhotoService {
 
       if (tags) {
         query += ` AND tags CONTAINSALL :tags`;
-        params.tags = tags.split(",").map((tag) => tag.trim());
+        params.tags = normalizeTags(tags);
       }
 
       query += ` ORDER BY uploadedAt DESC SKIP :offset LIMIT :limit`;
@@ -461,6 +1230,10 @@ class EnhancedPhotoService {
       // For each photo, check if it's in a collection - USE SHARETOKEN NOT RID!
       const photosWithCollections = await Promise.all(
         photos.map(async (photo) => {
+          const thumbnailDataB64 = await this.storage.getObjectBase64(
+            photo.thumbnailKey
+          );
+
           try {
             const collectionEdges = await db.query(
               `SELECT out.collectionId as collectionId 
@@ -482,7 +1255,15 @@ class EnhancedPhotoService {
               shareToken: photo.shareToken,
               uploadedAt: photo.uploadedAt,
               tags: photo.tags || [],
-              thumbnailDataB64: photo.thumbnailDataB64,
+              caption: photo.caption || null,
+              exif: photo.exif || null,
+              status: photo.status || "ready",
+              processingError: photo.processingError || undefined,
+              blurhash: photo.blurhash || null,
+              dominantColor: photo.dominantColor || null,
+              mediaType: photo.mediaType || "image",
+              duration: photo.duration ?? null,
+              thumbnailDataB64,
               collectionId:
                 collectionEdges.length > 0
                   ? collectionEdges[0].collectionId
@@ -501,7 +1282,15 @@ class EnhancedPhotoService {
               shareToken: photo.shareToken,
               uploadedAt: photo.uploadedAt,
               tags: photo.tags || [],
-              thumbnailDataB64: photo.thumbnailDataB64,
+              caption: photo.caption || null,
+              exif: photo.exif || null,
+              status: photo.status || "ready",
+              processingError: photo.processingError || undefined,
+              blurhash: photo.blurhash || null,
+              dominantColor: photo.dominantColor || null,
+              mediaType: photo.mediaType || "image",
+              duration: photo.duration ?? null,
+              thumbnailDataB64,
               collectionId: null,
             };
           }
@@ -543,7 +1332,7 @@ class EnhancedPhotoService {
       const accessiblePhotos = await db.query(
         `
         SELECT p.@rid as id, p.photoId, p.filename, p.originalName, p.size, p.width, p.height, 
-               p.shareToken, p.uploadedAt, p.tags, p.thumbnailDataB64
+               p.shareToken, p.uploadedAt, p.tags, p.thumbnailKey
         FROM Photo p, PhotoAccess pa
         WHERE p.photoId = pa.photoId 
         AND pa.userId = :clientId 
@@ -563,18 +1352,26 @@ class EnhancedPhotoService {
         }
       );
 
-      const photosWithThumbnails = accessiblePhotos.map((photo) => ({
-        id: photo.id,
-        filename: photo.filename,
-        originalName: photo.originalName,
-        size: photo.size,
-        width: photo.width,
-        height: photo.height,
-        shareToken: photo.shareToken,
-        uploadedAt: photo.uploadedAt,
-        tags: photo.tags || [],
-        thumbnail: `data:image/jpeg;base64,${photo.thumbnailDataB64}`,
-      }));
+      const photosWithThumbnails = await Promise.all(
+        accessiblePhotos.map(async (photo) => {
+          const thumbnailDataB64 = await this.storage.getObjectBase64(
+            photo.thumbnailKey
+          );
+
+          return {
+            id: photo.id,
+            filename: photo.filename,
+            originalName: photo.originalName,
+            size: photo.size,
+            width: photo.width,
+            height: photo.height,
+            shareToken: photo.shareToken,
+            uploadedAt: photo.uploadedAt,
+            tags: photo.tags || [],
+            thumbnail: `data:image/jpeg;base64,${thumbnailDataB64}`,
+          };
+        })
+      );
 
       res.json({
         success: true,
@@ -617,7 +1414,7 @@ class EnhancedPhotoService {
         // Photographer can access their own photos - use photoId (UUID)
         const photos = await db.query(
           `
-          SELECT photoDataB64, thumbnailDataB64, mimetype, originalName 
+          SELECT storageKey, thumbnailKey, mimetype, originalName 
           FROM Photo 
           WHERE photoId = :photoId AND photographerId = :photographerId AND isActive = true
           AND scheduledDeletionDate IS NULL
@@ -635,7 +1432,7 @@ class EnhancedPhotoService {
         // Check PhotoAccess for clients/guests - use photoId (UUID)
         const accessCheck = await db.query(
           `
-          SELECT p.photoDataB64, p.thumbnailDataB64, p.mimetype, p.originalName
+          SELECT p.storageKey, p.thumbnailKey, p.mimetype, p.originalName
           FROM Photo p, PhotoAccess pa
           WHERE p.photoId = :photoId 
           AND pa.photoId = :photoId 
@@ -663,10 +1460,15 @@ class EnhancedPhotoService {
       }
 
       // Return appropriate image data
-      const imageData = thumbnail ? photo.thumbnailDataB64 : photo.photoDataB64;
-      const buffer = Buffer.from(imageData, "base64");
+      const buffer = await this.storage.getObject(
+        thumbnail ? photo.thumbnailKey : photo.storageKey
+      );
 
-      res.setHeader("Content-Type", photo.mimetype || "image/jpeg");
+      // Thumbnails are always JPEG
+      res.setHeader(
+        "Content-Type",
+        thumbnail ? "image/jpeg" : photo.mimetype || "image/jpeg"
+      );
       res.setHeader("Content-Length", buffer.length);
       res.setHeader("Cache-Control", "public, max-age=86400"); // Cache for 1 day
       res.send(buffer);
@@ -681,6 +1483,125 @@ class EnhancedPhotoService {
     }
   }
 
+  /**
+   * Load a photo (by photoId or shareToken) if the current user may view it:
+   * admins see everything, photographers their own photos, clients photos in
+   * collections shared with them. Returns null otherwise.
+   */
+  async findAccessiblePhoto(db, user, photoId) {
+    const photos = await db.query(
+      `SELECT photoId, photographerId, originalName, mimetype, size,
+              storageKey, thumbnailKey, renditions, shareToken, status, version
+       FROM Photo
+       WHERE (photoId = :photoId OR shareToken = :photoId)
+       AND isActive = true
+       AND scheduledDeletionDate IS NULL`,
+      { params: { photoId } }
+    );
+    const photo = photos[0];
+
+    if (!photo) return null;
+    if (user.role === "admin") return photo;
+
+    if (user.role === "photographer") {
+      const photographerId = user.photographerId || user.userId;
+      return photo.photographerId === photographerId ? photo : null;
+    }
+
+    if (user.role === "client") {
+      const access = await db.query(
+        `SELECT COUNT(*) as count
+         FROM CollectionAccess
+         WHERE in IN (SELECT FROM Client WHERE username = :username)
+         AND out IN (
+           SELECT out FROM CollectionPhoto
+           WHERE in IN (SELECT FROM Photo WHERE photoId = :photoId)
+         )`,
+        { params: { username: user.username, photoId: photo.photoId } }
+      );
+      return access[0]?.count > 0 ? photo : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Serve one rendition (thumb, grid, preview, original, ...) of a photo.
+   * Renditions missing for older photos are generated on first request.
+   * The "original" of a video is the clip itself, range-streamed for players.
+   */
+  async getRendition(req, res) {
+    try {
+      const { photoId, size } = req.params;
+
+      if (!this.renditionService.isValidSize(size)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown rendition size "${size}"`,
+          sizes: this.renditionService.getSizeNames(),
+        });
+      }
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const photo = await this.findAccessiblePhoto(db, req.user, photoId);
+
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          message: "Photo not found or access denied",
+        });
+      }
+
+      // Renditions are generated by the photo.process job
+      if (photo.status && photo.status !== "ready") {
+        return res.status(409).json({
+          success: false,
+          message:
+            photo.status === "failed"
+              ? "Photo processing failed"
+              : "Photo is still being processed",
+          status: photo.status,
+        });
+      }
+
+      // Clients get watermarked copies from proof collections
+      const { key, contentType } =
+        req.user.role === "client"
+          ? await this.watermarkService.resolveForClient(
+              db,
+              photo,
+              size,
+              req.user.username
+            )
+          : await this.renditionService.resolve(db, photo, size);
+      const sent = await sendStoredObject(req, res, this.storage, key, {
+        contentType,
+      });
+
+      if (!sent) {
+        return res.status(404).json({
+          success: false,
+          message: "Photo file not found",
+        });
+      }
+    } catch (error) {
+      console.error("Get rendition error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: "Failed to retrieve photo",
+        });
+      }
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
   async sharePhotoViaToken(req, res) {
     try {
       const { shareToken } = req.params;
@@ -693,7 +1614,7 @@ class EnhancedPhotoService {
 
       const photos = await db.query(
         `
-        SELECT photoDataB64, thumbnailDataB64, mimetype, originalName 
+        SELECT storageKey, mimetype, originalName 
         FROM Photo 
         WHERE shareToken = :shareToken AND isActive = true
       `,
@@ -710,13 +1631,15 @@ class EnhancedPhotoService {
       }
 
       const photo = photos[0];
-      const imageData = photo.photoDataB64;
-      const buffer = Buffer.from(imageData, "base64");
+      const buffer = await this.storage.getObject(photo.storageKey);
 
       res.setHeader("Content-Type", photo.mimetype || "image/jpeg");
       res.setHeader(
         "Content-Disposition",
-        `inline; filename="${photo.originalName}"`
+        contentDisposition(
+          "inline",
+          downloadFilename(photo.originalName, photo.mimetype)
+        )
       );
       res.setHeader("Cache-Control", "public, max-age=3600"); // Cache for 1 hour
       res.send(buffer);
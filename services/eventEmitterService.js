@@ -16,13 +16,16 @@ class EventEmitterService {
 
   /**
    * Add a new SSE client connection
+   * @param {Array<string>} aliases - Other ids the user is addressed by in
+   *   events (e.g. photographerId next to the account's userId)
    */
-  addClient(res, role, userId) {
+  addClient(res, role, userId, aliases = []) {
     const client = {
       id: `${role}-${userId}-${Date.now()}`,
       res,
       role,
       userId,
+      aliases: aliases.filter(Boolean),
       lastPing: Date.now(),
     };
 
@@ -107,7 +110,9 @@ class EventEmitterService {
    */
   broadcastToUser(role, userId, event) {
     const clients = this.clients[role] || [];
-    const userClients = clients.filter((c) => c.userId === userId);
+    const userClients = clients.filter(
+      (c) => c.userId === userId || c.aliases.includes(userId)
+    );
 
     console.log(`📡 Broadcasting to user ${userId}:`, event.type);
 
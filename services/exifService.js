@@ -0,0 +1,211 @@
+const exifReader = require("exif-reader");
+
+// What a photographer can choose to strip from delivered files:
+//   keep    - deliver EXIF untouched
+//   private - drop GPS location, serial numbers, owner names and maker notes
+//   all     - deliver no EXIF at all
+const EXIF_STRIP_POLICIES = ["keep", "private", "all"];
+const DEFAULT_EXIF_STRIP_POLICY = "private";
+
+// Tags kept under the "private" policy, per sharp/libvips IFD
+// (IFD0 = main image, IFD2 = Exif sub-IFD). Everything else is dropped,
+// including the whole GPS IFD.
+const PRIVATE_POLICY_TAGS = {
+  IFD0: ["Make", "Model", "Software", "Artist", "Copyright", "DateTime"],
+  IFD2: [
+    "ExposureTime",
+    "FNumber",
+    "ExposureProgram",
+    "ISOSpeedRatings",
+    "DateTimeOriginal",
+    "DateTimeDigitized",
+    "ExposureBiasValue",
+    "MeteringMode",
+    "Flash",
+    "FocalLength",
+    "FocalLengthIn35mmFilm",
+    "WhiteBalance",
+    "LensMake",
+    "LensModel",
+  ],
+};
+
+// Tags that identify the photographer, their gear or the location. A file
+// carrying none of them is delivered as-is under the "private" policy.
+const SENSITIVE_TAGS = {
+  Image: ["CameraSerialNumber", "HostComputer"],
+  Photo: [
+    "BodySerialNumber",
+    "LensSerialNumber",
+    "CameraOwnerName",
+    "ImageUniqueID",
+    "MakerNote",
+    "UserComment",
+  ],
+};
+
+/**
+ * EXIF Service - Reads capture data from uploads and decides which EXIF
+ * tags survive into the files delivered to clients
+ */
+class ExifService {
+  /**
+   * Parse a raw EXIF block (sharp metadata().exif), or null if unreadable
+   */
+  parse(exifBuffer) {
+    if (!exifBuffer) return null;
+
+    try {
+      return exifReader(exifBuffer);
+    } catch (error) {
+      console.warn("⚠️ Could not parse EXIF data:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Capture data stored on the Photo record
+   * @param {object} exif - Parsed EXIF (see parse)
+   * @param {number} orientation - EXIF orientation from sharp metadata
+   */
+  getCaptureData(exif, orientation) {
+    const image = exif?.Image || {};
+    const photo = exif?.Photo || {};
+
+    const capture = {
+      cameraMake: image.Make,
+      cameraModel: image.Model,
+      lensMake: photo.LensMake,
+      lensModel: photo.LensModel,
+      exposureTime: photo.ExposureTime,
+      exposureTimeText: this.formatExposureTime(photo.ExposureTime),
+      fNumber: photo.FNumber,
+      iso: photo.ISOSpeedRatings ?? photo.PhotographicSensitivity,
+      focalLength: photo.FocalLength,
+      focalLength35mm: photo.FocalLengthIn35mmFilm,
+      exposureBias: photo.ExposureBiasValue,
+      flash: photo.Flash,
+      capturedAt: this.toIsoDate(photo.DateTimeOriginal || image.DateTime),
+      orientation: orientation || image.Orientation || 1,
+    };
+
+    // OrientDB rejects undefined values in embedded documents
+    return Object.fromEntries(
+      Object.entries(capture).filter(
+        ([, value]) => value !== undefined && value !== null
+      )
+    );
+  }
+
+  /**
+   * Validate a policy name, falling back to the default
+   */
+  normalizePolicy(policy) {
+    return EXIF_STRIP_POLICIES.includes(policy)
+      ? policy
+      : DEFAULT_EXIF_STRIP_POLICY;
+  }
+
+  /**
+   * Apply a strip policy to a sharp pipeline that re-encodes the image.
+   * sharp drops all metadata by default, so "all" needs no extra step.
+   * @param {sharp.Sharp} pipeline
+   * @param {object} exif - Parsed EXIF of the source image
+   * @param {string} policy - keep | private | all
+   */
+  applyPolicy(pipeline, exif, policy) {
+    // Colour profiles aren't personal data and must survive re-encoding
+    pipeline.keepIccProfile();
+
+    if (!exif || policy === "all") {
+      return pipeline;
+    }
+
+    if (policy === "keep") {
+      return pipeline.keepExif();
+    }
+
+    return pipeline.withExif(this.buildPrivateExif(exif));
+  }
+
+  /**
+   * Does delivering this EXIF under the policy require rewriting the file?
+   */
+  needsStripping(exif, policy) {
+    if (!exif || policy === "keep") return false;
+    if (policy === "all") return true;
+
+    if (exif.GPSInfo && Object.keys(exif.GPSInfo).length > 0) return true;
+
+    return Object.entries(SENSITIVE_TAGS).some(([ifd, tags]) =>
+      tags.some((tag) => exif[ifd] && exif[ifd][tag] !== undefined)
+    );
+  }
+
+  /**
+   * EXIF allowed by the "private" policy, in the string form sharp's
+   * withExif() expects
+   */
+  buildPrivateExif(exif) {
+    const source = { IFD0: exif.Image || {}, IFD2: exif.Photo || {} };
+    const result = {};
+
+    for (const [ifd, tags] of Object.entries(PRIVATE_POLICY_TAGS)) {
+      result[ifd] = {};
+
+      for (const tag of tags) {
+        const value = this.toExifString(source[ifd][tag], tag);
+        if (value !== null) {
+          result[ifd][tag] = value;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  toExifString(value, tag) {
+    if (value === undefined || value === null) return null;
+
+    if (value instanceof Date) {
+      // EXIF dates are "YYYY:MM:DD HH:MM:SS" without a zone; exif-reader
+      // parses them as UTC, so format them back the same way
+      return value
+        .toISOString()
+        .slice(0, 19)
+        .replace("T", " ")
+        .replace(/-/g, ":");
+    }
+
+    if (tag === "ExposureTime") {
+      return this.formatExposureTime(value) ?? null;
+    }
+
+    if (typeof value === "number" || typeof value === "string") {
+      return String(value);
+    }
+
+    // Binary and array values aren't in the allow list
+    return null;
+  }
+
+  /**
+   * 0.005 -> "1/200", 2 -> "2"
+   */
+  formatExposureTime(seconds) {
+    if (typeof seconds !== "number" || seconds <= 0) return undefined;
+    if (seconds >= 1) return String(seconds);
+
+    return `1/${Math.round(1 / seconds)}`;
+  }
+
+  toIsoDate(value) {
+    if (!(value instanceof Date) || isNaN(value.getTime())) return undefined;
+    return value.toISOString();
+  }
+}
+
+ExifService.POLICIES = EXIF_STRIP_POLICIES;
+ExifService.DEFAULT_POLICY = DEFAULT_EXIF_STRIP_POLICY;
+
+module.exports = ExifService;
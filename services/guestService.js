@@ -3,6 +3,7 @@ const { body, validationResult } = require("express-validator");
 const Database = require("../Database/databaseClass");
 const { generateToken, setTokenCookie } = require("../middleware/auth");
 const EncryptionService = require("./encryptionService");
+const StorageService = require("./storageService");
 
 class GuestService {
   constructor() {
@@ -13,6 +14,7 @@ class GuestService {
       process.env.DB_PASSWORD
     );
     this.encryption = new EncryptionService();
+    this.storage = new StorageService();
   }
 
   // Validation for guest login
@@ -235,7 +237,7 @@ class GuestService {
       const photos = await db.query(
         `
         SELECT @rid as id, filename, originalName, size, width, height, 
-               shareToken, uploadedAt, tags, thumbnailDataB64
+               shareToken, uploadedAt, tags, thumbnailKey
         FROM Photo 
         WHERE @rid IN :photoIds AND isActive = true
         ORDER BY uploadedAt DESC
@@ -261,18 +263,26 @@ class GuestService {
         }
       );
 
-      const photosWithThumbnails = photos.map((photo) => ({
-        id: photo.id,
-        filename: photo.filename,
-        originalName: photo.originalName,
-        size: photo.size,
-        width: photo.width,
-        height: photo.height,
-        shareToken: photo.shareToken,
-        uploadedAt: photo.uploadedAt,
-        tags: photo.tags || [],
-        thumbnail: `data:image/jpeg;base64,${photo.thumbnailDataB64}`,
-      }));
+      const photosWithThumbnails = await Promise.all(
+        photos.map(async (photo) => {
+          const thumbnailDataB64 = await this.storage.getObjectBase64(
+            photo.thumbnailKey
+          );
+
+          return {
+            id: photo.id,
+            filename: photo.filename,
+            originalName: photo.originalName,
+            size: photo.size,
+            width: photo.width,
+            height: photo.height,
+            shareToken: photo.shareToken,
+            uploadedAt: photo.uploadedAt,
+            tags: photo.tags || [],
+            thumbnail: `data:image/jpeg;base64,${thumbnailDataB64}`,
+          };
+        })
+      );
 
       res.json({
         success: true,
@@ -0,0 +1,265 @@
+const { v4: uuidv4 } = require("uuid");
+const Database = require("../Database/databaseClass");
+const { toOrientDBDateTime } = require("../utils/dateFormatter");
+
+/**
+ * Job Queue Service - Persistent background jobs (image processing, ...)
+ *
+ * Jobs are ProcessingJob records, so queued work survives restarts. Workers
+ * run inside the API process (ecosystem.config.js runs a single instance):
+ * up to JOB_CONCURRENCY (default 2) jobs at once, picked up right after
+ * enqueue() and by a poll every JOB_POLL_INTERVAL_MS (default 5000).
+ * A failing job is retried with backoff up to JOB_MAX_ATTEMPTS (default 3)
+ * times, then left as "failed".
+ *
+ *   queued -> running -> (deleted)    done
+ *                     -> queued        retry later
+ *                     -> failed        out of attempts
+ */
+class JobQueueService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.handlers = {};
+    this.active = new Set();
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+    this.timer = null;
+    this.filling = false;
+    this.refill = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - e.g. "photo.process"
+   * @param {object} handler
+   * @param {Function} handler.run - async (payload, job) => void; throw to retry
+   * @param {Function} [handler.onFailed] - async (payload, error) => void,
+   *   called once the job is out of attempts
+   */
+  register(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Queue a job
+   * @param {object} db - Open database session
+   * @param {string} type - Registered job type
+   * @param {object} payload - Job data (stored as an embedded document)
+   * @param {object} [options]
+   * @param {string} [options.photographerId] - Owner, for listing jobs
+   * @returns {Promise<string>} jobId
+   */
+  async enqueue(db, type, payload, { photographerId = null } = {}) {
+    const jobId = uuidv4();
+    const timestamp = toOrientDBDateTime(new Date());
+
+    await db.query(
+      `INSERT INTO ProcessingJob SET
+         jobId = :jobId,
+         type = :type,
+         payload = :payload,
+         photographerId = :photographerId,
+         status = 'queued',
+         attempts = 0,
+         maxAttempts = :maxAttempts,
+         runAfter = :timestamp,
+         createdAt = :timestamp,
+         updatedAt = :timestamp`,
+      {
+        params: {
+          jobId,
+          type,
+          payload,
+          photographerId,
+          maxAttempts: this.maxAttempts,
+          timestamp,
+        },
+      }
+    );
+
+    this.kick();
+    return jobId;
+  }
+
+  /**
+   * Start the workers. Jobs left "running" by a previous process never
+   * finished, so they go back into the queue.
+   */
+  async start() {
+    if (this.timer) return;
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      await db.query(
+        `UPDATE ProcessingJob SET status = 'queued', updatedAt = :now
+         WHERE status = 'running'`,
+        { params: { now: toOrientDBDateTime(new Date()) } }
+      );
+    } catch (error) {
+      console.error("❌ Failed to requeue interrupted jobs:", error.message);
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+
+    this.timer = setInterval(() => this.kick(), this.pollInterval);
+    this.timer.unref();
+    this.kick();
+
+    console.log(
+      `⚙️ Job queue started (concurrency ${this.concurrency}, poll every ${this.pollInterval}ms)`
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Look for work soon, without blocking the caller
+   */
+  kick() {
+    if (!this.timer) return;
+    setImmediate(() => this.fill());
+  }
+
+  /**
+   * Claim queued jobs until all worker slots are busy
+   */
+  async fill() {
+    if (this.filling) {
+      // Jobs may have been queued after the running pass looked
+      this.refill = true;
+      return;
+    }
+    this.filling = true;
+    this.refill = false;
+
+    try {
+      while (this.active.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        this.active.add(job.jobId);
+        this.run(job).finally(() => {
+          this.active.delete(job.jobId);
+          this.kick();
+        });
+      }
+    } catch (error) {
+      console.error("❌ Job queue error:", error.message);
+    } finally {
+      this.filling = false;
+      if (this.refill) this.kick();
+    }
+  }
+
+  async claimNext() {
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const now = toOrientDBDateTime(new Date());
+      const jobs = await db.query(
+        `SELECT jobId, type, payload, attempts, maxAttempts FROM ProcessingJob
+         WHERE status = 'queued' AND runAfter <= :now
+         ORDER BY createdAt ASC
+         LIMIT :limit`,
+        { params: { now, limit: this.concurrency + this.active.size } }
+      );
+      const job = jobs.find((j) => !this.active.has(j.jobId));
+
+      if (!job) return null;
+
+      await db.query(
+        `UPDATE ProcessingJob SET status = 'running', attempts = :attempts,
+           startedAt = :now, updatedAt = :now
+         WHERE jobId = :jobId`,
+        { params: { jobId: job.jobId, attempts: job.attempts + 1, now } }
+      );
+
+      return { ...job, attempts: job.attempts + 1 };
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers[job.type];
+    let error = null;
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+      await handler.run(job.payload || {}, job);
+    } catch (err) {
+      error = err;
+      console.error(
+        `❌ Job ${job.jobId} (${job.type}) failed, attempt ${job.attempts}/${job.maxAttempts}:`,
+        err.message
+      );
+    }
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      if (!error) {
+        await db.query(`DELETE VERTEX ProcessingJob WHERE jobId = :jobId`, {
+          params: { jobId: job.jobId },
+        });
+        return;
+      }
+
+      const outOfAttempts = job.attempts >= (job.maxAttempts || 1);
+      // 30s, 60s, 120s, ...
+      const retryAt = new Date(
+        Date.now() + 30 * 1000 * Math.pow(2, job.attempts - 1)
+      );
+
+      await db.query(
+        `UPDATE ProcessingJob SET status = :status, lastError = :lastError,
+           runAfter = :runAfter, updatedAt = :now
+         WHERE jobId = :jobId`,
+        {
+          params: {
+            jobId: job.jobId,
+            status: outOfAttempts ? "failed" : "queued",
+            lastError: error.message,
+            runAfter: toOrientDBDateTime(retryAt),
+            now: toOrientDBDateTime(new Date()),
+          },
+        }
+      );
+
+      if (outOfAttempts && handler && handler.onFailed) {
+        await handler.onFailed(job.payload || {}, error);
+      }
+    } catch (err) {
+      console.error(`❌ Failed to record job ${job.jobId} result:`, err);
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+// Export singleton instance (one set of workers per process)
+module.exports = new JobQueueService();
@@ -0,0 +1,321 @@
+const { body, validationResult } = require("express-validator");
+const Database = require("../Database/databaseClass");
+const SoftDeleteService = require("./softDeleteService");
+const CollectionOrderService = require("./collectionOrderService");
+const eventEmitter = require("./eventEmitterService");
+const { MAX_TAG_LENGTH, normalizeTags } = require("../utils/photoTags");
+const { runInTransaction } = require("../utils/transaction");
+
+const BULK_ACTIONS = [
+  "delete",
+  "move",
+  "copy",
+  "addTags",
+  "removeTags",
+  "setCaption",
+];
+const MAX_BULK_PHOTOS = parseInt(process.env.MAX_BULK_PHOTOS) || 500;
+const MAX_CAPTION_LENGTH = 2000;
+
+/**
+ * Photo Bulk Service - One action applied to many photos at once
+ *
+ * Ownership of all photos is checked in a single query; photos that don't
+ * belong to the photographer (or are already deleted) are reported as not
+ * found without touching the others. Each photo's changes run in their own
+ * transaction, so a photo is either fully changed or left as it was.
+ *
+ * "copy" adds the photo to a second collection; the file is shared, not
+ * duplicated. "move" leaves it in the target collection only.
+ */
+class PhotoBulkService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.softDeleteService = new SoftDeleteService();
+    this.orderService = new CollectionOrderService();
+  }
+
+  // Validation for bulk requests
+  static getBulkValidation() {
+    const needs =
+      (...actions) =>
+      ({ req }) =>
+        actions.includes(req.body.action);
+
+    return [
+      body("action")
+        .isIn(BULK_ACTIONS)
+        .withMessage(`action must be one of: ${BULK_ACTIONS.join(", ")}`),
+      body("photoIds")
+        .isArray({ min: 1, max: MAX_BULK_PHOTOS })
+        .withMessage(`photoIds must list 1 to ${MAX_BULK_PHOTOS} photos`),
+      body("photoIds.*").isString().withMessage("photoIds must be strings"),
+      body("collectionId")
+        .if(needs("move", "copy"))
+        .isString()
+        .notEmpty()
+        .withMessage("collectionId is required to move or copy photos"),
+      body("tags")
+        .if(needs("addTags", "removeTags"))
+        .isArray({ min: 1 })
+        .withMessage("tags must be a non-empty array"),
+      body("tags.*")
+        .if(needs("addTags", "removeTags"))
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: MAX_TAG_LENGTH })
+        .withMessage(
+          `tags must be non-empty strings of at most ${MAX_TAG_LENGTH} characters`
+        ),
+      body("caption")
+        .if(needs("setCaption"))
+        .custom(
+          (value) =>
+            value === null ||
+            (typeof value === "string" && value.length <= MAX_CAPTION_LENGTH)
+        )
+        .withMessage(
+          `caption must be a string of at most ${MAX_CAPTION_LENGTH} characters, or null to clear it`
+        ),
+    ];
+  }
+
+  /**
+   * Apply the action to one owned photo
+   * @param {object} db - Open database session
+   * @param {object} photo - { photoId, tags, collectionIds }
+   * @param {object} request - Validated request body plus target state
+   * @returns {Promise<object>} extra fields for the photo's result
+   */
+  async applyToPhoto(db, photo, request) {
+    const { photoId } = photo;
+
+    switch (request.action) {
+      case "delete": {
+        const result = await this.softDeleteService.markForDeletion(
+          "Photo",
+          photoId,
+          "Deleted by photographer",
+          "photoId"
+        );
+        return { scheduledDeletionDate: result.scheduledDeletionDate };
+      }
+
+      case "move":
+      case "copy": {
+        const { collectionId } = request;
+        const others = photo.collectionIds.filter((id) => id !== collectionId);
+        const alreadyIn = photo.collectionIds.includes(collectionId);
+        const statements = [];
+
+        if (request.action === "move" && others.length > 0) {
+          statements.push(
+            `DELETE EDGE CollectionPhoto
+             WHERE in IN (SELECT FROM Photo WHERE photoId = :photoId)
+             AND out.collectionId <> :collectionId`,
+            // Its comments there go with it
+            `DELETE VERTEX PhotoComment
+             WHERE photoId = :photoId AND collectionId <> :collectionId`
+          );
+        }
+
+        if (!alreadyIn) {
+          statements.push(
+            `CREATE EDGE CollectionPhoto
+             FROM (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+             TO (SELECT FROM Photo WHERE photoId = :photoId)
+             SET addedAt = sysdate(), orderIndex = :orderIndex`
+          );
+        }
+
+        if (statements.length === 0) return { changed: false };
+
+        await runInTransaction(db, statements, {
+          photoId,
+          collectionId,
+          orderIndex: alreadyIn ? null : request.nextOrderIndex,
+        });
+
+        if (!alreadyIn) request.nextOrderIndex++;
+
+        return {
+          changed: true,
+          collectionIds:
+            request.action === "move"
+              ? [collectionId]
+              : [...photo.collectionIds, collectionId],
+        };
+      }
+
+      case "addTags":
+      case "removeTags": {
+        const current = photo.tags || [];
+        const tags =
+          request.action === "addTags"
+            ? [...new Set([...current, ...request.tags])]
+            : current.filter((tag) => !request.tags.includes(tag));
+
+        if (
+          tags.length === current.length &&
+          tags.every((tag) => current.includes(tag))
+        ) {
+          return { changed: false, tags };
+        }
+
+        await db.query(
+          `UPDATE Photo SET tags = :tags WHERE photoId = :photoId`,
+          {
+            params: { photoId, tags },
+          }
+        );
+        return { changed: true, tags };
+      }
+
+      case "setCaption": {
+        await db.query(
+          request.caption === null
+            ? `UPDATE Photo REMOVE caption WHERE photoId = :photoId`
+            : `UPDATE Photo SET caption = :caption WHERE photoId = :photoId`,
+          { params: { photoId, caption: request.caption } }
+        );
+        return { changed: true, caption: request.caption };
+      }
+    }
+  }
+
+  /**
+   * Apply one action to a list of photos and report the outcome per photo
+   * Body: { action, photoIds, collectionId?, tags?, caption? }
+   */
+  async bulkUpdate(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const photographerId = req.user.photographerId || req.user.userId;
+      const { action, collectionId } = req.body;
+      const photoIds = [...new Set(req.body.photoIds)];
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const request = {
+        action,
+        collectionId,
+        tags: normalizeTags(req.body.tags || []),
+        caption: req.body.caption ?? null,
+      };
+
+      if (action === "move" || action === "copy") {
+        const collections = await db.query(
+          `SELECT collectionId FROM PhotoCollection
+           WHERE collectionId = :collectionId
+           AND photographerId = :photographerId
+           AND scheduledDeletionDate IS NULL`,
+          { params: { collectionId, photographerId } }
+        );
+
+        if (collections.length === 0) {
+          return res.status(404).json({
+            success: false,
+            message: "Target collection not found",
+          });
+        }
+
+        request.nextOrderIndex = await this.orderService.nextPosition(
+          db,
+          collectionId
+        );
+      }
+
+      // Ownership of every photo in one pass
+      const owned = await db.query(
+        `SELECT photoId, tags, in("CollectionPhoto").collectionId as collectionIds
+         FROM Photo
+         WHERE photoId IN :photoIds
+         AND photographerId = :photographerId
+         AND scheduledDeletionDate IS NULL`,
+        { params: { photoIds, photographerId } }
+      );
+      const ownedById = new Map(owned.map((photo) => [photo.photoId, photo]));
+
+      console.log(
+        `📦 Bulk ${action} of ${photoIds.length} photos (${owned.length} owned) by photographer ${photographerId}`
+      );
+
+      const results = [];
+
+      for (const photoId of photoIds) {
+        const photo = ownedById.get(photoId);
+
+        if (!photo) {
+          results.push({ photoId, success: false, error: "Photo not found" });
+          continue;
+        }
+
+        try {
+          const outcome = await this.applyToPhoto(
+            db,
+            { ...photo, collectionIds: photo.collectionIds || [] },
+            request
+          );
+          results.push({ photoId, success: true, ...outcome });
+        } catch (error) {
+          console.error(
+            `❌ Bulk ${action} failed for photo ${photoId}:`,
+            error
+          );
+          results.push({ photoId, success: false, error: error.message });
+        }
+      }
+
+      const succeeded = results.filter((result) => result.success);
+
+      if (succeeded.length > 0) {
+        eventEmitter.emitPhotoEvent("bulk-updated", {
+          photographerId,
+          action,
+          collectionId: collectionId || undefined,
+          photoIds: succeeded.map((result) => result.photoId),
+        });
+      }
+
+      res.json({
+        success: succeeded.length === results.length,
+        message: `${action}: ${succeeded.length} of ${results.length} photos updated`,
+        action,
+        summary: {
+          requested: results.length,
+          succeeded: succeeded.length,
+          failed: results.length - succeeded.length,
+        },
+        results,
+      });
+    } catch (error) {
+      console.error("Bulk photo update error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to apply bulk photo update",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+module.exports = PhotoBulkService;
@@ -1,10 +1,20 @@
+const crypto = require("crypto");
+const multer = require("multer");
 const { v4: uuidv4 } = require("uuid");
 const { body, validationResult } = require("express-validator");
 const Database = require("../Database/databaseClass");
 const SoftDeleteService = require("./softDeleteService");
+const eventEmitter = require("./eventEmitterService");
 const { toOrientDBDateTime } = require("../utils/dateFormatter");
 const EncryptionService = require("./encryptionService");
 const EmailService = require("./emailService");
+const StorageService = require("./storageService");
+const WatermarkService = require("./watermarkService");
+const CollectionOrderService = require("./collectionOrderService");
+const CollectionExpiryService = require("./collectionExpiryService");
+const CollectionAccessService = require("./collectionAccessService");
+const SelectionService = require("./selectionService");
+const PhotoCommentService = require("./photoCommentService");
 
 class PhotoCollectionService {
   constructor() {
@@ -17,6 +27,13 @@ class PhotoCollectionService {
     this.softDeleteService = new SoftDeleteService();
     this.encryption = new EncryptionService();
     this.emailService = new EmailService();
+    this.storage = new StorageService();
+    this.watermarkService = new WatermarkService();
+    this.orderService = new CollectionOrderService();
+    this.expiryService = new CollectionExpiryService();
+    this.accessService = new CollectionAccessService();
+    this.selectionService = new SelectionService();
+    this.commentService = new PhotoCommentService();
   }
 
   static getCreateCollectionValidation() {
@@ -30,6 +47,49 @@ class PhotoCollectionService {
         .optional()
         .isLength({ max: 500 })
         .withMessage("Description cannot exceed 500 characters"),
+      // Expiry policy; the photographer's default when left out
+      ...CollectionExpiryService.getPolicyValidation("expiry", {
+        optional: true,
+      }),
+    ];
+  }
+
+  // Every field is optional; only the ones sent are changed
+  static getUpdateCollectionValidation() {
+    return [
+      body("name")
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage("Collection name must be between 1 and 100 characters"),
+      body("description")
+        .optional()
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage("Description cannot exceed 500 characters"),
+      ...CollectionExpiryService.getPolicyValidation("expiry", {
+        optional: true,
+      }),
+      body("allowDownloads")
+        .optional()
+        .isBoolean()
+        .withMessage("allowDownloads must be true or false")
+        .toBoolean(),
+      body("coverPhotoId")
+        .optional()
+        .custom((value) => value === null || typeof value === "string")
+        .withMessage(
+          "coverPhotoId must be a photo id, or null for the first photo"
+        ),
+      // How many favorites each client can pick (null = no limit)
+      body("selectionLimit")
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: SelectionService.MAX_LIMIT })
+        .withMessage(
+          `selectionLimit must be between 1 and ${SelectionService.MAX_LIMIT}, or null`
+        )
+        .toInt(),
     ];
   }
 
@@ -43,6 +103,71 @@ class PhotoCollectionService {
     ];
   }
 
+  static getWatermarkValidation() {
+    return [
+      body("enabled")
+        .optional()
+        .isBoolean()
+        .withMessage("enabled must be true or false")
+        .toBoolean(),
+      body("type")
+        .optional()
+        .isIn(WatermarkService.TYPES)
+        .withMessage(
+          `Watermark type must be one of: ${WatermarkService.TYPES.join(", ")}`
+        ),
+      body("text")
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 100 })
+        .withMessage("Watermark text must be between 1 and 100 characters"),
+      body("position")
+        .optional()
+        .isIn(WatermarkService.POSITIONS)
+        .withMessage(
+          `Watermark position must be one of: ${WatermarkService.POSITIONS.join(
+            ", "
+          )}`
+        ),
+      body("opacity")
+        .optional()
+        .isFloat({ min: 0.05, max: 1 })
+        .withMessage("Opacity must be between 0.05 and 1")
+        .toFloat(),
+      body("scale")
+        .optional()
+        .isFloat({ min: 0.05, max: 1 })
+        .withMessage("Scale must be between 0.05 and 1")
+        .toFloat(),
+    ];
+  }
+
+  static getFinalValidation() {
+    return [
+      body("isFinal")
+        .isBoolean()
+        .withMessage("isFinal must be true or false")
+        .toBoolean(),
+    ];
+  }
+
+  // Multer config for watermark logo uploads (PNG only, kept in memory)
+  getLogoUploadConfig() {
+    return multer({
+      storage: multer.memoryStorage(),
+      fileFilter: (req, file, cb) => {
+        if (file.mimetype === "image/png") {
+          cb(null, true);
+        } else {
+          cb(new Error("Watermark logo must be a PNG image"), false);
+        }
+      },
+      limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB
+      },
+    });
+  }
+
   /**
    * Create a new photo collection
    */
@@ -68,7 +193,7 @@ class PhotoCollectionService {
     try {
       const collectionId = uuidv4();
 
-      // Don't set autoDeleteAt yet - it will be set when the last photo is uploaded
+      // autoDeleteAt follows from the expiry policy, set below
       const result = await db.query(
         `CREATE VERTEX PhotoCollection SET 
          collectionId = :collectionId,
@@ -89,6 +214,15 @@ class PhotoCollectionService {
         }
       );
 
+      const expiry = req.body.expiry
+        ? CollectionExpiryService.normalizePolicy(req.body.expiry)
+        : await this.expiryService.getDefaultPolicy(db, photographerId);
+      const deadline = await this.expiryService.applyPolicy(
+        db,
+        collectionId,
+        expiry
+      );
+
       res.json({
         success: true,
         message: "Collection created successfully",
@@ -98,6 +232,11 @@ class PhotoCollectionService {
           description: description || "",
           photographerId,
           isActive: true,
+          allowDownloads: true,
+          expiry: CollectionExpiryService.describe({
+            expiry,
+            autoDeleteAt: deadline ? deadline.toISOString() : null,
+          }),
         },
       });
     } catch (error) {
@@ -127,7 +266,9 @@ class PhotoCollectionService {
     try {
       const collections = await db.query(
         `SELECT collectionId, name, description, photographerId, coverPhotoId, 
-                isActive, createdAt, updatedAt, autoDeleteAt
+                isActive, createdAt, updatedAt, autoDeleteAt, watermark, isFinal,
+                sortMode, sortDirection, expiry, firstSharedAt, allowDownloads,
+                selectionLimit
          FROM PhotoCollection 
          WHERE photographerId = :photographerId AND isActive = true
          AND scheduledDeletionDate IS NULL
@@ -137,6 +278,14 @@ class PhotoCollectionService {
         }
       );
 
+      // Unread comments of all listed collections at once
+      const unreadComments = await this.commentService.unreadTotals(
+        db,
+        "photographer",
+        collections.map((c) => c.collectionId),
+        req.user
+      );
+
       // Get photo count for each collection using collectionId (UUID) not RID
       const collectionsWithCount = await Promise.all(
         collections.map(async (c) => {
@@ -150,21 +299,8 @@ class PhotoCollectionService {
             }
           );
 
-          // Get first photo's thumbnail for collection preview
-          const firstPhoto = await db.query(
-            `SELECT thumbnailDataB64 
-             FROM Photo 
-             WHERE @rid IN (
-               SELECT in FROM CollectionPhoto 
-               WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
-             )
-             AND isActive = true
-             ORDER BY uploadedAt ASC
-             LIMIT 1`,
-            {
-              params: { collectionId: c.collectionId },
-            }
-          );
+          // Cover photo's thumbnail for collection preview
+          const cover = await this.orderService.getCover(db, c);
 
           // Calculate days remaining until auto-deletion
           let daysRemaining = null;
@@ -182,14 +318,25 @@ class PhotoCollectionService {
             name: c.name,
             description: c.description,
             photographerId: c.photographerId,
-            coverPhotoId: c.coverPhotoId,
+            coverPhotoId: c.coverPhotoId || null,
+            sort: CollectionOrderService.sortOf(c),
             isActive: c.isActive,
             createdAt: c.createdAt,
             updatedAt: c.updatedAt,
             autoDeleteAt: c.autoDeleteAt,
             daysRemaining,
+            expiry: CollectionExpiryService.describe(c),
+            watermark: c.watermark
+              ? this.watermarkService.normalizeConfig(c.watermark)
+              : null,
+            isFinal: !!c.isFinal,
+            allowDownloads: c.allowDownloads !== false,
+            selection: await this.selectionService.collectionSummary(db, c),
+            unreadComments: unreadComments.get(c.collectionId) || 0,
             photoCount: photoCount[0]?.count || 0,
-            thumbnailDataB64: firstPhoto[0]?.thumbnailDataB64 || null,
+            thumbnailDataB64: await this.storage.getObjectBase64(
+              cover?.thumbnailKey
+            ),
           };
         })
       );
@@ -226,7 +373,9 @@ class PhotoCollectionService {
     try {
       const collections = await db.query(
         `SELECT collectionId, name, description, photographerId, coverPhotoId, 
-                isActive, createdAt, updatedAt
+                isActive, createdAt, updatedAt, watermark, isFinal, sortMode,
+                sortDirection, autoDeleteAt, expiry, firstSharedAt, allowDownloads,
+                selectionLimit
          FROM PhotoCollection 
          WHERE collectionId = :collectionId AND photographerId = :photographerId AND isActive = true
          AND scheduledDeletionDate IS NULL`,
@@ -242,9 +391,21 @@ class PhotoCollectionService {
         });
       }
 
+      const collection = collections[0];
+
       res.json({
         success: true,
-        collection: collections[0],
+        collection: {
+          ...collection,
+          watermark: collection.watermark
+            ? this.watermarkService.normalizeConfig(collection.watermark)
+            : null,
+          isFinal: !!collection.isFinal,
+          allowDownloads: collection.allowDownloads !== false,
+          selectionLimit: collection.selectionLimit || null,
+          sort: CollectionOrderService.sortOf(collection),
+          expiry: CollectionExpiryService.describe(collection),
+        },
       });
     } catch (error) {
       console.error("Get collection error:", error);
@@ -258,6 +419,189 @@ class PhotoCollectionService {
     }
   }
 
+  /**
+   * Update a collection's details and settings. Body (all optional):
+   * { name, description, expiry, allowDownloads, coverPhotoId, selectionLimit }
+   */
+  async updateCollection(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { collectionId } = req.params;
+    const photographerId = req.user.photographerId || req.user.userId;
+
+    // Plain fields stored as sent
+    const changes = {};
+    for (const field of [
+      "name",
+      "description",
+      "allowDownloads",
+      "coverPhotoId",
+      "selectionLimit",
+    ]) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+    const expiry =
+      req.body.expiry !== undefined
+        ? CollectionExpiryService.normalizePolicy(req.body.expiry)
+        : null;
+
+    if (Object.keys(changes).length === 0 && !expiry) {
+      return res.status(400).json({
+        success: false,
+        message: "No changes provided",
+      });
+    }
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const collections = await db.query(
+        `SELECT collectionId, name, description, coverPhotoId, allowDownloads,
+                selectionLimit, autoDeleteAt, expiry, firstSharedAt
+         FROM PhotoCollection 
+         WHERE collectionId = :collectionId AND photographerId = :photographerId AND isActive = true
+         AND scheduledDeletionDate IS NULL`,
+        {
+          params: { collectionId, photographerId },
+        }
+      );
+
+      if (collections.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const collection = collections[0];
+
+      if (changes.coverPhotoId) {
+        const entries = await this.orderService.loadEntries(db, collectionId);
+
+        if (!entries.some((entry) => entry.photoId === changes.coverPhotoId)) {
+          return res.status(400).json({
+            success: false,
+            message: "The cover photo must be in this collection",
+          });
+        }
+      }
+
+      // Lowering the limit must not leave picks the client can't submit
+      if (changes.selectionLimit) {
+        const minimumLimit = SelectionService.minimumLimit(
+          await this.selectionService.loadSelections(db, collectionId)
+        );
+
+        if (changes.selectionLimit < minimumLimit) {
+          return res.status(409).json({
+            success: false,
+            message: `Clients have already picked more images; the selection limit can't be lower than ${minimumLimit}`,
+            minimumLimit,
+          });
+        }
+      }
+
+      if (Object.keys(changes).length > 0) {
+        await db.query(
+          `UPDATE PhotoCollection SET ${Object.keys(changes)
+            .map((field) => `${field} = :${field}`)
+            .join(", ")}, updatedAt = sysdate()
+           WHERE collectionId = :collectionId`,
+          { params: { ...changes, collectionId } }
+        );
+      }
+
+      let autoDeleteAt = collection.autoDeleteAt || null;
+      if (expiry) {
+        const deadline = await this.expiryService.applyPolicy(
+          db,
+          collectionId,
+          expiry,
+          collection.firstSharedAt
+        );
+        autoDeleteAt = deadline ? deadline.toISOString() : null;
+      }
+
+      const updated = {
+        collectionId,
+        name: changes.name ?? collection.name,
+        description: changes.description ?? collection.description ?? "",
+        coverPhotoId:
+          changes.coverPhotoId !== undefined
+            ? changes.coverPhotoId
+            : collection.coverPhotoId || null,
+        allowDownloads:
+          (changes.allowDownloads ?? collection.allowDownloads) !== false,
+        selectionLimit:
+          changes.selectionLimit !== undefined
+            ? changes.selectionLimit
+            : collection.selectionLimit || null,
+        expiry: CollectionExpiryService.describe({
+          ...collection,
+          expiry: expiry || collection.expiry,
+          autoDeleteAt,
+        }),
+      };
+
+      console.log(
+        `✏️  Collection ${collectionId} updated: ${[
+          ...Object.keys(changes),
+          ...(expiry ? ["expiry"] : []),
+        ].join(", ")}`
+      );
+
+      const clientIds = await this.orderService.clientIdsOf(db, collectionId);
+
+      eventEmitter.emitCollectionEvent("updated", {
+        collectionId,
+        photographerId,
+        clientIds,
+        collection: updated,
+      });
+
+      // Same event as setting the cover on its own, for listeners of it
+      if (
+        changes.coverPhotoId !== undefined &&
+        updated.coverPhotoId !== (collection.coverPhotoId || null)
+      ) {
+        eventEmitter.emitCollectionEvent("cover-changed", {
+          collectionId,
+          photographerId,
+          clientIds,
+          coverPhotoId: updated.coverPhotoId,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Collection updated",
+        collection: updated,
+      });
+    } catch (error) {
+      console.error("Update collection error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update collection",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
   /**
    * Delete a collection (soft delete)
    */
@@ -375,8 +719,9 @@ class PhotoCollectionService {
       }
 
       const collectionRid = collections[0]["@rid"];
+      let position = await this.orderService.nextPosition(db, collectionId);
 
-      // Add each photo to the collection
+      // Add each photo to the end of the collection
       for (let i = 0; i < photoIds.length; i++) {
         const photoId = photoIds[i];
 
@@ -387,7 +732,7 @@ class PhotoCollectionService {
 
         if (existing.length === 0) {
           await db.query(
-            `CREATE EDGE CollectionPhoto FROM ${collectionRid} TO ${photoId} SET addedAt = sysdate(), orderIndex = ${i}`
+            `CREATE EDGE CollectionPhoto FROM ${collectionRid} TO ${photoId} SET addedAt = sysdate(), orderIndex = ${position++}`
           );
         }
       }
@@ -424,7 +769,7 @@ class PhotoCollectionService {
     try {
       // Verify collection ownership - just check it exists, don't use RID
       const collections = await db.query(
-        `SELECT collectionId FROM PhotoCollection 
+        `SELECT collectionId, sortMode, sortDirection FROM PhotoCollection 
          WHERE collectionId = :collectionId AND photographerId = :photographerId AND isActive = true
          AND scheduledDeletionDate IS NULL`,
         {
@@ -440,30 +785,43 @@ class PhotoCollectionService {
       }
 
       // Get photos via CollectionPhoto edge using subquery - NO RIDS!
-      const photos = await db.query(
-        `SELECT expand(in) 
-         FROM CollectionPhoto 
-         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
-         AND in.scheduledDeletionDate IS NULL
-         ORDER BY orderIndex`,
-        {
-          params: { collectionId },
-        }
+      const photos = CollectionOrderService.applyOrder(
+        await db.query(
+          `SELECT expand(in) 
+           FROM CollectionPhoto 
+           WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+           AND in.scheduledDeletionDate IS NULL`,
+          {
+            params: { collectionId },
+          }
+        ),
+        await this.orderService.orderedPhotoIds(db, collections[0])
       );
 
       res.json({
         success: true,
-        photos: photos.map((p) => ({
-          id: p.photoId || p["@rid"].toString(), // Use photoId (UUID), fallback to RID
-          photoId: p.photoId, // Include photoId explicitly
-          fileName: p.fileName,
-          originalName: p.originalName,
-          shareToken: p.shareToken,
-          uploadedAt: p.uploadedAt,
-          tags: p.tags,
-          thumbnailDataB64: p.thumbnailDataB64,
-          size: p.size,
-        })),
+        photos: await Promise.all(
+          photos.map(async (p) => ({
+            id: p.photoId || p["@rid"].toString(), // Use photoId (UUID), fallback to RID
+            photoId: p.photoId, // Include photoId explicitly
+            fileName: p.fileName,
+            originalName: p.originalName,
+            shareToken: p.shareToken,
+            uploadedAt: p.uploadedAt,
+            tags: p.tags,
+            caption: p.caption || null,
+            thumbnailDataB64: await this.storage.getObjectBase64(
+              p.thumbnailKey
+            ),
+            size: p.size,
+            status: p.status || "ready",
+            processingError: p.processingError || undefined,
+            blurhash: p.blurhash || null,
+            dominantColor: p.dominantColor || null,
+            mediaType: p.mediaType || "image",
+            duration: p.duration ?? null,
+          }))
+        ),
       });
     } catch (error) {
       console.error("Get collection photos error:", error);
@@ -566,6 +924,9 @@ class PhotoCollectionService {
         }
       );
 
+      // The first share starts an afterShare expiry countdown
+      await this.expiryService.onShared(db, collectionId);
+
       // Get collection details for email notification
       const collectionDetails = await db.query(
         `SELECT name, description, autoDeleteAt FROM PhotoCollection WHERE collectionId = :collectionId`,
@@ -591,8 +952,8 @@ class PhotoCollectionService {
         { params: { photographerId } }
       );
 
-      // Calculate days remaining
-      let daysRemaining = 14;
+      // Calculate days remaining (null = the collection doesn't expire)
+      let daysRemaining = null;
       if (collectionDetails[0]?.autoDeleteAt) {
         const now = new Date();
         const deleteDate = new Date(collectionDetails[0].autoDeleteAt);
@@ -676,16 +1037,25 @@ class PhotoCollectionService {
 
       res.json({
         success: true,
-        collections: collections
-          .filter((c) => c.isActive && !c.scheduledDeletionDate)
-          .map((c) => ({
-            collectionId: c.collectionId,
-            name: c.name,
-            description: c.description,
-            coverPhotoId: c.coverPhotoId,
-            createdAt: c.createdAt,
-            updatedAt: c.updatedAt,
-          })),
+        collections: await Promise.all(
+          collections
+            .filter((c) => c.isActive && !c.scheduledDeletionDate)
+            .map(async (c) => {
+              const cover = await this.orderService.getCover(db, c);
+
+              return {
+                collectionId: c.collectionId,
+                name: c.name,
+                description: c.description,
+                coverPhotoId: cover?.photoId || null,
+                createdAt: c.createdAt,
+                updatedAt: c.updatedAt,
+                isFinal: !!c.isFinal,
+                watermarked: !!this.watermarkService.activeConfig(c),
+                allowDownloads: c.allowDownloads !== false,
+              };
+            })
+        ),
       });
     } catch (error) {
       console.error("Get client collections error:", error);
@@ -715,7 +1085,8 @@ class PhotoCollectionService {
     try {
       // Verify collection exists
       const collections = await db.query(
-        `SELECT collectionId FROM PhotoCollection 
+        `SELECT collectionId, watermark, isFinal, sortMode, sortDirection
+         FROM PhotoCollection 
          WHERE collectionId = :collectionId AND isActive = true
          AND scheduledDeletionDate IS NULL`,
         {
@@ -747,28 +1118,48 @@ class PhotoCollectionService {
         });
       }
 
+      await this.accessService.markViewed(db, collectionId, clientUsername);
+
       // Get photos using subquery - NO RIDS!
-      const photos = await db.query(
-        `SELECT expand(in) 
-         FROM CollectionPhoto 
-         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
-         AND in.scheduledDeletionDate IS NULL
-         ORDER BY orderIndex`,
-        {
-          params: { collectionId },
-        }
+      const photos = CollectionOrderService.applyOrder(
+        await db.query(
+          `SELECT expand(in) 
+           FROM CollectionPhoto 
+           WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+           AND in.scheduledDeletionDate IS NULL
+           AND (in.status IS NULL OR in.status = 'ready')`,
+          {
+            params: { collectionId },
+          }
+        ),
+        await this.orderService.orderedPhotoIds(db, collections[0])
       );
 
+      // Proof collections show watermarked thumbnails
+      const watermark = this.watermarkService.activeConfig(collections[0]);
+
       res.json({
         success: true,
-        photos: photos.map((p) => ({
-          id: p["@rid"].toString(),
-          fileName: p.fileName,
-          shareToken: p.shareToken,
-          uploadedAt: p.uploadedAt,
-          tags: p.tags,
-          thumbnailDataB64: p.thumbnailDataB64,
-        })),
+        watermarked: !!watermark,
+        photos: await Promise.all(
+          photos.map(async (p) => ({
+            id: p["@rid"].toString(),
+            fileName: p.fileName,
+            shareToken: p.shareToken,
+            uploadedAt: p.uploadedAt,
+            tags: p.tags,
+            caption: p.caption || null,
+            blurhash: p.blurhash || null,
+            dominantColor: p.dominantColor || null,
+            mediaType: p.mediaType || "image",
+            duration: p.duration ?? null,
+            thumbnailDataB64: await this.watermarkService.getThumbnailBase64(
+              db,
+              p,
+              watermark
+            ),
+          }))
+        ),
       });
     } catch (error) {
       console.error("Get client collection photos error:", error);
@@ -781,6 +1172,263 @@ class PhotoCollectionService {
       this.dbInstance.closeConnection();
     }
   }
+
+  /**
+   * Set or change a collection's proof watermark.
+   * Accepts JSON or multipart (with an optional PNG "logo" file).
+   */
+  async updateWatermark(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { collectionId } = req.params;
+    const photographerId = req.user.photographerId || req.user.userId;
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    let newLogoKey = null;
+
+    try {
+      const collections = await db.query(
+        `SELECT watermark, isFinal FROM PhotoCollection 
+         WHERE collectionId = :collectionId AND photographerId = :photographerId AND isActive = true
+         AND scheduledDeletionDate IS NULL`,
+        {
+          params: { collectionId, photographerId },
+        }
+      );
+
+      if (collections.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const previous = collections[0].watermark
+        ? this.watermarkService.normalizeConfig(collections[0].watermark)
+        : null;
+      const watermark = this.watermarkService.normalizeConfig({
+        ...previous,
+        ...this.pickWatermarkFields(req.body),
+      });
+
+      if (req.file) {
+        newLogoKey = `collections/${photographerId}/${collectionId}/watermark-${crypto
+          .randomBytes(8)
+          .toString("hex")}.png`;
+        await this.storage.putObject(newLogoKey, req.file.buffer, {
+          contentType: "image/png",
+        });
+        watermark.logoKey = newLogoKey;
+        watermark.type = "image";
+      }
+
+      if (watermark.type === "image" && !watermark.logoKey) {
+        return res.status(400).json({
+          success: false,
+          message: "Upload a PNG logo to use an image watermark",
+        });
+      }
+
+      await db.query(
+        `UPDATE PhotoCollection SET watermark = :watermark, updatedAt = sysdate()
+         WHERE collectionId = :collectionId`,
+        { params: { collectionId, watermark } }
+      );
+      newLogoKey = null;
+
+      // Copies rendered with the old config are no longer served
+      if (
+        previous &&
+        this.watermarkService.configHash(previous) !==
+          this.watermarkService.configHash(watermark)
+      ) {
+        await this.watermarkService.purgeCollection(db, collectionId, previous);
+      }
+
+      if (previous?.logoKey && previous.logoKey !== watermark.logoKey) {
+        await this.storage.deleteObject(previous.logoKey);
+      }
+
+      res.json({
+        success: true,
+        message: "Watermark updated",
+        watermark,
+        isFinal: !!collections[0].isFinal,
+      });
+    } catch (error) {
+      console.error("Update watermark error:", error);
+      if (newLogoKey) {
+        await this.storage.deleteObject(newLogoKey).catch(() => {});
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to update watermark",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Watermark fields present in a request body
+   */
+  pickWatermarkFields(body) {
+    const fields = {};
+
+    for (const field of [
+      "enabled",
+      "type",
+      "text",
+      "position",
+      "opacity",
+      "scale",
+    ]) {
+      if (body[field] !== undefined) {
+        fields[field] = body[field];
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Remove a collection's watermark (and its logo and cached copies)
+   */
+  async removeWatermark(req, res) {
+    const { collectionId } = req.params;
+    const photographerId = req.user.photographerId || req.user.userId;
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const collections = await db.query(
+        `SELECT watermark FROM PhotoCollection 
+         WHERE collectionId = :collectionId AND photographerId = :photographerId AND isActive = true
+         AND scheduledDeletionDate IS NULL`,
+        {
+          params: { collectionId, photographerId },
+        }
+      );
+
+      if (collections.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      await db.query(
+        `UPDATE PhotoCollection SET watermark = null, updatedAt = sysdate()
+         WHERE collectionId = :collectionId`,
+        { params: { collectionId } }
+      );
+
+      const previous = collections[0].watermark;
+      if (previous) {
+        const config = this.watermarkService.normalizeConfig(previous);
+        await this.watermarkService.purgeCollection(db, collectionId, config);
+        if (config.logoKey) {
+          await this.storage.deleteObject(config.logoKey);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: "Watermark removed",
+      });
+    } catch (error) {
+      console.error("Remove watermark error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove watermark",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Mark a collection final (clients get un-watermarked photos) or back to proof
+   */
+  async setFinal(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { collectionId } = req.params;
+    const { isFinal } = req.body;
+    const photographerId = req.user.photographerId || req.user.userId;
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const collections = await db.query(
+        `SELECT collectionId FROM PhotoCollection 
+         WHERE collectionId = :collectionId AND photographerId = :photographerId AND isActive = true
+         AND scheduledDeletionDate IS NULL`,
+        {
+          params: { collectionId, photographerId },
+        }
+      );
+
+      if (collections.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      await db.query(
+        `UPDATE PhotoCollection SET isFinal = :isFinal, updatedAt = sysdate()
+         WHERE collectionId = :collectionId`,
+        { params: { collectionId, isFinal } }
+      );
+
+      res.json({
+        success: true,
+        message: isFinal
+          ? "Collection marked final - clients now get un-watermarked photos"
+          : "Collection is a proof gallery again",
+        isFinal,
+      });
+    } catch (error) {
+      console.error("Set collection final error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update collection",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
 }
 
 module.exports = PhotoCollectionService;
@@ -0,0 +1,683 @@
+const { v4: uuidv4 } = require("uuid");
+const { body, validationResult } = require("express-validator");
+const Database = require("../Database/databaseClass");
+const eventEmitter = require("./eventEmitterService");
+const CollectionOrderService = require("./collectionOrderService");
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Photo Comment Service - Notes on a photo between client and photographer
+ *
+ * A PhotoComment vertex belongs to one photo within one collection, so only
+ * the photographer and the clients the collection is shared with see it.
+ * Replies point to the first comment of their thread with parentId (one
+ * level deep). Authors can edit and delete their own comments; a deleted
+ * comment that still has replies stays as a placeholder.
+ * Comments from others count as unread until the reader marks the
+ * collection read: CollectionAccess.commentsReadAt for clients,
+ * PhotoCollection.commentsReadAt for the photographer.
+ * Comments are deleted with their photo or collection, and when a bulk move
+ * takes the photo out of the collection (see SoftDeleteService and
+ * PhotoBulkService).
+ */
+class PhotoCommentService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.orderService = new CollectionOrderService();
+  }
+
+  // Validation for a new comment
+  static getCreateValidation() {
+    return [
+      ...PhotoCommentService.getUpdateValidation(),
+      body("parentId")
+        .optional({ nullable: true })
+        .isString()
+        .withMessage("parentId must be a comment id"),
+    ];
+  }
+
+  // Validation for editing a comment
+  static getUpdateValidation() {
+    return [
+      body("body")
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: MAX_COMMENT_LENGTH })
+        .withMessage(
+          `body must be between 1 and ${MAX_COMMENT_LENGTH} characters`
+        ),
+    ];
+  }
+
+  /**
+   * Comment as returned by the API and sent in events
+   */
+  static describe(comment) {
+    const deleted = !!comment.deletedAt;
+
+    return {
+      commentId: comment.commentId,
+      photoId: comment.photoId,
+      parentId: comment.parentId || null,
+      author: {
+        type: comment.authorType,
+        id: comment.authorId,
+        name: comment.authorName || null,
+      },
+      body: deleted ? null : comment.body,
+      deleted,
+      createdAt: comment.createdAt,
+      editedAt: comment.editedAt || null,
+    };
+  }
+
+  /**
+   * Who is reading or writing in a collection, or null without access
+   * @param {string} side - "client" or "photographer"
+   * @returns {Promise<{type, id, name, photographerId, readAt}|null>}
+   */
+  async loadViewer(db, side, collectionId, user) {
+    if (side === "client") {
+      const grants = await db.query(
+        `SELECT in.clientId as clientId, in.clientName as clientName,
+                in.username as username, commentsReadAt,
+                out.photographerId as photographerId
+         FROM CollectionAccess
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId
+                       AND isActive = true AND scheduledDeletionDate IS NULL)
+         AND in IN (SELECT FROM Client WHERE username = :username)`,
+        { params: { collectionId, username: user.username } }
+      );
+
+      if (grants.length === 0) return null;
+
+      return {
+        type: "client",
+        id: grants[0].clientId,
+        name: grants[0].clientName || grants[0].username,
+        photographerId: grants[0].photographerId,
+        readAt: grants[0].commentsReadAt || null,
+      };
+    }
+
+    const photographerId = user.photographerId || user.userId;
+    const collections = await db.query(
+      `SELECT commentsReadAt FROM PhotoCollection
+       WHERE collectionId = :collectionId AND photographerId = :photographerId
+       AND isActive = true AND scheduledDeletionDate IS NULL`,
+      { params: { collectionId, photographerId } }
+    );
+
+    if (collections.length === 0) return null;
+
+    const photographers = await db.query(
+      `SELECT businessName, username FROM Photographer
+       WHERE photographerId = :photographerId`,
+      { params: { photographerId } }
+    );
+
+    return {
+      type: "photographer",
+      id: photographerId,
+      name:
+        photographers[0]?.businessName || photographers[0]?.username || null,
+      photographerId,
+      readAt: collections[0].commentsReadAt || null,
+    };
+  }
+
+  /**
+   * Ids of the collection's photos that can be commented on
+   */
+  async photoIdsOf(db, collectionId) {
+    const entries = await this.orderService.loadEntries(db, collectionId);
+
+    return new Set(
+      entries
+        .filter((entry) => !entry.status || entry.status === "ready")
+        .map((entry) => entry.photoId)
+    );
+  }
+
+  async loadComment(db, collectionId, commentId) {
+    const comments = await db.query(
+      `SELECT FROM PhotoComment
+       WHERE commentId = :commentId AND collectionId = :collectionId`,
+      { params: { commentId, collectionId } }
+    );
+
+    return comments[0] || null;
+  }
+
+  /**
+   * Count the unread ones among a collection's comments: written by someone
+   * else, after the viewer last marked it read, on photos still in it
+   * @param {{type, id, readAt}} viewer
+   * @param {Set<string>} photoIds - Photos that can be commented on
+   * @returns {{total: number, photos: Object<string, number>}}
+   */
+  static countUnread(comments, viewer, photoIds) {
+    const readAt = viewer.readAt ? new Date(viewer.readAt) : null;
+
+    const photos = {};
+    let total = 0;
+
+    for (const comment of comments) {
+      const own =
+        comment.authorType === viewer.type && comment.authorId === viewer.id;
+
+      if (
+        own ||
+        !photoIds.has(comment.photoId) ||
+        (readAt && new Date(comment.createdAt) <= readAt)
+      ) {
+        continue;
+      }
+
+      photos[comment.photoId] = (photos[comment.photoId] || 0) + 1;
+      total++;
+    }
+
+    return { total, photos };
+  }
+
+  /**
+   * Unread comments in a collection
+   * @returns {Promise<{total: number, photos: Object<string, number>}>}
+   */
+  async unreadCount(db, viewer, collectionId) {
+    const comments = await db.query(
+      `SELECT photoId, authorType, authorId, createdAt FROM PhotoComment
+       WHERE collectionId = :collectionId AND deletedAt IS NULL`,
+      { params: { collectionId } }
+    );
+    const photoIds = await this.photoIdsOf(db, collectionId);
+
+    return PhotoCommentService.countUnread(comments, viewer, photoIds);
+  }
+
+  /**
+   * Unread totals for a page of collection listings, with the same three
+   * queries however many collections there are (0 without access)
+   * @param {string} side - "client" or "photographer"
+   * @returns {Promise<Map<string, number>>} collectionId -> unread total
+   */
+  async unreadTotals(db, side, collectionIds, user) {
+    const totals = new Map(collectionIds.map((id) => [id, 0]));
+    if (collectionIds.length === 0) return totals;
+
+    const photographerId = user.photographerId || user.userId;
+    const readers =
+      side === "client"
+        ? await db.query(
+            `SELECT out.collectionId as collectionId, in.clientId as id,
+                    commentsReadAt
+             FROM CollectionAccess
+             WHERE out.collectionId IN :collectionIds
+             AND in IN (SELECT FROM Client WHERE username = :username)`,
+            { params: { collectionIds, username: user.username } }
+          )
+        : await db.query(
+            `SELECT collectionId, photographerId as id, commentsReadAt
+             FROM PhotoCollection
+             WHERE collectionId IN :collectionIds
+             AND photographerId = :photographerId`,
+            { params: { collectionIds, photographerId } }
+          );
+
+    if (readers.length === 0) return totals;
+
+    const [comments, entries] = await Promise.all([
+      db.query(
+        `SELECT collectionId, photoId, authorType, authorId, createdAt
+         FROM PhotoComment
+         WHERE collectionId IN :collectionIds AND deletedAt IS NULL`,
+        { params: { collectionIds } }
+      ),
+      db.query(
+        `SELECT out.collectionId as collectionId, in.photoId as photoId,
+                in.status as status
+         FROM CollectionPhoto
+         WHERE out.collectionId IN :collectionIds
+         AND in.scheduledDeletionDate IS NULL`,
+        { params: { collectionIds } }
+      ),
+    ]);
+
+    const group = (rows) => {
+      const byCollection = new Map();
+      for (const row of rows) {
+        if (!byCollection.has(row.collectionId)) {
+          byCollection.set(row.collectionId, []);
+        }
+        byCollection.get(row.collectionId).push(row);
+      }
+      return byCollection;
+    };
+    const commentsOf = group(comments);
+    const entriesOf = group(entries);
+
+    for (const reader of readers) {
+      const photoIds = new Set(
+        (entriesOf.get(reader.collectionId) || [])
+          .filter((entry) => !entry.status || entry.status === "ready")
+          .map((entry) => entry.photoId)
+      );
+      const viewer = {
+        type: side,
+        id: reader.id,
+        readAt: reader.commentsReadAt,
+      };
+
+      totals.set(
+        reader.collectionId,
+        PhotoCommentService.countUnread(
+          commentsOf.get(reader.collectionId) || [],
+          viewer,
+          photoIds
+        ).total
+      );
+    }
+
+    return totals;
+  }
+
+  /**
+   * Tell the photographer and every client of the collection
+   */
+  async notify(db, viewer, collectionId, type, data) {
+    eventEmitter.emitCollectionEvent(type, {
+      collectionId,
+      photographerId: viewer.photographerId,
+      clientIds: await this.orderService.clientIdsOf(db, collectionId),
+      ...data,
+    });
+  }
+
+  /**
+   * Shared flow of the handlers: validate, resolve the viewer and run
+   * `handler(db, viewer)`
+   * @param {string} side - "client" or "photographer"
+   */
+  async withViewer(req, res, side, handler, errorMessage) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const viewer = await this.loadViewer(
+        db,
+        side,
+        req.params.collectionId,
+        req.user
+      );
+
+      if (!viewer) {
+        return side === "client"
+          ? res.status(403).json({
+              success: false,
+              message: "You don't have access to this collection",
+            })
+          : res.status(404).json({
+              success: false,
+              message: "Collection not found",
+            });
+      }
+
+      await handler(db, viewer);
+    } catch (error) {
+      console.error(`${errorMessage}:`, error);
+      res.status(500).json({
+        success: false,
+        message: errorMessage,
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Comment threads on a photo, oldest first
+   */
+  listComments(req, res, side) {
+    return this.withViewer(
+      req,
+      res,
+      side,
+      async (db, viewer) => {
+        const { collectionId, photoId } = req.params;
+
+        if (!(await this.photoIdsOf(db, collectionId)).has(photoId)) {
+          return res.status(404).json({
+            success: false,
+            message: "Photo not found in this collection",
+          });
+        }
+
+        const comments = await db.query(
+          `SELECT FROM PhotoComment
+           WHERE collectionId = :collectionId AND photoId = :photoId
+           ORDER BY createdAt ASC`,
+          { params: { collectionId, photoId } }
+        );
+
+        const replies = {};
+        for (const comment of comments) {
+          if (comment.parentId) {
+            (replies[comment.parentId] = replies[comment.parentId] || []).push(
+              PhotoCommentService.describe(comment)
+            );
+          }
+        }
+
+        // Deleted comments only stay while they hold a thread together
+        const threads = comments
+          .filter((comment) => !comment.parentId)
+          .filter((comment) => !comment.deletedAt || replies[comment.commentId])
+          .map((comment) => ({
+            ...PhotoCommentService.describe(comment),
+            replies: replies[comment.commentId] || [],
+          }));
+
+        res.json({
+          success: true,
+          collectionId,
+          photoId,
+          viewer: { type: viewer.type, id: viewer.id },
+          threads,
+          total: comments.filter((comment) => !comment.deletedAt).length,
+        });
+      },
+      "Failed to retrieve comments"
+    );
+  }
+
+  /**
+   * Comment on a photo, or reply to a thread. Body: { body, parentId? }
+   */
+  addComment(req, res, side) {
+    return this.withViewer(
+      req,
+      res,
+      side,
+      async (db, viewer) => {
+        const { collectionId, photoId } = req.params;
+
+        if (!(await this.photoIdsOf(db, collectionId)).has(photoId)) {
+          return res.status(404).json({
+            success: false,
+            message: "Photo not found in this collection",
+          });
+        }
+
+        let parentId = null;
+        if (req.body.parentId) {
+          const parent = await this.loadComment(
+            db,
+            collectionId,
+            req.body.parentId
+          );
+
+          if (!parent || parent.photoId !== photoId || parent.deletedAt) {
+            return res.status(404).json({
+              success: false,
+              message: "Comment to reply to not found",
+            });
+          }
+
+          // Replies to a reply join the same thread
+          parentId = parent.parentId || parent.commentId;
+        }
+
+        const commentId = uuidv4();
+
+        await db.query(
+          `CREATE VERTEX PhotoComment SET
+           commentId = :commentId,
+           collectionId = :collectionId,
+           photoId = :photoId,
+           parentId = :parentId,
+           authorType = :authorType,
+           authorId = :authorId,
+           authorName = :authorName,
+           body = :body,
+           createdAt = sysdate()`,
+          {
+            params: {
+              commentId,
+              collectionId,
+              photoId,
+              parentId,
+              authorType: viewer.type,
+              authorId: viewer.id,
+              authorName: viewer.name,
+              body: req.body.body,
+            },
+          }
+        );
+
+        const comment = PhotoCommentService.describe(
+          await this.loadComment(db, collectionId, commentId)
+        );
+
+        console.log(
+          `💬 ${viewer.type} ${viewer.id} commented on photo ${photoId} in collection ${collectionId}`
+        );
+
+        await this.notify(db, viewer, collectionId, "comment-added", {
+          photoId,
+          comment,
+        });
+
+        res.status(201).json({
+          success: true,
+          message: "Comment added",
+          comment,
+        });
+      },
+      "Failed to add comment"
+    );
+  }
+
+  /**
+   * The viewer's own comment, or responds with the error and returns null
+   */
+  async loadOwnComment(db, viewer, req, res) {
+    const comment = await this.loadComment(
+      db,
+      req.params.collectionId,
+      req.params.commentId
+    );
+
+    if (!comment || comment.deletedAt) {
+      res.status(404).json({
+        success: false,
+        message: "Comment not found",
+      });
+      return null;
+    }
+
+    if (comment.authorType !== viewer.type || comment.authorId !== viewer.id) {
+      res.status(403).json({
+        success: false,
+        message: "You can only change your own comments",
+      });
+      return null;
+    }
+
+    return comment;
+  }
+
+  /**
+   * Edit the viewer's own comment. Body: { body }
+   */
+  updateComment(req, res, side) {
+    return this.withViewer(
+      req,
+      res,
+      side,
+      async (db, viewer) => {
+        const { collectionId, commentId } = req.params;
+
+        if (!(await this.loadOwnComment(db, viewer, req, res))) return;
+
+        await db.query(
+          `UPDATE PhotoComment SET body = :body, editedAt = sysdate()
+           WHERE commentId = :commentId`,
+          { params: { commentId, body: req.body.body } }
+        );
+
+        const comment = PhotoCommentService.describe(
+          await this.loadComment(db, collectionId, commentId)
+        );
+
+        await this.notify(db, viewer, collectionId, "comment-updated", {
+          photoId: comment.photoId,
+          comment,
+        });
+
+        res.json({
+          success: true,
+          message: "Comment updated",
+          comment,
+        });
+      },
+      "Failed to update comment"
+    );
+  }
+
+  /**
+   * Delete the viewer's own comment
+   */
+  deleteComment(req, res, side) {
+    return this.withViewer(
+      req,
+      res,
+      side,
+      async (db, viewer) => {
+        const { collectionId, commentId } = req.params;
+
+        const comment = await this.loadOwnComment(db, viewer, req, res);
+        if (!comment) return;
+
+        const replies = comment.parentId
+          ? []
+          : await db.query(
+              `SELECT commentId FROM PhotoComment
+               WHERE parentId = :commentId AND deletedAt IS NULL`,
+              { params: { commentId } }
+            );
+
+        if (replies.length > 0) {
+          await db.query(
+            `UPDATE PhotoComment SET body = null, deletedAt = sysdate()
+             WHERE commentId = :commentId`,
+            { params: { commentId } }
+          );
+        } else {
+          await db.query(
+            `DELETE VERTEX PhotoComment WHERE commentId = :commentId`,
+            { params: { commentId } }
+          );
+        }
+
+        console.log(
+          `💬 Comment ${commentId} on photo ${comment.photoId} deleted`
+        );
+
+        await this.notify(db, viewer, collectionId, "comment-deleted", {
+          photoId: comment.photoId,
+          commentId,
+          parentId: comment.parentId || null,
+        });
+
+        res.json({
+          success: true,
+          message: "Comment deleted",
+          commentId,
+        });
+      },
+      "Failed to delete comment"
+    );
+  }
+
+  /**
+   * Unread comments in the collection, in total and per photo
+   */
+  getUnread(req, res, side) {
+    return this.withViewer(
+      req,
+      res,
+      side,
+      async (db, viewer) => {
+        const { collectionId } = req.params;
+
+        res.json({
+          success: true,
+          collectionId,
+          readAt: viewer.readAt,
+          unread: await this.unreadCount(db, viewer, collectionId),
+        });
+      },
+      "Failed to retrieve unread comments"
+    );
+  }
+
+  /**
+   * Mark every comment in the collection read for the viewer
+   */
+  markRead(req, res, side) {
+    return this.withViewer(
+      req,
+      res,
+      side,
+      async (db, viewer) => {
+        const { collectionId } = req.params;
+
+        if (viewer.type === "client") {
+          await db.query(
+            `UPDATE CollectionAccess SET commentsReadAt = sysdate()
+             WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+             AND in IN (SELECT FROM Client WHERE clientId = :clientId)`,
+            { params: { collectionId, clientId: viewer.id } }
+          );
+        } else {
+          await db.query(
+            `UPDATE PhotoCollection SET commentsReadAt = sysdate()
+             WHERE collectionId = :collectionId`,
+            { params: { collectionId } }
+          );
+        }
+
+        res.json({
+          success: true,
+          message: "Comments marked as read",
+          collectionId,
+          unread: { total: 0, photos: {} },
+        });
+      },
+      "Failed to mark comments as read"
+    );
+  }
+}
+
+module.exports = PhotoCommentService;
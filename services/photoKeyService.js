@@ -0,0 +1,313 @@
+const crypto = require("crypto");
+const Database = require("../Database/databaseClass");
+
+// Unwrapped data keys by photoId, shared by every instance in the process
+const dataKeyCache = new Map();
+const pendingKeys = new Map();
+const DATA_KEY_CACHE_SIZE = 1000;
+
+/**
+ * Photo Key Service - Envelope encryption keys for stored photo bytes
+ *
+ * Every photo has its own random 256-bit data key, which encrypts all of its
+ * stored objects (see StorageService). The Photo record only keeps that key
+ * wrapped (AES-256-GCM) by a master key:
+ *   encryption = { keyVersion, wrappedKey }
+ *
+ * Master keys are versioned so they can be rotated:
+ *   PHOTO_MASTER_KEYS        - "1:<base64 32 bytes>,2:<base64 32 bytes>"
+ *   PHOTO_MASTER_KEY_VERSION - version new keys are wrapped with
+ *                              (default: the highest configured)
+ * Rotation only re-wraps data keys; the image bytes are not touched. Keep
+ * old versions configured until `npm run rotate-photo-keys` has finished.
+ */
+class PhotoKeyService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.masterKeys = PhotoKeyService.loadMasterKeys(
+      process.env.PHOTO_MASTER_KEYS
+    );
+    this.currentVersion = PhotoKeyService.currentVersionOf(this.masterKeys);
+  }
+
+  /**
+   * Version new data keys are wrapped with, or null without master keys
+   */
+  static currentVersionOf(masterKeys) {
+    const versions = Object.keys(masterKeys).map(Number);
+
+    return process.env.PHOTO_MASTER_KEY_VERSION
+      ? parseInt(process.env.PHOTO_MASTER_KEY_VERSION)
+      : versions.length > 0
+      ? Math.max(...versions)
+      : null;
+  }
+
+  /**
+   * Fail at startup rather than on the first upload or photo read
+   * @throws {Error} When PHOTO_MASTER_KEYS is missing or invalid, or
+   *   PHOTO_MASTER_KEY_VERSION is not one of its versions
+   * @returns {number} The current master key version
+   */
+  static checkConfig() {
+    const masterKeys = PhotoKeyService.loadMasterKeys(
+      process.env.PHOTO_MASTER_KEYS
+    );
+    const version = PhotoKeyService.currentVersionOf(masterKeys);
+
+    if (version === null) {
+      throw new Error(
+        "Photo encryption is not configured: set PHOTO_MASTER_KEYS (see .env.example)"
+      );
+    }
+
+    if (!masterKeys[version]) {
+      throw new Error(
+        `PHOTO_MASTER_KEY_VERSION ${version} is not configured in PHOTO_MASTER_KEYS`
+      );
+    }
+
+    return version;
+  }
+
+  /**
+   * Parse PHOTO_MASTER_KEYS into { version: Buffer }
+   */
+  static loadMasterKeys(value) {
+    const keys = {};
+
+    for (const entry of (value || "").split(",")) {
+      if (!entry.trim()) continue;
+
+      const [version, key] = entry.trim().split(":");
+      const buffer = Buffer.from(key || "", "base64");
+
+      if (!/^\d+$/.test(version) || buffer.length !== 32) {
+        throw new Error(
+          `Invalid PHOTO_MASTER_KEYS entry for version "${version}": expected <version>:<base64 32-byte key>`
+        );
+      }
+      keys[parseInt(version)] = buffer;
+    }
+
+    return keys;
+  }
+
+  masterKey(version) {
+    const key = this.masterKeys[version];
+
+    if (!key) {
+      throw new Error(
+        version === null
+          ? "Photo encryption is not configured: set PHOTO_MASTER_KEYS"
+          : `Photo master key version ${version} is not configured`
+      );
+    }
+
+    return key;
+  }
+
+  /**
+   * Wrap a data key with the current master key. The photoId is
+   * authenticated too, so a wrapped key only opens its own photo.
+   */
+  wrap(dataKey, photoId) {
+    const keyVersion = this.currentVersion;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      this.masterKey(keyVersion),
+      iv
+    );
+    cipher.setAAD(Buffer.from(`photo:${photoId}`));
+
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      keyVersion,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString(
+        "base64"
+      ),
+    };
+  }
+
+  unwrap(encryption, photoId) {
+    const raw = Buffer.from(encryption.wrappedKey, "base64");
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this.masterKey(encryption.keyVersion),
+      raw.subarray(0, 12)
+    );
+    decipher.setAAD(Buffer.from(`photo:${photoId}`));
+    decipher.setAuthTag(raw.subarray(12, 28));
+
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+  }
+
+  remember(photoId, dataKey) {
+    dataKeyCache.delete(photoId);
+    dataKeyCache.set(photoId, dataKey);
+
+    // Drop the least recently used key
+    if (dataKeyCache.size > DATA_KEY_CACHE_SIZE) {
+      dataKeyCache.delete(dataKeyCache.keys().next().value);
+    }
+  }
+
+  /**
+   * New data key for a photo that is about to be stored. The returned
+   * `encryption` goes into the Photo record; until then the key is only
+   * known to this process.
+   * @returns {{dataKey: Buffer, encryption: object}}
+   */
+  createKey(photoId) {
+    const dataKey = crypto.randomBytes(32);
+    const encryption = this.wrap(dataKey, photoId);
+
+    this.remember(photoId, dataKey);
+    return { dataKey, encryption };
+  }
+
+  /**
+   * Data key of a stored photo. Photos from before encryption get one the
+   * first time something is written for them.
+   * @returns {Promise<Buffer>}
+   */
+  async getDataKey(photoId) {
+    const cached = dataKeyCache.get(photoId);
+    if (cached) {
+      this.remember(photoId, cached);
+      return cached;
+    }
+
+    if (pendingKeys.has(photoId)) return pendingKeys.get(photoId);
+
+    const promise = this.loadDataKey(photoId).finally(() =>
+      pendingKeys.delete(photoId)
+    );
+    pendingKeys.set(photoId, promise);
+    return promise;
+  }
+
+  async loadDataKey(photoId) {
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const rows = await db.query(
+        `SELECT encryption FROM Photo WHERE photoId = :photoId`,
+        { params: { photoId } }
+      );
+
+      if (rows.length === 0) {
+        throw new Error(`No photo ${photoId} to read the data key of`);
+      }
+
+      let encryption = rows[0].encryption;
+
+      if (!encryption) {
+        const created = this.createKey(photoId);
+        await db.query(
+          `UPDATE Photo SET encryption = :encryption
+           WHERE photoId = :photoId AND encryption IS NULL`,
+          { params: { photoId, encryption: created.encryption } }
+        );
+
+        // Another process may have been first
+        const saved = await db.query(
+          `SELECT encryption FROM Photo WHERE photoId = :photoId`,
+          { params: { photoId } }
+        );
+        encryption = saved[0].encryption;
+      }
+
+      const dataKey = this.unwrap(encryption, photoId);
+      this.remember(photoId, dataKey);
+      return dataKey;
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Re-wrap every data key that isn't wrapped with the current master key
+   * @param {object} [options]
+   * @param {number} [options.batchSize]
+   * @returns {Promise<{rotated: number, failed: Array<object>}>}
+   */
+  async rotate({ batchSize = 200 } = {}) {
+    this.masterKey(this.currentVersion);
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    const summary = { rotated: 0, failed: [] };
+    const failedIds = [];
+
+    try {
+      while (true) {
+        const photos = await db.query(
+          `SELECT photoId, encryption FROM Photo
+           WHERE encryption IS NOT NULL
+           AND encryption.keyVersion <> :version
+           ${failedIds.length > 0 ? "AND photoId NOT IN :failedIds" : ""}
+           LIMIT :limit`,
+          {
+            params: {
+              version: this.currentVersion,
+              failedIds,
+              limit: batchSize,
+            },
+          }
+        );
+
+        if (photos.length === 0) break;
+
+        for (const photo of photos) {
+          try {
+            const dataKey = this.unwrap(photo.encryption, photo.photoId);
+
+            await db.query(
+              `UPDATE Photo SET encryption = :encryption
+               WHERE photoId = :photoId`,
+              {
+                params: {
+                  photoId: photo.photoId,
+                  encryption: this.wrap(dataKey, photo.photoId),
+                },
+              }
+            );
+            summary.rotated++;
+          } catch (error) {
+            console.error(
+              `❌ Failed to re-wrap key of photo ${photo.photoId}:`,
+              error.message
+            );
+            failedIds.push(photo.photoId);
+            summary.failed.push({
+              photoId: photo.photoId,
+              error: error.message,
+            });
+          }
+        }
+      }
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+
+    return summary;
+  }
+}
+
+module.exports = PhotoKeyService;
@@ -0,0 +1,315 @@
+const { query, validationResult } = require("express-validator");
+const Database = require("../Database/databaseClass");
+const StorageService = require("./storageService");
+const { toOrientDBDateTime } = require("../utils/dateFormatter");
+const { normalizeTags } = require("../utils/photoTags");
+
+const SORT_FIELDS = {
+  uploadedAt: "uploadedAt",
+  capturedAt: "exif.capturedAt",
+  originalName: "originalName",
+  size: "size",
+};
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Photo Search Service - Search a photographer's library
+ *
+ * Every filter is optional and they all have to match:
+ *   tags, tagMatch      - comma separated tags; "all" (default) or "any"
+ *   q                   - part of the original or stored filename
+ *   uploadedFrom/To     - upload date range (a date-only "to" includes the day)
+ *   collectionId        - photos in that collection
+ *   mediaType           - "image" or "video"
+ *   camera, lens        - part of the EXIF camera make/model or lens model
+ *   isoMin/Max          - EXIF ISO range
+ *   capturedFrom/To     - EXIF capture date range
+ * Photos in the deleted items are never returned.
+ */
+class PhotoSearchService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.storage = new StorageService();
+  }
+
+  // Validation for search query parameters
+  static getSearchValidation() {
+    const date = (field) =>
+      query(field)
+        .optional()
+        .isISO8601()
+        .withMessage(`${field} must be an ISO 8601 date`);
+
+    return [
+      query("tagMatch")
+        .optional()
+        .isIn(["all", "any"])
+        .withMessage("tagMatch must be all or any"),
+      query("q")
+        .optional()
+        .isString()
+        .isLength({ max: 200 })
+        .withMessage("q must be at most 200 characters"),
+      date("uploadedFrom"),
+      date("uploadedTo"),
+      date("capturedFrom"),
+      date("capturedTo"),
+      query("mediaType")
+        .optional()
+        .isIn(["image", "video"])
+        .withMessage("mediaType must be image or video"),
+      query(["isoMin", "isoMax"])
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage("ISO bounds must be whole numbers"),
+      query("sort")
+        .optional()
+        .isIn(Object.keys(SORT_FIELDS))
+        .withMessage(
+          `sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")}`
+        ),
+      query("order")
+        .optional()
+        .isIn(["asc", "desc"])
+        .withMessage("order must be asc or desc"),
+      query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("page must be at least 1"),
+      query("limit")
+        .optional()
+        .isInt({ min: 1, max: MAX_PAGE_SIZE })
+        .withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    ];
+  }
+
+  /**
+   * Pattern for a case-insensitive substring match with LIKE
+   */
+  static likePattern(text) {
+    return `%${String(text).toLowerCase().replace(/[%?]/g, "")}%`;
+  }
+
+  /**
+   * A search bound as a Date. A date-only value ("2024-05-31") covers the
+   * whole day: it starts at midnight as a lower bound and ends at
+   * 23:59:59.999 as an upper bound.
+   * @param {string} value - Date or date-time from the query
+   * @param {object} options
+   * @param {boolean} options.end - Upper bound
+   * @param {boolean} options.utc - Read the day in UTC rather than the
+   *   server's zone (EXIF wall-clock times are stored as UTC)
+   */
+  static dateBound(value, { end = false, utc = false } = {}) {
+    const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!day) return new Date(value);
+
+    const [year, month, date] = day.slice(1).map(Number);
+    const time = end ? [23, 59, 59, 999] : [0, 0, 0, 0];
+
+    return utc
+      ? new Date(Date.UTC(year, month - 1, date, ...time))
+      : new Date(year, month - 1, date, ...time);
+  }
+
+  /**
+   * WHERE clause and parameters for the search filters
+   * @param {object} filters - req.query
+   * @returns {{where: string, params: object}}
+   */
+  buildFilter(photographerId, filters) {
+    const conditions = [
+      "photographerId = :photographerId",
+      "scheduledDeletionDate IS NULL",
+    ];
+    const params = { photographerId };
+
+    const tags = normalizeTags(filters.tags);
+    if (tags.length > 0) {
+      conditions.push(
+        filters.tagMatch === "any"
+          ? "tags CONTAINSANY :tags"
+          : "tags CONTAINSALL :tags"
+      );
+      params.tags = tags;
+    }
+
+    if (filters.q && filters.q.trim()) {
+      conditions.push(
+        "(originalName.toLowerCase() LIKE :name OR filename.toLowerCase() LIKE :name)"
+      );
+      params.name = PhotoSearchService.likePattern(filters.q.trim());
+    }
+
+    if (filters.uploadedFrom) {
+      conditions.push(
+        "uploadedAt >= date(:uploadedFrom, 'yyyy-MM-dd HH:mm:ss')"
+      );
+      params.uploadedFrom = toOrientDBDateTime(
+        PhotoSearchService.dateBound(filters.uploadedFrom)
+      );
+    }
+
+    if (filters.uploadedTo) {
+      conditions.push("uploadedAt <= date(:uploadedTo, 'yyyy-MM-dd HH:mm:ss')");
+      params.uploadedTo = toOrientDBDateTime(
+        PhotoSearchService.dateBound(filters.uploadedTo, { end: true })
+      );
+    }
+
+    if (filters.collectionId) {
+      conditions.push(
+        'in("CollectionPhoto").collectionId CONTAINS :collectionId'
+      );
+      params.collectionId = filters.collectionId;
+    }
+
+    if (filters.mediaType === "video") {
+      conditions.push("mediaType = 'video'");
+    } else if (filters.mediaType === "image") {
+      conditions.push("(mediaType IS NULL OR mediaType = 'image')");
+    }
+
+    if (filters.camera && filters.camera.trim()) {
+      conditions.push(
+        "(exif.cameraMake.toLowerCase() LIKE :camera OR exif.cameraModel.toLowerCase() LIKE :camera)"
+      );
+      params.camera = PhotoSearchService.likePattern(filters.camera.trim());
+    }
+
+    if (filters.lens && filters.lens.trim()) {
+      conditions.push("exif.lensModel.toLowerCase() LIKE :lens");
+      params.lens = PhotoSearchService.likePattern(filters.lens.trim());
+    }
+
+    if (filters.isoMin !== undefined) {
+      conditions.push("exif.iso >= :isoMin");
+      params.isoMin = parseInt(filters.isoMin);
+    }
+
+    if (filters.isoMax !== undefined) {
+      conditions.push("exif.iso <= :isoMax");
+      params.isoMax = parseInt(filters.isoMax);
+    }
+
+    // exif.capturedAt is stored as an ISO string, which sorts by time; it
+    // holds the camera's wall-clock time as UTC, so days are taken in UTC
+    if (filters.capturedFrom) {
+      conditions.push("exif.capturedAt >= :capturedFrom");
+      params.capturedFrom = PhotoSearchService.dateBound(filters.capturedFrom, {
+        utc: true,
+      }).toISOString();
+    }
+
+    if (filters.capturedTo) {
+      conditions.push("exif.capturedAt <= :capturedTo");
+      params.capturedTo = PhotoSearchService.dateBound(filters.capturedTo, {
+        end: true,
+        utc: true,
+      }).toISOString();
+    }
+
+    return { where: conditions.join("\n         AND "), params };
+  }
+
+  /**
+   * Search the photographer's photos
+   */
+  async searchPhotos(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const photographerId = req.user.photographerId || req.user.userId;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const sort = SORT_FIELDS[req.query.sort] || SORT_FIELDS.uploadedAt;
+      const order = req.query.order === "asc" ? "ASC" : "DESC";
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const { where, params } = this.buildFilter(photographerId, req.query);
+
+      const counts = await db.query(
+        `SELECT count(*) as total FROM Photo
+         WHERE ${where}`,
+        { params }
+      );
+      const total = counts[0]?.total || 0;
+
+      const photos = await db.query(
+        `SELECT photoId, filename, originalName, size, width, height,
+                shareToken, uploadedAt, tags, caption, thumbnailKey, exif,
+                status, processingError, blurhash, dominantColor, mediaType,
+                duration, in("CollectionPhoto").collectionId as collectionIds
+         FROM Photo
+         WHERE ${where}
+         ORDER BY ${sort} ${order}
+         SKIP :offset LIMIT :limit`,
+        { params: { ...params, offset: (page - 1) * limit, limit } }
+      );
+
+      res.json({
+        success: true,
+        photos: await Promise.all(
+          photos.map(async (photo) => ({
+            id: photo.photoId,
+            photoId: photo.photoId,
+            filename: photo.filename,
+            originalName: photo.originalName,
+            size: photo.size,
+            width: photo.width,
+            height: photo.height,
+            shareToken: photo.shareToken,
+            uploadedAt: photo.uploadedAt,
+            tags: photo.tags || [],
+            caption: photo.caption || null,
+            exif: photo.exif || null,
+            status: photo.status || "ready",
+            processingError: photo.processingError || undefined,
+            blurhash: photo.blurhash || null,
+            dominantColor: photo.dominantColor || null,
+            mediaType: photo.mediaType || "image",
+            duration: photo.duration ?? null,
+            collectionIds: photo.collectionIds || [],
+            thumbnailDataB64: await this.storage.getObjectBase64(
+              photo.thumbnailKey
+            ),
+          }))
+        ),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error("Search photos error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to search photos",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+module.exports = PhotoSearchService;
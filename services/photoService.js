@@ -5,6 +5,7 @@ const crypto = require("crypto");
 const Database = require("../Database/databaseClass");
 const EncryptionService = require("./encryptionService");
 const SoftDeleteService = require("./softDeleteService");
+const { contentDisposition } = require("../utils/sendStoredObject");
 
 class PhotoService {
   constructor() {
@@ -222,7 +223,7 @@ class PhotoService {
       res.setHeader("Content-Type", mimetype || "image/jpeg");
       res.setHeader(
         "Content-Disposition",
-        `inline; filename="${originalName}"`
+        contentDisposition("inline", originalName)
       );
 
       // Send file
@@ -0,0 +1,609 @@
+const Database = require("../Database/databaseClass");
+const EnhancedPhotoService = require("./enhancedPhotoService");
+const StorageService = require("./storageService");
+const jobQueue = require("./jobQueueService");
+const eventEmitter = require("./eventEmitterService");
+const { now } = require("../utils/dateFormatter");
+
+// Photos whose file is being replaced or rolled back right now
+const busyPhotos = new Set();
+
+// Photo fields that belong to one file version
+const VERSION_FIELDS = [
+  "version",
+  "filename",
+  "mimetype",
+  "originalMimetype",
+  "mediaType",
+  "size",
+  "width",
+  "height",
+  "duration",
+  "storageKey",
+  "originalKey",
+  "thumbnailKey",
+  "renditions",
+  "checksum",
+  "phash",
+  "blurhash",
+  "dominantColor",
+  "exif",
+  "metadata",
+];
+
+/**
+ * Photo Version Service - Replace a photo's file in place
+ *
+ * A replacement keeps photoId, shareToken and the CollectionPhoto edges, so
+ * client favorites and links keep working. The file it replaces is archived
+ * in Photo.versions (its objects stay in storage under their own keys, see
+ * StorageService.versionedVariant) for PHOTO_VERSION_RETENTION_DAYS
+ * (default 30) and can be rolled back to until then. Photo.replacedAt is
+ * when the current file was uploaded, if it isn't the first one.
+ *
+ *   PUT  /photographer/photos/:photoId/file                         replace
+ *   GET  /photographer/photos/:photoId/versions                     list
+ *   POST /photographer/photos/:photoId/versions/:version/rollback   restore
+ */
+class PhotoVersionService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.photoService = new EnhancedPhotoService();
+    this.storage = this.photoService.storage;
+    this.retentionDays =
+      parseInt(process.env.PHOTO_VERSION_RETENTION_DAYS) || 30;
+  }
+
+  async loadPhoto(db, photoId, photographerId) {
+    const photos = await db.query(
+      `SELECT photoId, photographerId, shareToken, status, uploadedAt,
+              replacedAt, versions, ${VERSION_FIELDS.join(", ")}
+       FROM Photo
+       WHERE photoId = :photoId AND photographerId = :photographerId
+       AND isActive = true
+       AND scheduledDeletionDate IS NULL`,
+      { params: { photoId, photographerId } }
+    );
+
+    return photos[0] || null;
+  }
+
+  /**
+   * Archive entry for a photo's current file. Cached watermarked copies
+   * ("wm-" renditions) are left out; they are deleted instead.
+   * @returns {{entry: object, staleKeys: Array<string>}}
+   */
+  archive(photo) {
+    const renditions = {};
+    const staleKeys = [];
+
+    for (const [name, key] of Object.entries(photo.renditions || {})) {
+      if (typeof key !== "string") continue;
+      if (name.startsWith("wm-")) {
+        staleKeys.push(key);
+      } else {
+        renditions[name] = key;
+      }
+    }
+
+    const entry = Object.fromEntries(
+      VERSION_FIELDS.map((field) => [field, photo[field] ?? null])
+    );
+    const expiresAt = new Date(
+      Date.now() + this.retentionDays * 24 * 60 * 60 * 1000
+    );
+
+    return {
+      entry: {
+        ...entry,
+        version: photo.version || 1,
+        renditions,
+        uploadedAt: photo.replacedAt || photo.uploadedAt || null,
+        archivedAt: new Date().toISOString(),
+        expiresAt: expiresAt.toISOString(),
+      },
+      staleKeys,
+    };
+  }
+
+  /**
+   * Delete objects nothing in the photo record refers to anymore
+   */
+  async deleteUnreferenced(keys, photo) {
+    const inUse = new Set(StorageService.photoObjectKeys(photo));
+
+    for (const key of new Set(keys)) {
+      if (!key || inUse.has(key)) continue;
+
+      await this.storage
+        .deleteObject(key)
+        .catch((err) => console.error(`Failed to remove ${key}:`, err.message));
+    }
+  }
+
+  /**
+   * Public summary of a version
+   */
+  describe(version, current) {
+    return {
+      version: version.version || 1,
+      current,
+      mimetype: version.mimetype,
+      mediaType: version.mediaType || "image",
+      size: version.size,
+      width: version.width,
+      height: version.height,
+      duration: version.duration ?? null,
+      uploadedAt: version.uploadedAt,
+      archivedAt: current ? undefined : version.archivedAt,
+      expiresAt: current ? undefined : version.expiresAt,
+    };
+  }
+
+  /**
+   * Replace the file of a photo; the new one is processed like an upload
+   */
+  async replaceFile(req, res) {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      });
+    }
+
+    const { photoId } = req.params;
+    const photographerId = req.user.photographerId || req.user.userId;
+
+    if (busyPhotos.has(photoId)) {
+      return res.status(409).json({
+        success: false,
+        message: "This photo is already being updated, try again shortly",
+      });
+    }
+    busyPhotos.add(photoId);
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    // Key written to storage for the new file, removed again on failure
+    let originalKey = null;
+
+    try {
+      const photo = await this.loadPhoto(db, photoId, photographerId);
+
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          message: "Photo not found",
+        });
+      }
+
+      if (photo.status === "processing") {
+        return res.status(409).json({
+          success: false,
+          message: "Photo is still being processed",
+        });
+      }
+
+      const file = req.file;
+      const maxSize = this.photoService.maxUploadSize(file);
+      if (file.buffer.length > maxSize) {
+        return res.status(413).json({
+          success: false,
+          message: `File is larger than the ${maxSize} byte limit`,
+        });
+      }
+
+      const checksum = this.photoService.duplicateService.checksum(file.buffer);
+      if (checksum === photo.checksum) {
+        return res.status(400).json({
+          success: false,
+          message: "The file is identical to the current version",
+        });
+      }
+
+      let upload;
+      try {
+        upload = await this.photoService.inspectUpload(file);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      // Only the growth counts; archived versions don't use quota
+      const quota = await this.photoService.quotaService.getStatus(
+        db,
+        photographerId
+      );
+      const currentSize = photo.metadata?.originalSize || photo.size || 0;
+      const quotaError =
+        quota &&
+        this.photoService.quotaService.check(
+          quota,
+          Math.max(file.buffer.length - currentSize, 0),
+          0
+        );
+      if (quotaError) {
+        return res.status(413).json({
+          success: false,
+          message: `Replacement rejected: ${quotaError}`,
+          quota: this.photoService.quotaService.describe(quota),
+        });
+      }
+
+      // Never reuse the number of a version that is still kept
+      const versions = photo.versions || [];
+      const version =
+        Math.max(photo.version || 1, ...versions.map((v) => v.version)) + 1;
+
+      originalKey = StorageService.photoKey(
+        photographerId,
+        photoId,
+        StorageService.versionedVariant("original", version),
+        upload.extension
+      );
+      await this.storage.putObject(originalKey, file.buffer, {
+        contentType: upload.mimetype,
+      });
+
+      const { entry, staleKeys } = this.archive(photo);
+      const replacedAt = now();
+
+      // Until the worker is done the photo keeps its old thumbnail and
+      // renditions, and clients don't see it
+      await db.query(
+        `UPDATE Photo SET
+           versions = :versions,
+           version = :version,
+           replacedAt = :replacedAt,
+           filename = :filename,
+           mimetype = :mimetype,
+           originalMimetype = :mimetype,
+           mediaType = :mediaType,
+           size = :size,
+           width = :width,
+           height = :height,
+           storageKey = :originalKey,
+           originalKey = :originalKey,
+           renditions = :renditions,
+           checksum = :checksum,
+           phash = null,
+           status = 'processing',
+           processingError = null
+         WHERE photoId = :photoId`,
+        {
+          params: {
+            photoId,
+            versions: [...versions, entry],
+            version,
+            replacedAt,
+            filename: photo.filename.replace(
+              /\.[^.]+$/,
+              `.${upload.extension}`
+            ),
+            mimetype: upload.mimetype,
+            mediaType: upload.mediaType,
+            size: file.buffer.length,
+            width: upload.metadata?.width || null,
+            height: upload.metadata?.height || null,
+            originalKey,
+            renditions: entry.renditions,
+            checksum,
+          },
+        }
+      );
+      originalKey = null;
+
+      await this.deleteUnreferenced(staleKeys, {
+        ...photo,
+        renditions: entry.renditions,
+        versions: [...versions, entry],
+      });
+
+      const collections = await db.query(
+        `SELECT out.collectionId as collectionId FROM CollectionPhoto
+         WHERE in IN (SELECT FROM Photo WHERE photoId = :photoId)`,
+        { params: { photoId } }
+      );
+      const collectionId = collections[0]?.collectionId || null;
+
+      await jobQueue.enqueue(
+        db,
+        "photo.process",
+        { photoId, collectionId, duplicateAction: "keep" },
+        { photographerId }
+      );
+
+      console.log(`🔁 Photo ${photoId} replaced with version ${version}`);
+      eventEmitter.emitPhotoEvent("replaced", {
+        photoId,
+        photographerId,
+        collectionId,
+        version,
+      });
+
+      res.json({
+        success: true,
+        message: `Photo replaced, version ${version} is being processed`,
+        photo: {
+          photoId,
+          shareToken: photo.shareToken,
+          version,
+          originalName: file.originalname,
+          mimetype: upload.mimetype,
+          mediaType: upload.mediaType,
+          size: file.buffer.length,
+          status: "processing",
+        },
+      });
+    } catch (error) {
+      if (originalKey) {
+        await this.storage
+          .deleteObject(originalKey)
+          .catch((err) =>
+            console.error(
+              `Failed to remove orphaned ${originalKey}:`,
+              err.message
+            )
+          );
+      }
+      console.error("Replace photo file error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to replace photo",
+        error: error.message,
+      });
+    } finally {
+      busyPhotos.delete(photoId);
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Current and archived versions of a photo, newest first
+   */
+  async listVersions(req, res) {
+    try {
+      const { photoId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const photo = await this.loadPhoto(db, photoId, photographerId);
+
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          message: "Photo not found",
+        });
+      }
+
+      const current = {
+        ...this.describe(
+          { ...photo, uploadedAt: photo.replacedAt || photo.uploadedAt },
+          true
+        ),
+        status: photo.status || "ready",
+      };
+      const archived = [...(photo.versions || [])].sort(
+        (a, b) => b.version - a.version
+      );
+
+      res.json({
+        success: true,
+        photoId,
+        retentionDays: this.retentionDays,
+        versions: [
+          current,
+          ...(await Promise.all(
+            archived.map(async (version) => ({
+              ...this.describe(version, false),
+              thumbnailDataB64: await this.storage.getObjectBase64(
+                version.thumbnailKey
+              ),
+            }))
+          )),
+        ],
+      });
+    } catch (error) {
+      console.error("List photo versions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve photo versions",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Make an archived version current again. The current file is archived
+   * in turn, so a rollback can itself be undone.
+   */
+  async rollback(req, res) {
+    const { photoId } = req.params;
+    const target = parseInt(req.params.version);
+    const photographerId = req.user.photographerId || req.user.userId;
+
+    if (busyPhotos.has(photoId)) {
+      return res.status(409).json({
+        success: false,
+        message: "This photo is already being updated, try again shortly",
+      });
+    }
+    busyPhotos.add(photoId);
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const photo = await this.loadPhoto(db, photoId, photographerId);
+
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          message: "Photo not found",
+        });
+      }
+
+      if (photo.status === "processing") {
+        return res.status(409).json({
+          success: false,
+          message: "Photo is still being processed",
+        });
+      }
+
+      const versions = photo.versions || [];
+      const restored = versions.find((v) => v.version === target);
+
+      if (!restored) {
+        return res.status(404).json({
+          success: false,
+          message: `Version ${req.params.version} not found or no longer kept`,
+        });
+      }
+
+      const { entry, staleKeys } = this.archive(photo);
+      const remaining = [
+        ...versions.filter((v) => v.version !== target),
+        entry,
+      ];
+      const fields = Object.fromEntries(
+        VERSION_FIELDS.map((field) => [field, restored[field] ?? null])
+      );
+
+      await db.query(
+        `UPDATE Photo SET
+           ${VERSION_FIELDS.map((field) => `${field} = :${field}`).join(", ")},
+           versions = :versions,
+           replacedAt = :replacedAt,
+           status = 'ready',
+           processingError = null
+         WHERE photoId = :photoId`,
+        {
+          params: {
+            ...fields,
+            photoId,
+            versions: remaining,
+            replacedAt: restored.uploadedAt,
+          },
+        }
+      );
+
+      await this.deleteUnreferenced(staleKeys, {
+        ...fields,
+        versions: remaining,
+      });
+
+      console.log(`⏪ Photo ${photoId} rolled back to version ${target}`);
+      eventEmitter.emitPhotoEvent("restored", {
+        photoId,
+        photographerId,
+        version: target,
+      });
+
+      res.json({
+        success: true,
+        message: `Version ${target} restored`,
+        photo: {
+          photoId,
+          shareToken: photo.shareToken,
+          ...this.describe(
+            { ...fields, uploadedAt: restored.uploadedAt },
+            true
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Roll back photo version error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to restore photo version",
+        error: error.message,
+      });
+    } finally {
+      busyPhotos.delete(photoId);
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Delete archived versions past their retention period
+   * @returns {Promise<number>} number of versions removed
+   */
+  async pruneExpired() {
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    let removed = 0;
+
+    try {
+      const photos = await db.query(
+        `SELECT photoId, storageKey, originalKey, thumbnailKey, renditions,
+                versions
+         FROM Photo
+         WHERE versions IS NOT NULL AND versions.size() > 0`
+      );
+      const cutoff = Date.now();
+
+      for (const photo of photos) {
+        if (busyPhotos.has(photo.photoId)) continue;
+
+        const expired = photo.versions.filter(
+          (v) => new Date(v.expiresAt).getTime() <= cutoff
+        );
+        if (expired.length === 0) continue;
+
+        const kept = photo.versions.filter((v) => !expired.includes(v));
+
+        try {
+          await db.query(
+            `UPDATE Photo SET versions = :versions WHERE photoId = :photoId`,
+            { params: { photoId: photo.photoId, versions: kept } }
+          );
+          await this.deleteUnreferenced(
+            expired.flatMap((v) => StorageService.photoObjectKeys(v)),
+            { ...photo, versions: kept }
+          );
+          removed += expired.length;
+        } catch (error) {
+          console.error(
+            `Failed to prune versions of photo ${photo.photoId}:`,
+            error.message
+          );
+        }
+      }
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} expired photo version(s)`);
+    }
+
+    return removed;
+  }
+}
+
+module.exports = PhotoVersionService;
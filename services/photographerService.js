@@ -5,6 +5,8 @@ const { generateToken } = require("../middleware/auth");
 const EncryptionService = require("./encryptionService");
 const EmailService = require("./emailService");
 const EnhancedPhotoService = require("./enhancedPhotoService");
+const ExifService = require("./exifService");
+const CollectionExpiryService = require("./collectionExpiryService");
 const UserCredentials = require("../UserManagement/generateUserCredentials");
 const { now, toOrientDBDateTime } = require("../utils/dateFormatter");
 const nodemailer = require("nodemailer");
@@ -53,6 +55,155 @@ class PhotographerService {
     ];
   }
 
+  // Validation for photographer settings updates
+  static getSettingsValidation() {
+    return [
+      body("exifStripPolicy")
+        .optional()
+        .isIn(ExifService.POLICIES)
+        .withMessage(
+          `EXIF strip policy must be one of: ${ExifService.POLICIES.join(", ")}`
+        ),
+      // Expiry of new collections: never or afterShare
+      ...CollectionExpiryService.getPolicyValidation(
+        "defaultCollectionExpiry",
+        {
+          optional: true,
+          allowDate: false,
+        }
+      ),
+    ];
+  }
+
+  /**
+   * Current photographer's settings, with defaults filled in
+   */
+  async getSettings(req, res) {
+    try {
+      if (req.user.role !== "photographer") {
+        return res.status(403).json({
+          success: false,
+          message: "Only photographers have settings",
+        });
+      }
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const photographers = await db.query(
+        `SELECT exifStripPolicy, defaultCollectionExpiry FROM Photographer
+         WHERE photographerId = :photographerId`,
+        { params: { photographerId: req.user.photographerId } }
+      );
+
+      if (photographers.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Photographer not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        settings: {
+          exifStripPolicy:
+            photographers[0].exifStripPolicy || ExifService.DEFAULT_POLICY,
+          defaultCollectionExpiry: CollectionExpiryService.normalizePolicy(
+            photographers[0].defaultCollectionExpiry
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Get photographer settings error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve settings",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Update the current photographer's settings.
+   * exifStripPolicy applies to photos uploaded from now on,
+   * defaultCollectionExpiry to collections created from now on.
+   */
+  async updateSettings(req, res) {
+    try {
+      if (req.user.role !== "photographer") {
+        return res.status(403).json({
+          success: false,
+          message: "Only photographers have settings",
+        });
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const settings = {};
+
+      if (req.body.exifStripPolicy !== undefined) {
+        settings.exifStripPolicy = req.body.exifStripPolicy;
+      }
+      if (req.body.defaultCollectionExpiry !== undefined) {
+        settings.defaultCollectionExpiry =
+          CollectionExpiryService.normalizePolicy(
+            req.body.defaultCollectionExpiry
+          );
+      }
+
+      if (Object.keys(settings).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No settings provided",
+        });
+      }
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      await db.query(
+        `UPDATE Photographer SET ${Object.keys(settings)
+          .map((field) => `${field} = :${field}`)
+          .join(", ")}
+         WHERE photographerId = :photographerId`,
+        {
+          params: {
+            ...settings,
+            photographerId: req.user.photographerId,
+          },
+        }
+      );
+
+      res.json({
+        success: true,
+        message: "Settings updated",
+        settings,
+      });
+    } catch (error) {
+      console.error("Update photographer settings error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update settings",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
   async createPhotographer(req, res) {
     try {
       // Only admin can create photographers
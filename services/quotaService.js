@@ -0,0 +1,348 @@
+const { body, validationResult } = require("express-validator");
+const Database = require("../Database/databaseClass");
+const { now } = require("../utils/dateFormatter");
+
+/**
+ * Quota Service - Per-photographer storage limits
+ *
+ * Every photographer may store up to a number of bytes (counted as
+ * uploaded) and a number of photos. Defaults come from DEFAULT_QUOTA_BYTES
+ * and DEFAULT_QUOTA_PHOTOS (unset = unlimited); admins can override them per
+ * photographer, stored as Photographer.quota = { bytes, photos } where null
+ * means unlimited. Photos in the deleted items don't count.
+ */
+class QuotaService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.defaults = {
+      bytes: parseInt(process.env.DEFAULT_QUOTA_BYTES) || null,
+      photos: parseInt(process.env.DEFAULT_QUOTA_PHOTOS) || null,
+    };
+  }
+
+  // Validation for admin quota updates
+  static getQuotaValidation() {
+    const limit = (field) =>
+      body(field)
+        .optional()
+        .custom(
+          (value) => value === null || (Number.isInteger(value) && value >= 0)
+        )
+        .withMessage(
+          `${field} must be a whole number of at least 0, or null for unlimited`
+        );
+
+    return [limit("bytes"), limit("photos")];
+  }
+
+  /**
+   * Limits and current usage of a photographer
+   * @param {object} db - Open database session
+   * @returns {Promise<object|null>} { limits, usage, custom }, null if the
+   *   photographer doesn't exist
+   */
+  async getStatus(db, photographerId) {
+    const photographers = await db.query(
+      `SELECT quota FROM Photographer WHERE photographerId = :photographerId`,
+      { params: { photographerId } }
+    );
+
+    if (photographers.length === 0) return null;
+
+    const override = photographers[0].quota;
+    const usage = await db.query(
+      `SELECT COUNT(*) as photos, SUM(ifnull(metadata.originalSize, size)) as bytes
+       FROM Photo
+       WHERE photographerId = :photographerId
+       AND scheduledDeletionDate IS NULL`,
+      { params: { photographerId } }
+    );
+
+    return {
+      limits: override
+        ? { bytes: override.bytes ?? null, photos: override.photos ?? null }
+        : { ...this.defaults },
+      usage: {
+        bytes: usage[0]?.bytes || 0,
+        photos: usage[0]?.photos || 0,
+      },
+      custom: !!override,
+    };
+  }
+
+  /**
+   * Why an upload of this size doesn't fit, or null if it does
+   * @param {object} status - From getStatus
+   * @param {number} size - Upload size in bytes
+   * @param {number} [count] - Number of photos it adds
+   */
+  check(status, size, count = 1) {
+    const { limits, usage } = status;
+
+    if (limits.photos !== null && usage.photos + count > limits.photos) {
+      return `Photo quota exceeded: ${usage.photos} of ${limits.photos} photos used`;
+    }
+
+    if (limits.bytes !== null && usage.bytes + size > limits.bytes) {
+      return `Storage quota exceeded: ${this.remaining(status).bytes} of ${
+        limits.bytes
+      } bytes left, ${size} needed`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a stored file against the quota (for later files of a batch)
+   */
+  consume(status, size, count = 1) {
+    status.usage.bytes += size;
+    status.usage.photos += count;
+  }
+
+  remaining({ limits, usage }) {
+    return {
+      bytes:
+        limits.bytes === null ? null : Math.max(limits.bytes - usage.bytes, 0),
+      photos:
+        limits.photos === null
+          ? null
+          : Math.max(limits.photos - usage.photos, 0),
+    };
+  }
+
+  /**
+   * Public view of a quota status
+   */
+  describe(status) {
+    const remaining = this.remaining(status);
+
+    return {
+      bytes: {
+        used: status.usage.bytes,
+        limit: status.limits.bytes,
+        remaining: remaining.bytes,
+      },
+      photos: {
+        used: status.usage.photos,
+        limit: status.limits.photos,
+        remaining: remaining.photos,
+      },
+      source: status.custom ? "custom" : "default",
+    };
+  }
+
+  /**
+   * Current photographer's usage and limits
+   */
+  async getUsage(req, res) {
+    try {
+      if (req.user.role !== "photographer") {
+        return res.status(403).json({
+          success: false,
+          message: "Only photographers have a storage quota",
+        });
+      }
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const status = await this.getStatus(db, req.user.photographerId);
+
+      if (!status) {
+        return res.status(404).json({
+          success: false,
+          message: "Photographer not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        quota: this.describe(status),
+      });
+    } catch (error) {
+      console.error("Get quota usage error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve storage usage",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Any photographer's usage and limits (admin)
+   */
+  async getPhotographerQuota(req, res) {
+    try {
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const status = await this.getStatus(db, req.params.photographerId);
+
+      if (!status) {
+        return res.status(404).json({
+          success: false,
+          message: "Photographer not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        quota: this.describe(status),
+        defaults: this.defaults,
+      });
+    } catch (error) {
+      console.error("Get photographer quota error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve photographer quota",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Override a photographer's limits (admin). Fields left out keep their
+   * current value; null means unlimited.
+   */
+  async setPhotographerQuota(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    if (req.body.bytes === undefined && req.body.photos === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide bytes and/or photos",
+      });
+    }
+
+    try {
+      const { photographerId } = req.params;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const current = await this.getStatus(db, photographerId);
+
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: "Photographer not found",
+        });
+      }
+
+      const quota = {
+        bytes:
+          req.body.bytes !== undefined ? req.body.bytes : current.limits.bytes,
+        photos:
+          req.body.photos !== undefined
+            ? req.body.photos
+            : current.limits.photos,
+        updatedAt: now(),
+        updatedBy: req.user.username || req.user.userId,
+      };
+
+      await db.query(
+        `UPDATE Photographer SET quota = :quota WHERE photographerId = :photographerId`,
+        { params: { photographerId, quota } }
+      );
+
+      console.log(
+        `📦 Quota of photographer ${photographerId} set to ${quota.bytes} bytes / ${quota.photos} photos`
+      );
+
+      res.json({
+        success: true,
+        message: "Quota updated",
+        quota: this.describe({
+          ...current,
+          limits: { bytes: quota.bytes, photos: quota.photos },
+          custom: true,
+        }),
+      });
+    } catch (error) {
+      console.error("Set photographer quota error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update photographer quota",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Drop a photographer's override, back to the defaults (admin)
+   */
+  async resetPhotographerQuota(req, res) {
+    try {
+      const { photographerId } = req.params;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const current = await this.getStatus(db, photographerId);
+
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: "Photographer not found",
+        });
+      }
+
+      await db.query(
+        `UPDATE Photographer REMOVE quota WHERE photographerId = :photographerId`,
+        { params: { photographerId } }
+      );
+
+      res.json({
+        success: true,
+        message: "Quota reset to the defaults",
+        quota: this.describe({
+          ...current,
+          limits: { ...this.defaults },
+          custom: false,
+        }),
+      });
+    } catch (error) {
+      console.error("Reset photographer quota error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reset photographer quota",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+module.exports = QuotaService;
@@ -0,0 +1,276 @@
+const sharp = require("sharp");
+const { encode: encodeBlurhash } = require("blurhash");
+const StorageService = require("./storageService");
+
+// Default rendition set: name -> longest edge in px and JPEG quality.
+// "original" is not listed - it is always the stored full-size file.
+const DEFAULT_RENDITIONS = {
+  thumb: { maxSize: 300, quality: 70 },
+  grid: { maxSize: 800, quality: 80 },
+  preview: { maxSize: 2048, quality: 85 },
+};
+
+// Lazy generations in flight, so concurrent requests for the same missing
+// rendition only render it once
+const pendingRenditions = new Map();
+
+/**
+ * Rendition Service - Resized JPEG variants of stored photos
+ *
+ * The set can be configured with PHOTO_RENDITIONS, e.g.
+ *   PHOTO_RENDITIONS=thumb:300,grid:800,preview:2048
+ * "thumb" is always generated since listings depend on it.
+ */
+class RenditionService {
+  constructor() {
+    this.storage = new StorageService();
+    this.renditions = RenditionService.loadConfig(process.env.PHOTO_RENDITIONS);
+  }
+
+  /**
+   * Parse "name:maxSize[:quality],..." into a rendition map
+   */
+  static loadConfig(value) {
+    if (!value) {
+      return { ...DEFAULT_RENDITIONS };
+    }
+
+    const renditions = {};
+
+    for (const entry of value.split(",")) {
+      const [name, maxSize, quality] = entry.split(":").map((s) => s.trim());
+      const size = parseInt(maxSize);
+
+      if (!/^[a-z0-9_-]+$/i.test(name || "") || name === "original" || !size) {
+        console.warn(`⚠️ Ignoring invalid PHOTO_RENDITIONS entry "${entry}"`);
+        continue;
+      }
+
+      renditions[name] = {
+        maxSize: size,
+        quality: parseInt(quality) || DEFAULT_RENDITIONS[name]?.quality || 80,
+      };
+    }
+
+    if (!renditions.thumb) {
+      renditions.thumb = { ...DEFAULT_RENDITIONS.thumb };
+    }
+
+    return renditions;
+  }
+
+  /**
+   * Plain name -> key map from a stored renditions field (drops record metadata)
+   */
+  static keysOf(renditions) {
+    return Object.fromEntries(
+      Object.entries(renditions || {}).filter(
+        ([name, key]) => !name.startsWith("@") && typeof key === "string"
+      )
+    );
+  }
+
+  /**
+   * Key of the image a photo's renditions are made from: the stored file,
+   * or the poster frame of a video
+   */
+  static imageSourceOf(photo) {
+    return (photo.renditions && photo.renditions.poster) || photo.storageKey;
+  }
+
+  /**
+   * All size names the rendition endpoint accepts
+   */
+  getSizeNames() {
+    return [...Object.keys(this.renditions), "original"];
+  }
+
+  isValidSize(size) {
+    return size === "original" || Boolean(this.renditions[size]);
+  }
+
+  async render(buffer, size) {
+    const { maxSize, quality } = this.renditions[size];
+
+    // rotate() applies any EXIF orientation left on photos stored before
+    // uploads were auto-rotated
+    return sharp(buffer)
+      .rotate()
+      .resize(maxSize, maxSize, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .jpeg({ quality })
+      .toBuffer();
+  }
+
+  /**
+   * Gallery placeholder of a photo: a BlurHash of a tiny copy and the
+   * dominant color, for clients to show while the thumbnail loads
+   * @returns {Promise<{blurhash: string, dominantColor: string}>}
+   */
+  async placeholder(buffer) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize(32, 32, { fit: "inside" })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { dominant } = await sharp(buffer).stats();
+
+    // More components along the longer edge
+    const landscape = info.width >= info.height;
+
+    return {
+      blurhash: encodeBlurhash(
+        new Uint8ClampedArray(data),
+        info.width,
+        info.height,
+        landscape ? 4 : 3,
+        landscape ? 3 : 4
+      ),
+      dominantColor: `#${[dominant.r, dominant.g, dominant.b]
+        .map((c) => c.toString(16).padStart(2, "0"))
+        .join("")}`,
+    };
+  }
+
+  /**
+   * Render and store every configured rendition of a photo
+   * @param {number} [version] - File version of the photo (see
+   *   StorageService.versionedVariant)
+   * @returns {Promise<object>} map of rendition name -> storage key
+   */
+  async generateAll(buffer, photographerId, photoId, version = 1) {
+    const keys = {};
+
+    try {
+      for (const size of Object.keys(this.renditions)) {
+        const key = StorageService.photoKey(
+          photographerId,
+          photoId,
+          StorageService.versionedVariant(size, version)
+        );
+        await this.storage.putObject(key, await this.render(buffer, size), {
+          contentType: "image/jpeg",
+        });
+        keys[size] = key;
+      }
+    } catch (error) {
+      await this.deleteKeys(Object.values(keys));
+      throw error;
+    }
+
+    return keys;
+  }
+
+  async deleteKeys(keys) {
+    for (const key of keys) {
+      await this.storage
+        .deleteObject(key)
+        .catch((err) =>
+          console.error(`Failed to remove rendition ${key}:`, err.message)
+        );
+    }
+  }
+
+  /**
+   * Storage key and content type for a rendition of a photo record,
+   * generating (and recording) the rendition first if it doesn't exist yet.
+   * @param {object} db - Open database session
+   * @param {object} photo - Photo row with photoId, photographerId, storageKey,
+   *                         thumbnailKey, mimetype and renditions
+   * @param {string} size - Rendition name or "original"
+   */
+  async resolve(db, photo, size) {
+    if (size === "original") {
+      return {
+        key: photo.storageKey,
+        contentType: photo.mimetype || "image/jpeg",
+      };
+    }
+
+    const existing =
+      (photo.renditions && photo.renditions[size]) ||
+      (size === "thumb" ? photo.thumbnailKey : null);
+
+    if (existing && (await this.storage.statObject(existing))) {
+      return { key: existing, contentType: "image/jpeg" };
+    }
+
+    const key = await this.once(`${photo.photoId}:${size}`, () =>
+      this.generateMissing(db, photo, size)
+    );
+    return { key, contentType: "image/jpeg" };
+  }
+
+  /**
+   * Run a generation task unless the same one is already in flight, in which
+   * case wait for that one instead
+   */
+  once(pendingKey, task) {
+    if (!pendingRenditions.has(pendingKey)) {
+      pendingRenditions.set(
+        pendingKey,
+        task().finally(() => pendingRenditions.delete(pendingKey))
+      );
+    }
+
+    return pendingRenditions.get(pendingKey);
+  }
+
+  /**
+   * Lazily create one rendition for a photo uploaded before it was configured
+   */
+  async generateMissing(db, photo, size) {
+    console.log(
+      `🖼️ Generating missing "${size}" rendition for ${photo.photoId}`
+    );
+
+    // Videos are rendered from their poster frame
+    const original = await this.storage.getObject(
+      RenditionService.imageSourceOf(photo)
+    );
+    const key = StorageService.photoKey(
+      photo.photographerId || "unassigned",
+      photo.photoId,
+      StorageService.versionedVariant(size, photo.version)
+    );
+
+    await this.storage.putObject(key, await this.render(original, size), {
+      contentType: "image/jpeg",
+    });
+    await this.record(db, photo.photoId, { [size]: key });
+
+    return key;
+  }
+
+  /**
+   * Add entries to a photo's renditions map. Every stored derivative of a
+   * photo is listed there, so permanent deletion can find it.
+   * @param {object} changes - name -> key to set, name -> null to remove
+   */
+  async record(db, photoId, changes) {
+    // Re-read the map so renditions generated meanwhile aren't overwritten
+    const rows = await db.query(
+      `SELECT renditions FROM Photo WHERE photoId = :photoId`,
+      { params: { photoId } }
+    );
+    const renditions = RenditionService.keysOf(rows[0]?.renditions);
+
+    for (const [name, key] of Object.entries(changes)) {
+      if (key) {
+        renditions[name] = key;
+      } else {
+        delete renditions[name];
+      }
+    }
+
+    await db.query(
+      `UPDATE Photo SET renditions = :renditions WHERE photoId = :photoId`,
+      { params: { photoId, renditions } }
+    );
+  }
+}
+
+module.exports = RenditionService;
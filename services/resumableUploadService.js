@@ -0,0 +1,665 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { v4: uuidv4 } = require("uuid");
+const { body, validationResult } = require("express-validator");
+const Database = require("../Database/databaseClass");
+const EnhancedPhotoService = require("./enhancedPhotoService");
+const DuplicateService = require("./duplicateService");
+const { isSupportedUpload } = require("../utils/imageFormats");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Uploads with a chunk being written or being finalized right now
+const busyUploads = new Set();
+
+/**
+ * Resumable Upload Service - Chunked uploads that survive dropped
+ * connections and server restarts
+ *
+ * Flow (offsets work like tus):
+ *   POST   /photographer/uploads                  create, returns uploadId
+ *   PATCH  /photographer/uploads/:id              append a chunk at Upload-Offset
+ *   HEAD   /photographer/uploads/:id              current Upload-Offset
+ *   POST   /photographer/uploads/:id/finalize     process and store the photo
+ *   DELETE /photographer/uploads/:id              give up
+ *
+ * Each upload is two files under UPLOAD_TMP_PATH: <id>.part (the bytes so
+ * far - its size is the offset) and <id>.json (who, what and where to).
+ * Uploads untouched for UPLOAD_SESSION_TTL_HOURS (default 24) are removed.
+ */
+class ResumableUploadService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.photoService = new EnhancedPhotoService();
+    this.directory =
+      process.env.UPLOAD_TMP_PATH || path.join(__dirname, "../uploads/tmp");
+    this.ttlHours = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+    this.chunkSize = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8388608; // 8MB
+  }
+
+  static getCreateUploadValidation() {
+    return [
+      body("filename")
+        .isString()
+        .isLength({ min: 1, max: 255 })
+        .withMessage("filename must be between 1 and 255 characters"),
+      body("size")
+        .isInt({ min: 1 })
+        .withMessage("size must be the file size in bytes")
+        .toInt(),
+      body("mimetype").optional().isString(),
+      body("collectionId")
+        .notEmpty()
+        .withMessage("Collection is required when uploading photos"),
+      body("checksum")
+        .optional()
+        .isHash("sha256")
+        .withMessage("checksum must be a hex SHA-256"),
+      body("tags").optional().isString(),
+      body("onDuplicate")
+        .optional()
+        .isIn(DuplicateService.ACTIONS)
+        .withMessage(
+          `onDuplicate must be one of: ${DuplicateService.ACTIONS.join(", ")}`
+        ),
+      body("expiryMinutes").optional().isInt({ min: 0 }).toInt(),
+    ];
+  }
+
+  dataPath(uploadId) {
+    return path.join(this.directory, `${uploadId}.part`);
+  }
+
+  metaPath(uploadId) {
+    return path.join(this.directory, `${uploadId}.json`);
+  }
+
+  /**
+   * Load an upload with its current offset, or null if it doesn't exist
+   */
+  async load(uploadId) {
+    if (!UUID_PATTERN.test(uploadId)) return null;
+
+    try {
+      const upload = JSON.parse(
+        await fs.promises.readFile(this.metaPath(uploadId), "utf8")
+      );
+
+      if (upload.status === "completed") {
+        return { ...upload, offset: upload.size };
+      }
+
+      const stat = await fs.promises.stat(this.dataPath(uploadId));
+      return { ...upload, offset: stat.size };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write an upload's metadata (atomically, so a crash can't leave half a file)
+   */
+  async save(upload) {
+    const { offset, ...meta } = upload;
+    const target = this.metaPath(upload.uploadId);
+
+    await fs.promises.writeFile(`${target}.tmp`, JSON.stringify(meta));
+    await fs.promises.rename(`${target}.tmp`, target);
+  }
+
+  async remove(uploadId) {
+    await fs.promises.rm(this.dataPath(uploadId), { force: true });
+    await fs.promises.rm(this.metaPath(uploadId), { force: true });
+  }
+
+  /**
+   * Upload owned by the current photographer, or null
+   */
+  async loadOwn(req) {
+    const upload = await this.load(req.params.uploadId);
+    const photographerId = req.user.photographerId || req.user.userId;
+
+    return upload && upload.photographerId === photographerId ? upload : null;
+  }
+
+  /**
+   * Public view of an upload
+   */
+  describe(upload) {
+    return {
+      uploadId: upload.uploadId,
+      filename: upload.filename,
+      mimetype: upload.mimetype,
+      size: upload.size,
+      offset: upload.offset,
+      complete: upload.offset >= upload.size,
+      status: upload.status,
+      collectionId: upload.options.collectionId,
+      chunkSize: this.chunkSize,
+      createdAt: upload.createdAt,
+      updatedAt: upload.updatedAt,
+    };
+  }
+
+  setOffsetHeaders(res, upload) {
+    res.setHeader("Upload-Offset", upload.offset);
+    res.setHeader("Upload-Length", upload.size);
+    res.setHeader("Cache-Control", "no-store");
+  }
+
+  async createUpload(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { filename, size, checksum, collectionId } = req.body;
+    const mimetype = req.body.mimetype || "application/octet-stream";
+    const photographerId = req.user.photographerId || req.user.userId;
+
+    if (!isSupportedUpload({ mimetype, originalname: filename })) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Only JPEG, PNG, WebP, GIF, AVIF, HEIC and TIFF images and MP4 and MOV videos are allowed",
+      });
+    }
+
+    const maxSize = this.photoService.maxUploadSize({
+      mimetype,
+      originalname: filename,
+    });
+    if (size > maxSize) {
+      return res.status(413).json({
+        success: false,
+        message: `File is larger than the ${maxSize} byte limit`,
+      });
+    }
+
+    const db = this.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const collections = await db.query(
+        `SELECT collectionId FROM PhotoCollection
+         WHERE collectionId = :collectionId AND photographerId = :photographerId AND isActive = true
+         AND scheduledDeletionDate IS NULL`,
+        { params: { collectionId, photographerId } }
+      );
+
+      if (collections.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      // Don't let the client send bytes that can't be stored. Finalizing
+      // checks again, other uploads may have used the space meanwhile.
+      const quota = await this.photoService.quotaService.getStatus(
+        db,
+        photographerId
+      );
+      const quotaError =
+        quota && this.photoService.quotaService.check(quota, size);
+      if (quotaError) {
+        return res.status(413).json({
+          success: false,
+          message: quotaError,
+          quota: this.photoService.quotaService.describe(quota),
+        });
+      }
+
+      const timestamp = new Date().toISOString();
+      const upload = {
+        uploadId: uuidv4(),
+        photographerId,
+        filename,
+        mimetype,
+        size,
+        checksum: checksum ? checksum.toLowerCase() : null,
+        status: "uploading",
+        options: {
+          collectionId,
+          tags: req.body.tags,
+          onDuplicate: req.body.onDuplicate,
+          expiryMinutes: req.body.expiryMinutes || 0,
+        },
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        offset: 0,
+      };
+
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(this.dataPath(upload.uploadId), "");
+      await this.save(upload);
+
+      console.log(
+        `📤 Resumable upload ${upload.uploadId} created (${filename}, ${size} bytes)`
+      );
+
+      this.setOffsetHeaders(res, upload);
+      res.setHeader(
+        "Location",
+        `${req.baseUrl}/uploads/${encodeURIComponent(upload.uploadId)}`
+      );
+      res.status(201).json({
+        success: true,
+        upload: this.describe(upload),
+      });
+    } catch (error) {
+      console.error("Create upload error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create upload",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Unfinished uploads of the photographer, so a client can resume them
+   * after a reload
+   */
+  async listUploads(req, res) {
+    try {
+      const photographerId = req.user.photographerId || req.user.userId;
+      const files = await fs.promises.readdir(this.directory).catch(() => []);
+      const uploads = [];
+
+      for (const file of files) {
+        if (!file.endsWith(".json")) continue;
+
+        const upload = await this.load(path.basename(file, ".json"));
+        if (
+          upload &&
+          upload.photographerId === photographerId &&
+          upload.status !== "completed"
+        ) {
+          uploads.push(this.describe(upload));
+        }
+      }
+
+      res.json({
+        success: true,
+        uploads,
+      });
+    } catch (error) {
+      console.error("List uploads error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve uploads",
+      });
+    }
+  }
+
+  async getUpload(req, res) {
+    try {
+      const upload = await this.loadOwn(req);
+
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: "Upload not found",
+        });
+      }
+
+      this.setOffsetHeaders(res, upload);
+
+      if (req.method === "HEAD") {
+        return res.status(200).end();
+      }
+
+      res.json({
+        success: true,
+        upload: this.describe(upload),
+      });
+    } catch (error) {
+      console.error("Get upload error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve upload",
+      });
+    }
+  }
+
+  /**
+   * Append the request body at Upload-Offset. Bytes that arrive before a
+   * connection drops are kept; the client asks for the offset and resumes.
+   */
+  async uploadChunk(req, res) {
+    const { uploadId } = req.params;
+    const contentType = (req.headers["content-type"] || "").split(";")[0];
+
+    if (
+      contentType !== "application/offset+octet-stream" &&
+      contentType !== "application/octet-stream"
+    ) {
+      return res.status(415).json({
+        success: false,
+        message: "Chunks must be sent as application/offset+octet-stream",
+      });
+    }
+
+    if (busyUploads.has(uploadId)) {
+      return res.status(409).json({
+        success: false,
+        message: "Another request is already writing to this upload",
+      });
+    }
+
+    busyUploads.add(uploadId);
+
+    try {
+      const upload = await this.loadOwn(req);
+
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: "Upload not found",
+        });
+      }
+
+      const offset = parseInt(req.headers["upload-offset"]);
+
+      if (upload.status !== "uploading" || offset !== upload.offset) {
+        this.setOffsetHeaders(res, upload);
+        return res.status(409).json({
+          success: false,
+          message:
+            upload.status !== "uploading"
+              ? "Upload is already finalized"
+              : "Upload-Offset does not match the current offset",
+          offset: upload.offset,
+        });
+      }
+
+      // Never write past the declared size
+      let remaining = upload.size - upload.offset;
+      let overflow = false;
+      const limit = new Transform({
+        transform(chunk, encoding, callback) {
+          if (chunk.length > remaining) {
+            overflow = true;
+            callback(new Error("Chunk goes past the declared upload size"));
+            return;
+          }
+          remaining -= chunk.length;
+          callback(null, chunk);
+        },
+      });
+
+      try {
+        await pipeline(
+          req,
+          limit,
+          fs.createWriteStream(this.dataPath(uploadId), { flags: "a" })
+        );
+      } catch (error) {
+        // Keep what was written; the client resumes from the new offset
+        console.warn(`⚠️ Upload ${uploadId} chunk interrupted:`, error.message);
+      }
+
+      const updated = await this.load(uploadId);
+      updated.updatedAt = new Date().toISOString();
+      await this.save(updated);
+
+      this.setOffsetHeaders(res, updated);
+
+      if (overflow) {
+        return res.status(413).json({
+          success: false,
+          message: "Chunk goes past the declared upload size",
+          offset: updated.offset,
+        });
+      }
+
+      res.json({
+        success: true,
+        offset: updated.offset,
+        size: updated.size,
+        complete: updated.offset >= updated.size,
+      });
+    } catch (error) {
+      console.error("Upload chunk error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: "Failed to store chunk",
+        });
+      }
+    } finally {
+      busyUploads.delete(uploadId);
+    }
+  }
+
+  /**
+   * Hand the assembled file to the regular upload pipeline (processImage,
+   * duplicate check, Photo record, CollectionPhoto edge). Finalizing twice
+   * returns the first result, so a lost response can simply be retried.
+   */
+  async finalizeUpload(req, res) {
+    const { uploadId } = req.params;
+
+    if (busyUploads.has(uploadId)) {
+      return res.status(409).json({
+        success: false,
+        message: "Upload is busy, try again shortly",
+      });
+    }
+
+    busyUploads.add(uploadId);
+
+    try {
+      const upload = await this.loadOwn(req);
+
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: "Upload not found",
+        });
+      }
+
+      if (upload.status === "completed") {
+        return res.json(upload.result);
+      }
+
+      if (upload.offset < upload.size) {
+        this.setOffsetHeaders(res, upload);
+        return res.status(409).json({
+          success: false,
+          message: "Upload is incomplete",
+          offset: upload.offset,
+          size: upload.size,
+        });
+      }
+
+      const buffer = await fs.promises.readFile(this.dataPath(uploadId));
+
+      if (
+        upload.checksum &&
+        crypto.createHash("sha256").update(buffer).digest("hex") !==
+          upload.checksum
+      ) {
+        // Start over: the bytes on disk are not the file the client has
+        await fs.promises.truncate(this.dataPath(uploadId), 0);
+        return res.status(422).json({
+          success: false,
+          message: "Checksum mismatch - the upload was reset, please resend it",
+          offset: 0,
+        });
+      }
+
+      const result = await this.storeUpload(req.user, upload, buffer);
+
+      // Kept as is, so it can be finalized once space has been freed
+      if (result.errors?.[0]?.quotaExceeded) {
+        return res.status(413).json({
+          ...result,
+          success: false,
+          message: result.errors[0].error,
+        });
+      }
+
+      // Keep the result for retries; the bytes aren't needed any more
+      await this.save({
+        ...upload,
+        status: "completed",
+        result,
+        updatedAt: new Date().toISOString(),
+      });
+      await fs.promises.rm(this.dataPath(uploadId), { force: true });
+
+      console.log(`✅ Resumable upload ${uploadId} finalized`);
+
+      res.status(201).json(result);
+    } catch (error) {
+      // The upload is kept, so finalizing can be retried
+      console.error("Finalize upload error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process upload",
+        error: error.message,
+      });
+    } finally {
+      busyUploads.delete(uploadId);
+    }
+  }
+
+  /**
+   * Store an assembled upload like uploadPhoto stores a multipart file
+   * @returns {Promise<object>} the response body
+   */
+  async storeUpload(user, upload, buffer) {
+    const photoService = this.photoService;
+    const { collectionId, expiryMinutes } = upload.options;
+
+    const db = photoService.dbInstance.useDatabase(
+      process.env.DB_NAME,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+
+    try {
+      const context = await photoService.createUploadContext(
+        db,
+        user,
+        upload.options
+      );
+      const { photo, skipped, rejected } = await photoService.storeUploadedFile(
+        db,
+        {
+          buffer,
+          originalname: upload.filename,
+          mimetype: upload.mimetype,
+        },
+        context
+      );
+
+      if (photo) {
+        await photoService.startCollectionExpiry(
+          db,
+          collectionId,
+          expiryMinutes
+        );
+      }
+
+      return {
+        success: true,
+        message: `Successfully uploaded ${photo ? 1 : 0} photo(s)`,
+        photos: photo ? [photo] : [],
+        errors: skipped || rejected ? [skipped || rejected] : undefined,
+      };
+    } finally {
+      photoService.dbInstance.closeConnection();
+    }
+  }
+
+  async cancelUpload(req, res) {
+    const { uploadId } = req.params;
+
+    if (busyUploads.has(uploadId)) {
+      return res.status(409).json({
+        success: false,
+        message: "Upload is busy, try again shortly",
+      });
+    }
+
+    try {
+      const upload = await this.loadOwn(req);
+
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: "Upload not found",
+        });
+      }
+
+      await this.remove(uploadId);
+
+      res.json({
+        success: true,
+        message: "Upload cancelled",
+      });
+    } catch (error) {
+      console.error("Cancel upload error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel upload",
+      });
+    }
+  }
+
+  /**
+   * Remove uploads that haven't been touched within the TTL
+   * @returns {Promise<number>} number of uploads removed
+   */
+  async cleanupExpired() {
+    const cutoff = Date.now() - this.ttlHours * 60 * 60 * 1000;
+    const files = await fs.promises.readdir(this.directory).catch(() => []);
+    let removed = 0;
+
+    for (const file of files) {
+      if (!file.endsWith(".json")) continue;
+
+      const uploadId = path.basename(file, ".json");
+      if (busyUploads.has(uploadId)) continue;
+
+      try {
+        const upload = await this.load(uploadId);
+        if (!upload || new Date(upload.updatedAt).getTime() < cutoff) {
+          await this.remove(uploadId);
+          removed++;
+        }
+      } catch (error) {
+        console.error(`Failed to clean up upload ${uploadId}:`, error.message);
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} expired resumable upload(s)`);
+    }
+
+    return removed;
+  }
+}
+
+module.exports = ResumableUploadService;
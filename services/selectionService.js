@@ -0,0 +1,972 @@
+const path = require("path");
+const { body, query, validationResult } = require("express-validator");
+const Database = require("../Database/databaseClass");
+const eventEmitter = require("./eventEmitterService");
+const CollectionOrderService = require("./collectionOrderService");
+
+const EXPORT_FORMATS = ["list", "csv"];
+const MAX_SELECTION_LIMIT = 10000;
+
+/**
+ * Selection Service - Client favorites (proofing) within a collection
+ *
+ * A client's picks live on their CollectionAccess edge:
+ *   favorites            - photoIds, in the order they were picked
+ *   favoritesUpdatedAt   - last change
+ *   selectionSubmittedAt - set when the client submits; the selection is
+ *                          locked until the photographer reopens it
+ *   extraApproved        - images granted on top of the collection's limit
+ *   extraRequest         - the client's latest request for more images:
+ *                          { count, message, status, requestedAt, decidedAt }
+ *                          with status pending, approved or declined
+ * PhotoCollection.selectionLimit (unset = no limit) caps how many favorites
+ * each client can pick; extraApproved raises it for one client.
+ * The photographer sees every client's selection and can export it as a
+ * filename list (paste into Lightroom's Library Filter text search) or CSV.
+ */
+class SelectionService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.orderService = new CollectionOrderService();
+  }
+
+  static get MAX_LIMIT() {
+    return MAX_SELECTION_LIMIT;
+  }
+
+  // Validation for a client's request for more images
+  static getExtraRequestValidation() {
+    return [
+      body("count")
+        .isInt({ min: 1, max: MAX_SELECTION_LIMIT })
+        .withMessage(`count must be between 1 and ${MAX_SELECTION_LIMIT}`)
+        .toInt(),
+      body("message")
+        .optional()
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage("message cannot exceed 500 characters"),
+    ];
+  }
+
+  // Validation for exporting selections
+  static getExportValidation() {
+    return [
+      query("format")
+        .optional()
+        .isIn(EXPORT_FORMATS)
+        .withMessage(`format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+      query("clientId")
+        .optional()
+        .isString()
+        .withMessage("clientId must be a client id"),
+    ];
+  }
+
+  /**
+   * How many favorites a client may pick, or null for no limit
+   * @param {number|null} selectionLimit - The collection's limit
+   * @param {number} extraApproved - Extra images approved for the client
+   */
+  static allowanceOf(selectionLimit, extraApproved) {
+    return selectionLimit ? selectionLimit + (extraApproved || 0) : null;
+  }
+
+  /**
+   * The lowest selection limit that keeps every client's picks (submitted
+   * or not) within their allowance, or 0 when nobody has picked yet
+   * @param {Array<object>} selections - CollectionAccess fields (favorites,
+   *   extraApproved) of each client
+   */
+  static minimumLimit(selections) {
+    return selections.reduce(
+      (minimum, grant) =>
+        Math.max(
+          minimum,
+          (grant.favorites || []).length - (grant.extraApproved || 0)
+        ),
+      0
+    );
+  }
+
+  /**
+   * A client's selection state as shown in listings
+   * @param {object} grant - CollectionAccess fields (favorites,
+   *   selectionSubmittedAt, extraApproved, extraRequest)
+   * @param {number|null} selectionLimit
+   */
+  static summarize(grant, selectionLimit) {
+    const count = (grant.favorites || []).length;
+    const allowance = SelectionService.allowanceOf(
+      selectionLimit,
+      grant.extraApproved
+    );
+
+    return {
+      count,
+      limit: selectionLimit || null,
+      extraApproved: grant.extraApproved || 0,
+      allowance,
+      remaining: allowance === null ? null : Math.max(0, allowance - count),
+      submitted: !!grant.selectionSubmittedAt,
+      submittedAt: grant.selectionSubmittedAt || null,
+      extraRequest: grant.extraRequest || null,
+    };
+  }
+
+  /**
+   * The client's selection in a collection, or null without access
+   * @returns {Promise<{favorites: Array<string>, submittedAt, selectionLimit,
+   *   extraApproved, extraRequest}|null>}
+   */
+  async loadSelection(db, collectionId, clientUsername) {
+    const grants = await db.query(
+      `SELECT favorites, selectionSubmittedAt, extraApproved, extraRequest,
+              out.selectionLimit as selectionLimit,
+              out.photographerId as photographerId
+       FROM CollectionAccess
+       WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId
+                     AND isActive = true AND scheduledDeletionDate IS NULL)
+       AND in IN (SELECT FROM Client WHERE username = :username)`,
+      { params: { collectionId, username: clientUsername } }
+    );
+
+    if (grants.length === 0) return null;
+
+    return {
+      favorites: grants[0].favorites || [],
+      submittedAt: grants[0].selectionSubmittedAt || null,
+      selectionLimit: grants[0].selectionLimit || null,
+      extraApproved: grants[0].extraApproved || 0,
+      extraRequest: grants[0].extraRequest || null,
+      photographerId: grants[0].photographerId,
+    };
+  }
+
+  /**
+   * Add or remove one favorite in a single update, so concurrent clicks
+   * can't lose picks or go past the allowance. Nothing changes once the
+   * selection is submitted.
+   * @returns {Promise<boolean>} Whether the favorites changed
+   */
+  async changeFavorite(db, collectionId, clientUsername, photoId, options) {
+    const { add, allowance } = options;
+    const conditions = add
+      ? ["NOT (favorites CONTAINS :photoId)"]
+      : ["favorites CONTAINS :photoId"];
+    if (add && allowance !== null) {
+      conditions.push("(favorites IS NULL OR favorites.size() < :allowance)");
+    }
+
+    const updated = await db.query(
+      `UPDATE CollectionAccess
+       ${add ? "ADD" : "REMOVE"} favorites = :photoId
+       SET favoritesUpdatedAt = sysdate()
+       RETURN AFTER @rid
+       WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+       AND in IN (SELECT FROM Client WHERE username = :username)
+       AND selectionSubmittedAt IS NULL
+       AND ${conditions.join(" AND ")}`,
+      {
+        params: { collectionId, username: clientUsername, photoId, allowance },
+      }
+    );
+
+    return updated.length > 0;
+  }
+
+  /**
+   * Selections of every client the collection is shared with
+   */
+  async loadSelections(db, collectionId) {
+    return db.query(
+      `SELECT in.clientId as clientId, in.username as username,
+              in.clientName as clientName, favorites, favoritesUpdatedAt,
+              selectionSubmittedAt, extraApproved, extraRequest
+       FROM CollectionAccess
+       WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+       ORDER BY grantedAt ASC`,
+      { params: { collectionId } }
+    );
+  }
+
+  /**
+   * Selection counts of a collection for the photographer's listing
+   * @param {object} collection - Needs collectionId and selectionLimit
+   */
+  async collectionSummary(db, collection) {
+    const selections = await this.loadSelections(db, collection.collectionId);
+
+    return {
+      limit: collection.selectionLimit || null,
+      clients: selections.length,
+      submitted: selections.filter((s) => s.selectionSubmittedAt).length,
+      favorites: selections.reduce(
+        (total, s) => total + (s.favorites || []).length,
+        0
+      ),
+      pendingExtraRequests: selections.filter(
+        (s) => s.extraRequest?.status === "pending"
+      ).length,
+    };
+  }
+
+  /**
+   * Collection of the photographer, or null
+   */
+  async loadCollection(db, collectionId, photographerId) {
+    const collections = await db.query(
+      `SELECT collectionId, name, sortMode, sortDirection, selectionLimit
+       FROM PhotoCollection
+       WHERE collectionId = :collectionId AND photographerId = :photographerId
+       AND isActive = true AND scheduledDeletionDate IS NULL`,
+      { params: { collectionId, photographerId } }
+    );
+
+    return collections[0] || null;
+  }
+
+  async getFavorites(req, res) {
+    try {
+      const { collectionId } = req.params;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const selection = await this.loadSelection(
+        db,
+        collectionId,
+        req.user.username
+      );
+
+      if (!selection) {
+        return res.status(403).json({
+          success: false,
+          message: "You don't have access to this collection",
+        });
+      }
+
+      res.json({
+        success: true,
+        collectionId,
+        photoIds: selection.favorites,
+        ...SelectionService.summarize(
+          {
+            favorites: selection.favorites,
+            selectionSubmittedAt: selection.submittedAt,
+            extraApproved: selection.extraApproved,
+            extraRequest: selection.extraRequest,
+          },
+          selection.selectionLimit
+        ),
+      });
+    } catch (error) {
+      console.error("Get favorites error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve favorites",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Shared flow of mark/unmark: check access and the lock, apply the
+   * change, answer with the favorites as saved
+   */
+  async updateFavorites(req, res, add) {
+    try {
+      const { collectionId, photoId } = req.params;
+      const clientUsername = req.user.username;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const selection = await this.loadSelection(
+        db,
+        collectionId,
+        clientUsername
+      );
+
+      if (!selection) {
+        return res.status(403).json({
+          success: false,
+          message: "You don't have access to this collection",
+        });
+      }
+
+      if (selection.submittedAt) {
+        return res.status(409).json({
+          success: false,
+          message: "Your selection has been submitted and can't be changed",
+        });
+      }
+
+      // Photos that have left the collection can still be unmarked
+      if (add) {
+        const entries = await this.orderService.loadEntries(db, collectionId);
+        const inCollection = entries.some(
+          (entry) =>
+            entry.photoId === photoId &&
+            (!entry.status || entry.status === "ready")
+        );
+
+        if (!inCollection) {
+          return res.status(404).json({
+            success: false,
+            message: "Photo not found in this collection",
+          });
+        }
+      }
+
+      const allowance = SelectionService.allowanceOf(
+        selection.selectionLimit,
+        selection.extraApproved
+      );
+
+      // Only adding checks the allowance, so a client over it can still
+      // unmark
+      const changed = await this.changeFavorite(
+        db,
+        collectionId,
+        clientUsername,
+        photoId,
+        { add, allowance }
+      );
+
+      const saved = await this.loadSelection(db, collectionId, clientUsername);
+      const favorites = saved ? saved.favorites : [];
+
+      // Submitted in between
+      if (!changed && saved && saved.submittedAt) {
+        return res.status(409).json({
+          success: false,
+          message: "Your selection has been submitted and can't be changed",
+        });
+      }
+
+      if (add && !favorites.includes(photoId)) {
+        return res.status(409).json({
+          success: false,
+          message: `You can pick up to ${allowance} images. Request more images to add this one.`,
+          limitReached: true,
+          allowance,
+        });
+      }
+
+      res.json({
+        success: true,
+        photoId,
+        isFavorite: favorites.includes(photoId),
+        count: favorites.length,
+        remaining:
+          allowance === null ? null : Math.max(0, allowance - favorites.length),
+      });
+    } catch (error) {
+      console.error("Update favorites error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update favorites",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  addFavorite(req, res) {
+    return this.updateFavorites(req, res, true);
+  }
+
+  removeFavorite(req, res) {
+    return this.updateFavorites(req, res, false);
+  }
+
+  /**
+   * Submit the favorites as the final selection and lock them
+   */
+  async submitSelection(req, res) {
+    try {
+      const { collectionId } = req.params;
+      const clientUsername = req.user.username;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const selection = await this.loadSelection(
+        db,
+        collectionId,
+        clientUsername
+      );
+
+      if (!selection) {
+        return res.status(403).json({
+          success: false,
+          message: "You don't have access to this collection",
+        });
+      }
+
+      if (selection.submittedAt) {
+        return res.status(409).json({
+          success: false,
+          message: "Your selection has already been submitted",
+        });
+      }
+
+      if (selection.favorites.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Pick at least one favorite before submitting",
+        });
+      }
+
+      const allowance = SelectionService.allowanceOf(
+        selection.selectionLimit,
+        selection.extraApproved
+      );
+
+      if (allowance !== null && selection.favorites.length > allowance) {
+        return res.status(409).json({
+          success: false,
+          message: `You can pick up to ${allowance} images. Unmark some or request more images.`,
+          limitReached: true,
+          allowance,
+        });
+      }
+
+      await db.query(
+        `UPDATE CollectionAccess SET selectionSubmittedAt = sysdate()
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+         AND in IN (SELECT FROM Client WHERE username = :username)`,
+        { params: { collectionId, username: clientUsername } }
+      );
+
+      console.log(
+        `⭐ ${clientUsername} submitted ${selection.favorites.length} favorites in collection ${collectionId}`
+      );
+
+      eventEmitter.emitCollectionEvent("selection-submitted", {
+        collectionId,
+        photographerId: selection.photographerId,
+        clientId: req.user.clientId,
+        clientIds: [req.user.clientId].filter(Boolean),
+        count: selection.favorites.length,
+      });
+
+      res.json({
+        success: true,
+        message: "Selection submitted",
+        count: selection.favorites.length,
+        submitted: true,
+      });
+    } catch (error) {
+      console.error("Submit selection error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to submit selection",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Every client's selection with the picked photos, and how many clients
+   * picked each photo
+   */
+  async getSelections(req, res) {
+    try {
+      const { collectionId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const collection = await this.loadCollection(
+        db,
+        collectionId,
+        photographerId
+      );
+
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const [selections, entries] = await Promise.all([
+        this.loadSelections(db, collectionId),
+        this.orderService.loadEntries(db, collectionId),
+      ]);
+      const names = new Map(
+        entries.map((entry) => [entry.photoId, entry.originalName])
+      );
+      // Photos removed from the collection since they were picked drop out
+      const picked = (selection) =>
+        (selection.favorites || []).filter((photoId) => names.has(photoId));
+
+      const counts = new Map();
+      for (const selection of selections) {
+        for (const photoId of picked(selection)) {
+          counts.set(photoId, (counts.get(photoId) || 0) + 1);
+        }
+      }
+
+      const ordered = await this.orderService.orderedPhotoIds(db, collection);
+
+      res.json({
+        success: true,
+        collectionId,
+        selectionLimit: collection.selectionLimit || null,
+        clients: selections.map((selection) => ({
+          clientId: selection.clientId,
+          username: selection.username,
+          clientName: selection.clientName || null,
+          ...SelectionService.summarize(
+            { ...selection, favorites: picked(selection) },
+            collection.selectionLimit
+          ),
+          updatedAt: selection.favoritesUpdatedAt || null,
+          photos: picked(selection).map((photoId) => ({
+            photoId,
+            originalName: names.get(photoId) || null,
+          })),
+        })),
+        photos: ordered
+          .filter((photoId) => counts.has(photoId))
+          .map((photoId) => ({
+            photoId,
+            originalName: names.get(photoId) || null,
+            count: counts.get(photoId),
+          })),
+        total: counts.size,
+      });
+    } catch (error) {
+      console.error("Get selections error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve selections",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Quote a CSV field when needed. Values starting like a formula are
+   * prefixed with ' so spreadsheets show them as text.
+   */
+  static csvField(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Export the picked photos of all clients (or ?clientId=).
+   *   format=list - file names without extension, comma separated, for
+   *                 Lightroom's text filter (matches RAW and JPEG alike)
+   *   format=csv  - one row per pick: filename, photoId, client, submitted
+   */
+  async exportSelections(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const { collectionId } = req.params;
+      const { clientId } = req.query;
+      const format = req.query.format || "list";
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const collection = await this.loadCollection(
+        db,
+        collectionId,
+        photographerId
+      );
+
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const selections = (await this.loadSelections(db, collectionId)).filter(
+        (selection) => !clientId || selection.clientId === clientId
+      );
+      const entries = await this.orderService.loadEntries(db, collectionId);
+      const names = new Map(
+        entries.map((entry) => [entry.photoId, entry.originalName])
+      );
+      const ordered = await this.orderService.orderedPhotoIds(db, collection);
+      const rank = new Map(ordered.map((photoId, i) => [photoId, i]));
+
+      const rows = selections
+        .flatMap((selection) =>
+          (selection.favorites || [])
+            .filter((photoId) => names.has(photoId))
+            .map((photoId) => ({ photoId, selection }))
+        )
+        .sort(
+          (a, b) =>
+            (rank.has(a.photoId) ? rank.get(a.photoId) : Infinity) -
+            (rank.has(b.photoId) ? rank.get(b.photoId) : Infinity)
+        );
+
+      const basename = `selection-${collectionId}`;
+      let output;
+
+      if (format === "csv") {
+        output = [
+          "filename,photoId,client,submitted",
+          ...rows.map(({ photoId, selection }) =>
+            [
+              names.get(photoId),
+              photoId,
+              selection.clientName || selection.username,
+              selection.selectionSubmittedAt ? "yes" : "no",
+            ]
+              .map(SelectionService.csvField)
+              .join(",")
+          ),
+          "",
+        ].join("\r\n");
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      } else {
+        const stems = new Set(
+          rows.map(({ photoId }) => {
+            const name = names.get(photoId) || photoId;
+            return path.basename(name, path.extname(name));
+          })
+        );
+        output = `${[...stems].join(", ")}\n`;
+        res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      }
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${basename}.${format === "csv" ? "csv" : "txt"}"`
+      );
+      res.send(output);
+    } catch (error) {
+      console.error("Export selections error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to export selections",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Ask the photographer for images beyond the collection's limit.
+   * Body: { count, message? }
+   */
+  async requestExtra(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const { collectionId } = req.params;
+      const clientUsername = req.user.username;
+      const { count, message } = req.body;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const selection = await this.loadSelection(
+        db,
+        collectionId,
+        clientUsername
+      );
+
+      if (!selection) {
+        return res.status(403).json({
+          success: false,
+          message: "You don't have access to this collection",
+        });
+      }
+
+      if (!selection.selectionLimit) {
+        return res.status(400).json({
+          success: false,
+          message: "This collection has no selection limit",
+        });
+      }
+
+      if (selection.extraRequest?.status === "pending") {
+        return res.status(409).json({
+          success: false,
+          message: "You already have a request waiting for the photographer",
+        });
+      }
+
+      const extraRequest = {
+        count,
+        message: message || null,
+        status: "pending",
+        requestedAt: new Date().toISOString(),
+        decidedAt: null,
+      };
+
+      await db.query(
+        `UPDATE CollectionAccess SET extraRequest = :extraRequest
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+         AND in IN (SELECT FROM Client WHERE username = :username)`,
+        { params: { collectionId, username: clientUsername, extraRequest } }
+      );
+
+      console.log(
+        `⭐ ${clientUsername} requested ${count} extra images in collection ${collectionId}`
+      );
+
+      eventEmitter.emitCollectionEvent("extra-requested", {
+        collectionId,
+        photographerId: selection.photographerId,
+        clientId: req.user.clientId,
+        extraRequest,
+      });
+
+      res.json({
+        success: true,
+        message: "Request sent to the photographer",
+        extraRequest,
+      });
+    } catch (error) {
+      console.error("Request extra images error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to request extra images",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Approve or decline a client's pending request for more images.
+   * Approving adds the requested count to the client's allowance.
+   */
+  async decideExtra(req, res, approve) {
+    try {
+      const { collectionId, clientId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const collection = await this.loadCollection(
+        db,
+        collectionId,
+        photographerId
+      );
+
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const grants = await db.query(
+        `SELECT extraApproved, extraRequest FROM CollectionAccess
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+         AND in IN (SELECT FROM Client WHERE clientId = :clientId)`,
+        { params: { collectionId, clientId } }
+      );
+
+      if (grants.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection is not shared with this client",
+        });
+      }
+
+      const request = grants[0].extraRequest;
+
+      if (request?.status !== "pending") {
+        return res.status(409).json({
+          success: false,
+          message: "There is no pending request from this client",
+        });
+      }
+
+      const extraRequest = {
+        ...request,
+        status: approve ? "approved" : "declined",
+        decidedAt: new Date().toISOString(),
+      };
+      const extraApproved =
+        (grants[0].extraApproved || 0) + (approve ? request.count : 0);
+
+      await db.query(
+        `UPDATE CollectionAccess
+         SET extraRequest = :extraRequest, extraApproved = :extraApproved
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+         AND in IN (SELECT FROM Client WHERE clientId = :clientId)`,
+        { params: { collectionId, clientId, extraRequest, extraApproved } }
+      );
+
+      console.log(
+        `⭐ Extra images request of ${clientId} in collection ${collectionId} ${extraRequest.status}`
+      );
+
+      eventEmitter.emitCollectionEvent("extra-decided", {
+        collectionId,
+        photographerId,
+        clientId,
+        clientIds: [clientId],
+        extraRequest,
+        allowance: SelectionService.allowanceOf(
+          collection.selectionLimit,
+          extraApproved
+        ),
+      });
+
+      res.json({
+        success: true,
+        message: approve ? "Extra images approved" : "Request declined",
+        extraRequest,
+        extraApproved,
+        allowance: SelectionService.allowanceOf(
+          collection.selectionLimit,
+          extraApproved
+        ),
+      });
+    } catch (error) {
+      console.error("Decide extra images error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update the request",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  approveExtra(req, res) {
+    return this.decideExtra(req, res, true);
+  }
+
+  declineExtra(req, res) {
+    return this.decideExtra(req, res, false);
+  }
+
+  /**
+   * Unlock a client's submitted selection so they can change it
+   */
+  async reopenSelection(req, res) {
+    try {
+      const { collectionId, clientId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      if (!(await this.loadCollection(db, collectionId, photographerId))) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const grants = await db.query(
+        `SELECT selectionSubmittedAt FROM CollectionAccess
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+         AND in IN (SELECT FROM Client WHERE clientId = :clientId)`,
+        { params: { collectionId, clientId } }
+      );
+
+      if (grants.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection is not shared with this client",
+        });
+      }
+
+      if (grants[0].selectionSubmittedAt) {
+        await db.query(
+          `UPDATE CollectionAccess SET selectionSubmittedAt = null
+           WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+           AND in IN (SELECT FROM Client WHERE clientId = :clientId)`,
+          { params: { collectionId, clientId } }
+        );
+
+        eventEmitter.emitCollectionEvent("selection-reopened", {
+          collectionId,
+          photographerId,
+          clientId,
+          clientIds: [clientId],
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Selection reopened",
+        clientId,
+        submitted: false,
+      });
+    } catch (error) {
+      console.error("Reopen selection error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reopen selection",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+module.exports = SelectionService;
@@ -0,0 +1,832 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { v4: uuidv4 } = require("uuid");
+const { body, validationResult } = require("express-validator");
+const Database = require("../Database/databaseClass");
+const StorageService = require("./storageService");
+const WatermarkService = require("./watermarkService");
+const RenditionService = require("./renditionService");
+const ArchiveService = require("./archiveService");
+const CollectionOrderService = require("./collectionOrderService");
+const CollectionExpiryService = require("./collectionExpiryService");
+const { sendStoredObject } = require("../utils/sendStoredObject");
+const { downloadFilename } = require("../utils/imageFormats");
+const { toOrientDBDateTime } = require("../utils/dateFormatter");
+
+const LINK_MODES = ["view", "download"];
+const MAX_LINK_COUNT = 1000000;
+// Sizes a public link can view; the original is only served as a download
+const VIEW_SIZES = ["thumb", "grid", "preview"];
+// How long photos can be loaded after opening a link
+const VIEW_SESSION_MS = 60 * 60 * 1000;
+
+/**
+ * Share Link Service - Public links to a whole collection
+ *
+ * A ShareLink vertex belongs to one collection and is opened by its token
+ * without an account. Each link can have:
+ *   password     - stored as a bcrypt hash; unlocking returns a key to send
+ *                  as the X-Share-Key header (or ?key=) on later requests
+ *   expiresAt    - the link stops working after this moment
+ *   maxViews     - how often the link can be opened
+ *   maxDownloads - how many downloads (single photos or the ZIP) it allows
+ *   mode         - "view" (look only) or "download"
+ * Opening a link counts a view and returns a short-lived view session;
+ * photos are only served with it (X-Share-View header or ?view=), so a link
+ * at its view limit stops serving photos too.
+ * Revoking sets revokedAt; revoked links answer like unknown ones.
+ */
+class ShareLinkService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+    this.storage = new StorageService();
+    this.watermarkService = new WatermarkService();
+    this.renditionService = new RenditionService();
+    this.archiveService = new ArchiveService();
+    this.orderService = new CollectionOrderService();
+    this.expiryService = new CollectionExpiryService();
+  }
+
+  static get MODES() {
+    return LINK_MODES;
+  }
+
+  // Validation for creating a link
+  static getCreateValidation() {
+    const cap = (field) =>
+      body(field)
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: MAX_LINK_COUNT })
+        .withMessage(`${field} must be between 1 and ${MAX_LINK_COUNT}`)
+        .toInt();
+
+    return [
+      body("label")
+        .optional()
+        .isString()
+        .isLength({ max: 100 })
+        .withMessage("label cannot exceed 100 characters"),
+      body("password")
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ min: 4, max: 128 })
+        .withMessage("password must be between 4 and 128 characters"),
+      body("expiresAt")
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage("expiresAt must be an ISO 8601 date")
+        .custom((value) => new Date(value) > new Date())
+        .withMessage("expiresAt must be in the future"),
+      cap("maxViews"),
+      cap("maxDownloads"),
+      body("mode")
+        .optional()
+        .isIn(LINK_MODES)
+        .withMessage(`mode must be one of: ${LINK_MODES.join(", ")}`),
+    ];
+  }
+
+  // Validation for unlocking a password protected link
+  static getUnlockValidation() {
+    return [body("password").isString().withMessage("password is required")];
+  }
+
+  /**
+   * Key proving the password was given. It changes with the password, so
+   * a new password locks out everyone who unlocked with the old one.
+   */
+  static accessKey(link) {
+    return crypto
+      .createHmac("sha256", process.env.JWT_SECRET)
+      .update(`${link.linkId}:${link.passwordHash}`)
+      .digest("base64url");
+  }
+
+  /**
+   * Compare a secret from the request without leaking where it differs
+   */
+  static safeEqual(given, expected) {
+    const a = Buffer.from(String(given || ""));
+    const b = Buffer.from(expected);
+
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Is `key` the link's current access key?
+   */
+  static isAccessKey(link, key) {
+    return ShareLinkService.safeEqual(key, ShareLinkService.accessKey(link));
+  }
+
+  /**
+   * View session for a link, valid until `expires` (ms): "<expires>.<mac>"
+   */
+  static viewSession(link, expires = Date.now() + VIEW_SESSION_MS) {
+    const mac = crypto
+      .createHmac("sha256", process.env.JWT_SECRET)
+      .update(`${link.linkId}:view:${expires}`)
+      .digest("base64url");
+
+    return `${expires}.${mac}`;
+  }
+
+  /**
+   * Is `session` an unexpired view session of the link?
+   */
+  static isViewSession(link, session) {
+    const expires = String(session || "").split(".")[0];
+
+    if (!(parseInt(expires) > Date.now())) return false;
+
+    return ShareLinkService.safeEqual(
+      session,
+      ShareLinkService.viewSession(link, expires)
+    );
+  }
+
+  /**
+   * Link as shown to the photographer
+   */
+  static describe(link, req) {
+    return {
+      linkId: link.linkId,
+      collectionId: link.collectionId,
+      label: link.label || null,
+      url: `${req.protocol}://${req.get("host")}/api/public/links/${
+        link.token
+      }`,
+      token: link.token,
+      mode: link.mode || "view",
+      hasPassword: !!link.passwordHash,
+      expiresAt: link.expiresAt || null,
+      maxViews: link.maxViews ?? null,
+      maxDownloads: link.maxDownloads ?? null,
+      viewCount: link.viewCount || 0,
+      downloadCount: link.downloadCount || 0,
+      createdAt: link.createdAt,
+      revokedAt: link.revokedAt || null,
+    };
+  }
+
+  /**
+   * Collection of the photographer, or null
+   */
+  async loadCollection(db, collectionId, photographerId) {
+    const collections = await db.query(
+      `SELECT collectionId FROM PhotoCollection
+       WHERE collectionId = :collectionId AND photographerId = :photographerId
+       AND isActive = true AND scheduledDeletionDate IS NULL`,
+      { params: { collectionId, photographerId } }
+    );
+
+    return collections[0] || null;
+  }
+
+  /**
+   * Create a public link to a collection. Body (all optional):
+   * { label, password, expiresAt, maxViews, maxDownloads, mode }
+   */
+  async createLink(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const { collectionId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+      const { label, password, expiresAt, maxViews, maxDownloads } = req.body;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      if (!(await this.loadCollection(db, collectionId, photographerId))) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const link = {
+        linkId: uuidv4(),
+        token: crypto.randomBytes(24).toString("base64url"),
+        collectionId,
+        photographerId,
+        label: label || null,
+        passwordHash: password ? await bcrypt.hash(password, 12) : null,
+        expiresAt: expiresAt ? toOrientDBDateTime(new Date(expiresAt)) : null,
+        maxViews: maxViews ?? null,
+        maxDownloads: maxDownloads ?? null,
+        mode: req.body.mode || "view",
+      };
+
+      await db.query(
+        `CREATE VERTEX ShareLink SET
+         linkId = :linkId,
+         token = :token,
+         collectionId = :collectionId,
+         photographerId = :photographerId,
+         label = :label,
+         passwordHash = :passwordHash,
+         expiresAt = :expiresAt,
+         maxViews = :maxViews,
+         maxDownloads = :maxDownloads,
+         mode = :mode,
+         viewCount = 0,
+         downloadCount = 0,
+         createdAt = sysdate()`,
+        { params: link }
+      );
+
+      // A public link shares the collection like granting a client access
+      await this.expiryService.onShared(db, collectionId);
+
+      console.log(
+        `🔗 Share link ${link.linkId} (${link.mode}) created for collection ${collectionId}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Share link created",
+        link: ShareLinkService.describe(
+          {
+            ...link,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            createdAt: new Date().toISOString(),
+          },
+          req
+        ),
+      });
+    } catch (error) {
+      console.error("Create share link error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create share link",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * A collection's links, newest first. Revoked links are listed too.
+   */
+  async listLinks(req, res) {
+    try {
+      const { collectionId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      if (!(await this.loadCollection(db, collectionId, photographerId))) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const links = await db.query(
+        `SELECT FROM ShareLink
+         WHERE collectionId = :collectionId
+         ORDER BY createdAt DESC`,
+        { params: { collectionId } }
+      );
+
+      res.json({
+        success: true,
+        links: links.map((link) => ShareLinkService.describe(link, req)),
+        total: links.length,
+      });
+    } catch (error) {
+      console.error("List share links error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve share links",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Revoke a link; it stops working immediately
+   */
+  async revokeLink(req, res) {
+    try {
+      const { collectionId, linkId } = req.params;
+      const photographerId = req.user.photographerId || req.user.userId;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const links = await db.query(
+        `SELECT linkId, revokedAt FROM ShareLink
+         WHERE linkId = :linkId AND collectionId = :collectionId
+         AND photographerId = :photographerId`,
+        { params: { linkId, collectionId, photographerId } }
+      );
+
+      if (links.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Share link not found",
+        });
+      }
+
+      if (!links[0].revokedAt) {
+        await db.query(
+          `UPDATE ShareLink SET revokedAt = sysdate() WHERE linkId = :linkId`,
+          { params: { linkId } }
+        );
+        console.log(`🔗 Share link ${linkId} revoked`);
+      }
+
+      res.json({
+        success: true,
+        message: "Share link revoked",
+        linkId,
+      });
+    } catch (error) {
+      console.error("Revoke share link error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke share link",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Link and collection for a token, or the reason it can't be used
+   * @returns {Promise<{link?, collection?, status?, body?}>}
+   */
+  async resolveLink(db, token, key) {
+    const links = await db.query(
+      `SELECT FROM ShareLink WHERE token = :token AND revokedAt IS NULL`,
+      { params: { token } }
+    );
+    const link = links[0];
+
+    const collections = link
+      ? await db.query(
+          `SELECT collectionId, name, description, watermark, isFinal,
+                  allowDownloads, sortMode, sortDirection
+           FROM PhotoCollection
+           WHERE collectionId = :collectionId
+           AND isActive = true AND scheduledDeletionDate IS NULL`,
+          { params: { collectionId: link.collectionId } }
+        )
+      : [];
+
+    if (!link || collections.length === 0) {
+      return {
+        status: 404,
+        body: { success: false, message: "Link not found" },
+      };
+    }
+
+    if (link.expiresAt && new Date(link.expiresAt) <= new Date()) {
+      return {
+        status: 410,
+        body: { success: false, message: "This link has expired" },
+      };
+    }
+
+    if (link.passwordHash && !ShareLinkService.isAccessKey(link, key)) {
+      return {
+        status: 401,
+        body: {
+          success: false,
+          message: "This link is password protected",
+          passwordRequired: true,
+        },
+      };
+    }
+
+    return { link, collection: collections[0] };
+  }
+
+  /**
+   * Shared flow of the public handlers: open a session, resolve the link
+   * (answering with why it can't be used) and run `handler`
+   */
+  async withLink(req, res, handler, errorMessage) {
+    try {
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const { link, collection, status, body } = await this.resolveLink(
+        db,
+        req.params.token,
+        req.get("X-Share-Key") || req.query.key
+      );
+
+      if (!link) {
+        return res.status(status).json(body);
+      }
+
+      await handler(db, link, collection);
+    } catch (error) {
+      console.error(`${errorMessage}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: errorMessage,
+        });
+      }
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Does the link allow downloads? Answers if not.
+   */
+  checkDownload(res, link, collection) {
+    if (link.mode !== "download" || collection.allowDownloads === false) {
+      res.status(403).json({
+        success: false,
+        message: "Downloads are not allowed through this link",
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Count one use of the link while it is under its cap. Checking and
+   * counting is one conditional update, so parallel requests can't go over.
+   * @param {string} counter - "viewCount" or "downloadCount"
+   * @param {string} cap - "maxViews" or "maxDownloads"
+   * @returns {Promise<boolean>} false if the cap is reached
+   */
+  async claim(db, link, counter, cap) {
+    const updated = await db.query(
+      `UPDATE ShareLink INCREMENT ${counter} = 1 RETURN AFTER @rid
+       WHERE linkId = :linkId AND (${cap} IS NULL OR ${counter} < ${cap})`,
+      { params: { linkId: link.linkId } }
+    );
+
+    return updated.length > 0;
+  }
+
+  /**
+   * Count a view, or answer 410 at the view limit
+   */
+  async claimView(db, res, link) {
+    if (await this.claim(db, link, "viewCount", "maxViews")) return true;
+
+    res.status(410).json({
+      success: false,
+      message: "This link has reached its view limit",
+    });
+    return false;
+  }
+
+  /**
+   * Count a download, or answer 410 at the download limit
+   */
+  async claimDownload(db, res, link) {
+    if (await this.claim(db, link, "downloadCount", "maxDownloads")) {
+      return true;
+    }
+
+    res.status(410).json({
+      success: false,
+      message: "This link has reached its download limit",
+    });
+    return false;
+  }
+
+  /**
+   * Photos of the collection that can be shown, in its order
+   */
+  async loadPhotos(db, collection) {
+    return CollectionOrderService.applyOrder(
+      await db.query(
+        `SELECT expand(in)
+         FROM CollectionPhoto
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+         AND in.isActive = true AND in.scheduledDeletionDate IS NULL
+         AND (in.status IS NULL OR in.status = 'ready')`,
+        { params: { collectionId: collection.collectionId } }
+      ),
+      await this.orderService.orderedPhotoIds(db, collection)
+    );
+  }
+
+  /**
+   * One photo of the link's collection, or null
+   */
+  async loadPhoto(db, collection, photoId) {
+    const photos = await db.query(
+      `SELECT photoId, photographerId, originalName, storageKey, thumbnailKey,
+              renditions, mimetype, mediaType
+       FROM Photo
+       WHERE photoId = :photoId
+       AND isActive = true AND scheduledDeletionDate IS NULL
+       AND (status IS NULL OR status = 'ready')
+       AND in("CollectionPhoto").collectionId CONTAINS :collectionId`,
+      { params: { photoId, collectionId: collection.collectionId } }
+    );
+
+    return photos[0] || null;
+  }
+
+  /**
+   * Exchange a link's password for its access key. Body: { password }
+   */
+  async unlock(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const links = await db.query(
+        `SELECT linkId, passwordHash FROM ShareLink
+         WHERE token = :token AND revokedAt IS NULL`,
+        { params: { token: req.params.token } }
+      );
+      const link = links[0];
+
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: "Link not found",
+        });
+      }
+
+      if (!link.passwordHash) {
+        return res.json({ success: true, key: null });
+      }
+
+      if (!(await bcrypt.compare(req.body.password, link.passwordHash))) {
+        return res.status(401).json({
+          success: false,
+          message: "Incorrect password",
+        });
+      }
+
+      res.json({ success: true, key: ShareLinkService.accessKey(link) });
+    } catch (error) {
+      console.error("Unlock share link error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to unlock link",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Open a link: the collection and its photos. Counts as a view.
+   */
+  getLink(req, res) {
+    return this.withLink(
+      req,
+      res,
+      async (db, link, collection) => {
+        if (!(await this.claimView(db, res, link))) return;
+
+        const photos = await this.loadPhotos(db, collection);
+        const watermark = this.watermarkService.activeConfig(collection);
+        const viewSession = ShareLinkService.viewSession(link);
+
+        res.json({
+          success: true,
+          collection: {
+            name: collection.name,
+            description: collection.description || "",
+            watermarked: !!watermark,
+          },
+          link: {
+            mode: link.mode || "view",
+            canDownload:
+              link.mode === "download" && collection.allowDownloads !== false,
+            expiresAt: link.expiresAt || null,
+          },
+          viewSession: {
+            token: viewSession,
+            expiresAt: new Date(parseInt(viewSession)).toISOString(),
+          },
+          photos: await Promise.all(
+            photos.map(async (p) => ({
+              photoId: p.photoId,
+              originalName: p.originalName,
+              width: p.width,
+              height: p.height,
+              caption: p.caption || null,
+              blurhash: p.blurhash || null,
+              dominantColor: p.dominantColor || null,
+              mediaType: p.mediaType || "image",
+              duration: p.duration ?? null,
+              thumbnailDataB64: await this.watermarkService.getThumbnailBase64(
+                db,
+                p,
+                watermark
+              ),
+            }))
+          ),
+        });
+      },
+      "Failed to open link"
+    );
+  }
+
+  /**
+   * A photo of the link's collection at a viewing size
+   */
+  getPhoto(req, res) {
+    return this.withLink(
+      req,
+      res,
+      async (db, link, collection) => {
+        const size = req.params.size || "preview";
+
+        if (
+          !ShareLinkService.isViewSession(
+            link,
+            req.get("X-Share-View") || req.query.view
+          )
+        ) {
+          return res.status(401).json({
+            success: false,
+            message: "Open the link again to view its photos",
+            viewSessionRequired: true,
+          });
+        }
+
+        if (!VIEW_SIZES.includes(size)) {
+          return res.status(400).json({
+            success: false,
+            message: `size must be one of: ${VIEW_SIZES.join(", ")}`,
+          });
+        }
+
+        const photo = await this.loadPhoto(db, collection, req.params.photoId);
+
+        if (!photo) {
+          return res.status(404).json({
+            success: false,
+            message: "Photo not found",
+          });
+        }
+
+        const watermark = this.watermarkService.activeConfig(collection);
+        const { key, contentType } = watermark
+          ? await this.watermarkService.resolve(db, photo, size, watermark)
+          : await this.renditionService.resolve(db, photo, size);
+
+        const sent = await sendStoredObject(req, res, this.storage, key, {
+          contentType,
+        });
+
+        if (!sent) {
+          res.status(404).json({
+            success: false,
+            message: "Photo file not found",
+          });
+        }
+      },
+      "Failed to retrieve photo"
+    );
+  }
+
+  /**
+   * Download one photo in full size. Counts as a download.
+   */
+  downloadPhoto(req, res) {
+    return this.withLink(
+      req,
+      res,
+      async (db, link, collection) => {
+        if (!this.checkDownload(res, link, collection)) return;
+
+        const photo = await this.loadPhoto(db, collection, req.params.photoId);
+
+        if (!photo) {
+          return res.status(404).json({
+            success: false,
+            message: "Photo not found",
+          });
+        }
+
+        // Proof collections only ever hand out watermarked copies
+        const watermark = this.watermarkService.activeConfig(collection);
+        const { key, contentType } = watermark
+          ? await this.watermarkService.resolve(
+              db,
+              photo,
+              "original",
+              watermark
+            )
+          : await this.renditionService.resolve(db, photo, "original");
+
+        // Only a download from the first byte counts, not resumed chunks
+        // or revalidations
+        const sent = await sendStoredObject(req, res, this.storage, key, {
+          contentType,
+          filename: downloadFilename(photo.originalName, contentType),
+          disposition: "attachment",
+          beforeFirstByte: () => this.claimDownload(db, res, link),
+        });
+
+        if (!sent) {
+          res.status(404).json({
+            success: false,
+            message: "Photo file not found",
+          });
+        }
+      },
+      "Failed to download photo"
+    );
+  }
+
+  /**
+   * Download the whole collection as a ZIP. Counts as one download.
+   */
+  downloadCollection(req, res) {
+    return this.withLink(
+      req,
+      res,
+      async (db, link, collection) => {
+        if (!this.checkDownload(res, link, collection)) return;
+
+        const photos = await this.loadPhotos(db, collection);
+        const watermark = this.watermarkService.activeConfig(collection);
+
+        if (photos.length === 0) {
+          return res.status(404).json({
+            success: false,
+            message: "No photos found",
+          });
+        }
+
+        if (!(await this.claimDownload(db, res, link))) return;
+
+        await this.archiveService.streamPhotoZip(
+          res,
+          `collection-${Date.now()}.zip`,
+          (async function* () {
+            yield* photos;
+          })(),
+          {
+            prepare: async (photo) => {
+              const { key, contentType } = watermark
+                ? await this.watermarkService.resolve(
+                    db,
+                    photo,
+                    "original",
+                    watermark
+                  )
+                : await this.renditionService.resolve(db, photo, "original");
+              return { ...photo, storageKey: key, mimetype: contentType };
+            },
+          }
+        );
+      },
+      "Failed to create ZIP file"
+    );
+  }
+}
+
+module.exports = ShareLinkService;
@@ -1,4 +1,5 @@
 const Database = require("../Database/databaseClass");
+const StorageService = require("./storageService");
 const { toOrientDBDateTime } = require("../utils/dateFormatter");
 
 class SoftDeleteService {
@@ -9,6 +10,7 @@ class SoftDeleteService {
       process.env.DB_USERNAME,
       process.env.DB_PASSWORD
     );
+    this.storage = new StorageService();
   }
 
   /**
@@ -189,24 +191,40 @@ class SoftDeleteService {
         deletionSummary.clients++;
       }
 
-      // Delete photographer's photos
+      // Delete photographer's photos (and their stored binaries)
       const photos = await db.query(
-        `SELECT @rid FROM Photo WHERE photographerId = :photogId`,
+        `SELECT @rid, storageKey, originalKey, thumbnailKey, renditions, versions FROM Photo WHERE photographerId = :photogId`,
         { params: { photogId: photographer.id } }
       );
       deletionSummary.photos += photos.length;
 
+      for (const photo of photos) {
+        await this.storage.deletePhotoObjects(photo);
+      }
+
       await db.query(`DELETE VERTEX Photo WHERE photographerId = :photogId`, {
         params: { photogId: photographer.id },
       });
 
       // Delete photographer's collections
       const collections = await db.query(
-        `SELECT @rid FROM PhotoCollection WHERE photographerId = :photogId`,
+        `SELECT @rid, collectionId FROM PhotoCollection WHERE photographerId = :photogId`,
         { params: { photogId: photographer.id } }
       );
       deletionSummary.collections += collections.length;
 
+      // Comments of those collections
+      if (collections.length > 0) {
+        await db.query(
+          `DELETE VERTEX PhotoComment WHERE collectionId IN :collectionIds`,
+          {
+            params: {
+              collectionIds: collections.map((c) => c.collectionId),
+            },
+          }
+        );
+      }
+
       await db.query(
         `DELETE VERTEX PhotoCollection WHERE photographerId = :photogId`,
         {
@@ -270,7 +288,7 @@ class SoftDeleteService {
 
     // Delete standalone Photos
     const photos = await db.query(
-      `SELECT @rid as id, originalName 
+      `SELECT @rid as id, photoId, originalName, storageKey, originalKey, thumbnailKey, renditions, versions 
        FROM Photo 
        WHERE scheduledDeletionDate <= :now 
        AND scheduledDeletionDate IS NOT NULL`,
@@ -280,6 +298,10 @@ class SoftDeleteService {
     for (const photo of photos) {
       console.log(`   🗑️  Permanently deleting photo: ${photo.originalName}`);
 
+      await this.storage.deletePhotoObjects(photo);
+      await db.query(`DELETE VERTEX PhotoComment WHERE photoId = :photoId`, {
+        params: { photoId: photo.photoId },
+      });
       await db.query(`DELETE VERTEX Photo WHERE @rid = :photoId`, {
         params: { photoId: photo.id },
       });
@@ -288,7 +310,7 @@ class SoftDeleteService {
 
     // Delete standalone Collections
     const collections = await db.query(
-      `SELECT @rid as id, name 
+      `SELECT @rid as id, collectionId, name 
        FROM PhotoCollection 
        WHERE scheduledDeletionDate <= :now 
        AND scheduledDeletionDate IS NOT NULL`,
@@ -298,6 +320,10 @@ class SoftDeleteService {
     for (const collection of collections) {
       console.log(`   🗑️  Permanently deleting collection: ${collection.name}`);
 
+      await db.query(
+        `DELETE VERTEX PhotoComment WHERE collectionId = :collectionId`,
+        { params: { collectionId: collection.collectionId } }
+      );
       await db.query(
         `DELETE VERTEX PhotoCollection WHERE @rid = :collectionId`,
         {
@@ -377,24 +403,40 @@ class SoftDeleteService {
         deletionSummary.clients++;
       }
 
-      // Delete photographer's photos
+      // Delete photographer's photos (and their stored binaries)
       const photos = await db.query(
-        `SELECT @rid FROM Photo WHERE photographerId = :photogId`,
+        `SELECT @rid, storageKey, originalKey, thumbnailKey, renditions, versions FROM Photo WHERE photographerId = :photogId`,
         { params: { photogId: photographer.id } }
       );
       deletionSummary.photos += photos.length;
 
+      for (const photo of photos) {
+        await this.storage.deletePhotoObjects(photo);
+      }
+
       await db.query(`DELETE VERTEX Photo WHERE photographerId = :photogId`, {
         params: { photogId: photographer.id },
       });
 
       // Delete photographer's collections
       const collections = await db.query(
-        `SELECT @rid FROM PhotoCollection WHERE photographerId = :photogId`,
+        `SELECT @rid, collectionId FROM PhotoCollection WHERE photographerId = :photogId`,
         { params: { photogId: photographer.id } }
       );
       deletionSummary.collections += collections.length;
 
+      // Comments of those collections
+      if (collections.length > 0) {
+        await db.query(
+          `DELETE VERTEX PhotoComment WHERE collectionId IN :collectionIds`,
+          {
+            params: {
+              collectionIds: collections.map((c) => c.collectionId),
+            },
+          }
+        );
+      }
+
       await db.query(
         `DELETE VERTEX PhotoCollection WHERE photographerId = :photogId`,
         {
@@ -454,7 +496,7 @@ class SoftDeleteService {
 
     // Delete standalone Photos
     const photos = await db.query(
-      `SELECT @rid as id, originalName 
+      `SELECT @rid as id, photoId, originalName, storageKey, originalKey, thumbnailKey, renditions, versions 
        FROM Photo 
        WHERE scheduledDeletionDate IS NOT NULL`
     );
@@ -462,6 +504,10 @@ class SoftDeleteService {
     for (const photo of photos) {
       console.log(`   💥 Nuking photo: ${photo.originalName}`);
 
+      await this.storage.deletePhotoObjects(photo);
+      await db.query(`DELETE VERTEX PhotoComment WHERE photoId = :photoId`, {
+        params: { photoId: photo.photoId },
+      });
       await db.query(`DELETE VERTEX Photo WHERE @rid = :photoId`, {
         params: { photoId: photo.id },
       });
@@ -470,7 +516,7 @@ class SoftDeleteService {
 
     // Delete standalone Collections
     const collections = await db.query(
-      `SELECT @rid as id, name 
+      `SELECT @rid as id, collectionId, name 
        FROM PhotoCollection 
        WHERE scheduledDeletionDate IS NOT NULL`
     );
@@ -478,6 +524,10 @@ class SoftDeleteService {
     for (const collection of collections) {
       console.log(`   💥 Nuking collection: ${collection.name}`);
 
+      await db.query(
+        `DELETE VERTEX PhotoComment WHERE collectionId = :collectionId`,
+        { params: { collectionId: collection.collectionId } }
+      );
       await db.query(
         `DELETE VERTEX PhotoCollection WHERE @rid = :collectionId`,
         {
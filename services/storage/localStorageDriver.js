@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+
+/**
+ * Local filesystem storage driver
+ * Objects are stored as plain files under a root directory, keyed by relative path
+ */
+class LocalStorageDriver {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the root directory
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    // Refuse keys that escape the storage root (e.g. "../../etc/passwd")
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Store an object. Body can be a Buffer or a readable stream.
+   * Writes go to a temp file first and are renamed into place.
+   */
+  async putObject(key, body) {
+    const filePath = this.resolvePath(key);
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath));
+      }
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    return { key };
+  }
+
+  /**
+   * Read a whole object into memory
+   */
+  async getObject(key) {
+    return fs.promises.readFile(this.resolvePath(key));
+  }
+
+  /**
+   * Open a read stream, optionally limited to an inclusive byte range
+   */
+  async getObjectStream(key, { start, end } = {}) {
+    const filePath = this.resolvePath(key);
+
+    // Fail early (before any headers are sent) if the object is missing
+    await fs.promises.access(filePath);
+
+    return fs.createReadStream(filePath, { start, end });
+  }
+
+  /**
+   * Get object size, modification time and ETag, or null if it doesn't exist.
+   * Writes always replace the file (temp + rename), so inode, size and mtime
+   * identify one version of the content.
+   */
+  async statObject(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      const etag = crypto
+        .createHash("sha1")
+        .update(`${key}:${stats.ino}:${stats.size}:${stats.mtimeMs}`)
+        .digest("hex");
+
+      return { size: stats.size, lastModified: stats.mtime, etag };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object (missing objects are ignored)
+   */
+  async deleteObject(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,115 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+/**
+ * S3-compatible storage driver
+ * Works with AWS S3 and with self-hosted S3 APIs (MinIO etc.) via S3_ENDPOINT
+ */
+class S3StorageDriver {
+  constructor({
+    bucket,
+    region,
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle,
+  }) {
+    if (!bucket) {
+      throw new Error("S3_BUCKET must be set when STORAGE_DRIVER=s3");
+    }
+
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region: region || "us-east-1",
+      endpoint: endpoint || undefined,
+      // MinIO and most self-hosted S3 APIs need path-style URLs
+      forcePathStyle: forcePathStyle,
+      credentials:
+        accessKeyId && secretAccessKey
+          ? { accessKeyId, secretAccessKey }
+          : undefined,
+    });
+  }
+
+  /**
+   * Store an object. Body can be a Buffer or a readable stream.
+   */
+  async putObject(key, body, { contentType, contentLength } = {}) {
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ContentLength: Buffer.isBuffer(body) ? body.length : contentLength,
+      })
+    );
+
+    return { key };
+  }
+
+  /**
+   * Read a whole object into memory
+   */
+  async getObject(key) {
+    const response = await this.client.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  /**
+   * Open a read stream, optionally limited to an inclusive byte range
+   */
+  async getObjectStream(key, { start, end } = {}) {
+    let range;
+    if (start !== undefined || end !== undefined) {
+      range = `bytes=${start || 0}-${end !== undefined ? end : ""}`;
+    }
+
+    const response = await this.client.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: key, Range: range })
+    );
+    return response.Body;
+  }
+
+  /**
+   * Get object size, modification time and ETag, or null if it doesn't exist
+   */
+  async statObject(key) {
+    try {
+      const response = await this.client.send(
+        new HeadObjectCommand({ Bucket: this.bucket, Key: key })
+      );
+      return {
+        size: response.ContentLength,
+        lastModified: response.LastModified,
+        etag: (response.ETag || "").replace(/"/g, ""),
+      };
+    } catch (error) {
+      if (
+        error.name === "NotFound" ||
+        error.$metadata?.httpStatusCode === 404
+      ) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object (S3 treats missing objects as already deleted)
+   */
+  async deleteObject(key) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+  }
+}
+
+module.exports = S3StorageDriver;
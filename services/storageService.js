@@ -0,0 +1,280 @@
+const path = require("path");
+const crypto = require("crypto");
+const { PassThrough, pipeline } = require("stream");
+const PhotoKeyService = require("./photoKeyService");
+const LocalStorageDriver = require("./storage/localStorageDriver");
+const S3StorageDriver = require("./storage/s3StorageDriver");
+
+const ENCRYPTION_MAGIC = Buffer.from("PXE1");
+const ENCRYPTION_HEADER_SIZE = ENCRYPTION_MAGIC.length + 16;
+
+/**
+ * Storage Service - Blob storage for photo binaries
+ * Photo records only hold storage keys; the bytes live in the configured driver:
+ *   STORAGE_DRIVER=local (default) - files under STORAGE_LOCAL_PATH
+ *   STORAGE_DRIVER=s3              - S3 or an S3-compatible server (MinIO etc.)
+ *
+ * Everything under photos/<photographerId>/<photoId>/ is encrypted at rest
+ * with the photo's data key (see PhotoKeyService): a 20-byte header
+ * ("PXE1" + IV) followed by the AES-256-CTR ciphertext. CTR lets byte
+ * ranges be decrypted without reading the whole object. Reads decrypt
+ * transparently; objects written before encryption have no header and are
+ * returned as stored.
+ * The ciphertext is not authenticated (no MAC), so modified bytes decrypt
+ * to garbage instead of failing: at-rest encryption keeps the images
+ * confidential, integrity relies on access to the storage backend.
+ */
+class StorageService {
+  constructor() {
+    this.driverName = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+
+    if (this.driverName === "s3") {
+      this.driver = new S3StorageDriver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      });
+    } else if (this.driverName === "local") {
+      this.driver = new LocalStorageDriver(
+        process.env.STORAGE_LOCAL_PATH || path.join(__dirname, "../storage")
+      );
+    } else {
+      throw new Error(`Unknown STORAGE_DRIVER: ${this.driverName}`);
+    }
+
+    this.photoKeys = new PhotoKeyService();
+  }
+
+  /**
+   * Build the storage key for one variant of a photo
+   * e.g. photos/<photographerId>/<photoId>/full.jpg
+   */
+  static photoKey(photographerId, photoId, variant, extension = "jpg") {
+    return `photos/${photographerId}/${photoId}/${variant}.${extension}`;
+  }
+
+  /**
+   * Variant name within a file version of a photo, so a replacement never
+   * overwrites the objects of the versions it keeps: "full" for version 1,
+   * "v2-full" for version 2, ...
+   */
+  static versionedVariant(variant, version) {
+    return version > 1 ? `v${version}-${variant}` : variant;
+  }
+
+  /**
+   * Every storage key a photo record (or an archived version of it) refers to
+   */
+  static photoObjectKeys(photo) {
+    const renditionKeys = Object.values(photo.renditions || {}).filter(
+      (key) => typeof key === "string"
+    );
+
+    return [
+      ...new Set([
+        photo.storageKey,
+        photo.originalKey,
+        photo.thumbnailKey,
+        ...renditionKeys,
+        ...(photo.versions || []).flatMap((version) =>
+          StorageService.photoObjectKeys(version)
+        ),
+      ]),
+    ].filter(Boolean);
+  }
+
+  /**
+   * photoId of a key under photos/, whose objects are encrypted; else null
+   */
+  static photoIdOf(key) {
+    const match = /^photos\/[^/]+\/([^/]+)\//.exec(key || "");
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Does a stored object start with the encryption header?
+   */
+  static isEncrypted(buffer) {
+    return (
+      buffer.length >= ENCRYPTION_HEADER_SIZE &&
+      buffer.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)
+    );
+  }
+
+  /**
+   * AES-256-CTR decipher positioned at a byte offset of the plaintext
+   */
+  static decipherAt(dataKey, iv, offset = 0) {
+    const counter =
+      (BigInt(`0x${iv.toString("hex")}`) + BigInt(Math.floor(offset / 16))) %
+      (1n << 128n);
+    const decipher = crypto.createDecipheriv(
+      "aes-256-ctr",
+      dataKey,
+      Buffer.from(counter.toString(16).padStart(32, "0"), "hex")
+    );
+
+    // Skip to the offset inside the first block
+    decipher.update(Buffer.alloc(offset % 16));
+    return decipher;
+  }
+
+  async putObject(key, body, options = {}) {
+    const photoId = StorageService.photoIdOf(key);
+    if (!photoId) return this.driver.putObject(key, body, options);
+
+    const dataKey = await this.photoKeys.getDataKey(photoId);
+    const iv = crypto.randomBytes(16);
+    const header = Buffer.concat([ENCRYPTION_MAGIC, iv]);
+    const cipher = crypto.createCipheriv("aes-256-ctr", dataKey, iv);
+
+    if (Buffer.isBuffer(body)) {
+      const encrypted = Buffer.concat([
+        header,
+        cipher.update(body),
+        cipher.final(),
+      ]);
+      return this.driver.putObject(key, encrypted, options);
+    }
+
+    const encrypted = new PassThrough();
+    encrypted.write(header);
+    pipeline(body, cipher, encrypted, () => {});
+
+    return this.driver.putObject(key, encrypted, {
+      ...options,
+      contentLength:
+        options.contentLength !== undefined
+          ? options.contentLength + ENCRYPTION_HEADER_SIZE
+          : undefined,
+    });
+  }
+
+  async getObject(key) {
+    const buffer = await this.driver.getObject(key);
+    const photoId = StorageService.photoIdOf(key);
+
+    if (!photoId || !StorageService.isEncrypted(buffer)) return buffer;
+
+    const decipher = StorageService.decipherAt(
+      await this.photoKeys.getDataKey(photoId),
+      buffer.subarray(ENCRYPTION_MAGIC.length, ENCRYPTION_HEADER_SIZE)
+    );
+    return Buffer.concat([
+      decipher.update(buffer.subarray(ENCRYPTION_HEADER_SIZE)),
+      decipher.final(),
+    ]);
+  }
+
+  /**
+   * IV of an encrypted object, or null if it is stored as plaintext
+   */
+  async readEncryptionIv(key) {
+    let stream;
+    try {
+      stream = await this.driver.getObjectStream(key, {
+        start: 0,
+        end: ENCRYPTION_HEADER_SIZE - 1,
+      });
+    } catch (error) {
+      // Empty object: nothing to decrypt
+      if (error.$metadata?.httpStatusCode === 416) return null;
+      throw error;
+    }
+
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    const header = Buffer.concat(chunks);
+
+    return StorageService.isEncrypted(header)
+      ? header.subarray(ENCRYPTION_MAGIC.length, ENCRYPTION_HEADER_SIZE)
+      : null;
+  }
+
+  /**
+   * Open a read stream of the (decrypted) object, optionally limited to an
+   * inclusive byte range of the decrypted content
+   */
+  async getObjectStream(key, range = {}) {
+    const photoId = StorageService.photoIdOf(key);
+    const iv = photoId ? await this.readEncryptionIv(key) : null;
+
+    if (!iv) return this.driver.getObjectStream(key, range);
+
+    const start = range.start || 0;
+    const stream = await this.driver.getObjectStream(key, {
+      start: start + ENCRYPTION_HEADER_SIZE,
+      end:
+        range.end !== undefined
+          ? range.end + ENCRYPTION_HEADER_SIZE
+          : undefined,
+    });
+    const decipher = StorageService.decipherAt(
+      await this.photoKeys.getDataKey(photoId),
+      iv,
+      start
+    );
+
+    return pipeline(stream, decipher, () => {});
+  }
+
+  /**
+   * Object metadata; size is that of the decrypted content
+   */
+  async statObject(key) {
+    const stat = await this.driver.statObject(key);
+
+    if (
+      !stat ||
+      !StorageService.photoIdOf(key) ||
+      stat.size < ENCRYPTION_HEADER_SIZE ||
+      !(await this.readEncryptionIv(key))
+    ) {
+      return stat;
+    }
+
+    return { ...stat, size: stat.size - ENCRYPTION_HEADER_SIZE };
+  }
+
+  async deleteObject(key) {
+    return this.driver.deleteObject(key);
+  }
+
+  /**
+   * Read an object as base64, or null if the key is empty or unreadable.
+   * Listings still embed thumbnails in JSON, and one missing blob
+   * shouldn't fail the whole list.
+   */
+  async getObjectBase64(key) {
+    if (!key) return null;
+
+    try {
+      const buffer = await this.getObject(key);
+      return buffer.toString("base64");
+    } catch (error) {
+      console.error(`Failed to read storage object ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete every stored object referenced by a photo record, including its
+   * archived versions
+   */
+  async deletePhotoObjects(photo) {
+    for (const key of StorageService.photoObjectKeys(photo)) {
+      try {
+        await this.driver.deleteObject(key);
+      } catch (error) {
+        console.error(`Failed to delete storage object ${key}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = StorageService;
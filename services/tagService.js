@@ -0,0 +1,402 @@
+const { body, validationResult } = require("express-validator");
+const Database = require("../Database/databaseClass");
+const eventEmitter = require("./eventEmitterService");
+const {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_PHOTO,
+  normalizeTag,
+  normalizeTags,
+} = require("../utils/photoTags");
+
+/**
+ * Tag Service - Photo tags and a photographer's tag vocabulary
+ *
+ * Tags live on Photo.tags as a list of strings (see utils/photoTags.js for
+ * how they are cleaned up). The vocabulary is every tag used on the
+ * photographer's photos outside the deleted items, with how often.
+ */
+class TagService {
+  constructor() {
+    this.dbInstance = new Database(
+      process.env.DB_HOST,
+      process.env.DB_PORT,
+      process.env.DB_USERNAME,
+      process.env.DB_PASSWORD
+    );
+  }
+
+  // Validation for setting or adding a photo's tags
+  static getTagsValidation() {
+    return [
+      body("tags")
+        .isArray({ max: MAX_TAGS_PER_PHOTO })
+        .withMessage(`tags must be an array of at most ${MAX_TAGS_PER_PHOTO}`),
+      body("tags.*")
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: MAX_TAG_LENGTH })
+        .withMessage(
+          `tags must be non-empty strings of at most ${MAX_TAG_LENGTH} characters`
+        ),
+    ];
+  }
+
+  // Validation for renaming a tag across the library
+  static getRenameValidation() {
+    return [
+      body("name")
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: MAX_TAG_LENGTH })
+        .withMessage(`name must be 1 to ${MAX_TAG_LENGTH} characters`),
+    ];
+  }
+
+  /**
+   * A photo of the photographer that isn't in the deleted items
+   * @returns {Promise<object|null>} { photoId, tags }
+   */
+  async loadPhoto(db, photoId, photographerId) {
+    const photos = await db.query(
+      `SELECT photoId, tags FROM Photo
+       WHERE photoId = :photoId AND photographerId = :photographerId
+       AND scheduledDeletionDate IS NULL`,
+      { params: { photoId, photographerId } }
+    );
+
+    return photos[0] || null;
+  }
+
+  /**
+   * Save a photo's tags and tell the photographer's other sessions
+   */
+  async saveTags(db, photographerId, photoId, tags) {
+    await db.query(`UPDATE Photo SET tags = :tags WHERE photoId = :photoId`, {
+      params: { photoId, tags },
+    });
+
+    eventEmitter.emitPhotoEvent("tags-updated", {
+      photographerId,
+      photoId,
+      tags,
+    });
+  }
+
+  /**
+   * Shared flow of the per-photo handlers: validate, load the photo, let
+   * `change` compute the new tags from the current ones, save
+   */
+  async updatePhotoTags(req, res, change) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const photographerId = req.user.photographerId || req.user.userId;
+      const { photoId } = req.params;
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const photo = await this.loadPhoto(db, photoId, photographerId);
+
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          message: "Photo not found",
+        });
+      }
+
+      const current = photo.tags || [];
+      const tags = change(current);
+
+      if (tags.length > MAX_TAGS_PER_PHOTO) {
+        return res.status(400).json({
+          success: false,
+          message: `A photo can have at most ${MAX_TAGS_PER_PHOTO} tags`,
+        });
+      }
+
+      const changed =
+        tags.length !== current.length ||
+        tags.some((tag, i) => tag !== current[i]);
+
+      if (changed) {
+        await this.saveTags(db, photographerId, photoId, tags);
+      }
+
+      res.json({
+        success: true,
+        message: changed ? "Tags updated" : "Tags unchanged",
+        photoId,
+        tags,
+      });
+    } catch (error) {
+      console.error("Update photo tags error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update tags",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  async getPhotoTags(req, res) {
+    try {
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const photo = await this.loadPhoto(
+        db,
+        req.params.photoId,
+        req.user.photographerId || req.user.userId
+      );
+
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          message: "Photo not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        photoId: photo.photoId,
+        tags: photo.tags || [],
+      });
+    } catch (error) {
+      console.error("Get photo tags error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve tags",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Replace a photo's tags. Body: { tags }
+   */
+  setPhotoTags(req, res) {
+    return this.updatePhotoTags(req, res, () => normalizeTags(req.body.tags));
+  }
+
+  /**
+   * Add tags to a photo, keeping the ones it has. Body: { tags }
+   */
+  addPhotoTags(req, res) {
+    return this.updatePhotoTags(req, res, (current) =>
+      normalizeTags([...current, ...req.body.tags])
+    );
+  }
+
+  /**
+   * Remove one tag from a photo
+   */
+  removePhotoTag(req, res) {
+    const tag = normalizeTag(req.params.tag);
+
+    return this.updatePhotoTags(req, res, (current) =>
+      current.filter((value) => value !== tag)
+    );
+  }
+
+  /**
+   * The photographer's tags with the number of photos using each, most
+   * used first
+   */
+  async listTags(req, res) {
+    try {
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const photos = await db.query(
+        `SELECT tags FROM Photo
+         WHERE photographerId = :photographerId
+         AND scheduledDeletionDate IS NULL
+         AND tags IS NOT NULL AND tags.size() > 0`,
+        {
+          params: {
+            photographerId: req.user.photographerId || req.user.userId,
+          },
+        }
+      );
+
+      const counts = new Map();
+      for (const photo of photos) {
+        for (const tag of new Set(photo.tags)) {
+          counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+      }
+
+      const tags = [...counts]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+      res.json({
+        success: true,
+        tags,
+        total: tags.length,
+      });
+    } catch (error) {
+      console.error("List tags error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve tags",
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Replace a tag on every photo of the photographer that has it
+   * @param {Function} replace - tags => new tags
+   * @returns {Promise<Array<string>>} photoIds that changed
+   */
+  async replaceEverywhere(db, photographerId, tag, replace) {
+    const photos = await db.query(
+      `SELECT photoId, tags FROM Photo
+       WHERE photographerId = :photographerId
+       AND scheduledDeletionDate IS NULL
+       AND tags CONTAINS :tag`,
+      { params: { photographerId, tag } }
+    );
+
+    for (const photo of photos) {
+      await db.query(`UPDATE Photo SET tags = :tags WHERE photoId = :photoId`, {
+        params: { photoId: photo.photoId, tags: replace(photo.tags) },
+      });
+    }
+
+    return photos.map((photo) => photo.photoId);
+  }
+
+  /**
+   * Rename a tag on all photos; renaming onto an existing tag merges the
+   * two. Body: { name }
+   */
+  async renameTag(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const photographerId = req.user.photographerId || req.user.userId;
+      const tag = normalizeTag(req.params.tag);
+      const name = normalizeTag(req.body.name);
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const photoIds =
+        name === tag
+          ? []
+          : await this.replaceEverywhere(db, photographerId, tag, (tags) =>
+              normalizeTags(tags.map((value) => (value === tag ? name : value)))
+            );
+
+      if (photoIds.length > 0) {
+        console.log(
+          `🏷️  Renamed tag "${tag}" to "${name}" on ${photoIds.length} photos`
+        );
+        eventEmitter.emitPhotoEvent("tags-renamed", {
+          photographerId,
+          tag,
+          name,
+          photoIds,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Tag renamed on ${photoIds.length} photos`,
+        tag: name,
+        photoIds,
+      });
+    } catch (error) {
+      console.error("Rename tag error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to rename tag",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+
+  /**
+   * Remove a tag from all photos
+   */
+  async deleteTag(req, res) {
+    try {
+      const photographerId = req.user.photographerId || req.user.userId;
+      const tag = normalizeTag(req.params.tag);
+
+      const db = this.dbInstance.useDatabase(
+        process.env.DB_NAME,
+        process.env.DB_USERNAME,
+        process.env.DB_PASSWORD
+      );
+
+      const photoIds = await this.replaceEverywhere(
+        db,
+        photographerId,
+        tag,
+        (tags) => tags.filter((value) => value !== tag)
+      );
+
+      if (photoIds.length > 0) {
+        console.log(`🏷️  Removed tag "${tag}" from ${photoIds.length} photos`);
+        eventEmitter.emitPhotoEvent("tags-removed", {
+          photographerId,
+          tag,
+          photoIds,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Tag removed from ${photoIds.length} photos`,
+        photoIds,
+      });
+    } catch (error) {
+      console.error("Delete tag error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete tag",
+        error: error.message,
+      });
+    } finally {
+      this.dbInstance.closeConnection();
+    }
+  }
+}
+
+module.exports = TagService;
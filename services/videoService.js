@@ -0,0 +1,168 @@
+const { execFile } = require("child_process");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const ffmpegPath = require("ffmpeg-static");
+const ffprobe = require("ffprobe-static");
+
+/**
+ * Video Service - Metadata and poster frames of uploaded video clips
+ *
+ * Uses the ffmpeg and ffprobe binaries bundled by ffmpeg-static and
+ * ffprobe-static; FFMPEG_PATH / FFPROBE_PATH point at other ones.
+ * Each call is killed after VIDEO_TOOL_TIMEOUT_MS (default 120000).
+ */
+class VideoService {
+  constructor() {
+    this.ffmpegPath = process.env.FFMPEG_PATH || ffmpegPath;
+    this.ffprobePath = process.env.FFPROBE_PATH || ffprobe.path;
+    this.timeout = parseInt(process.env.VIDEO_TOOL_TIMEOUT_MS) || 120000;
+    // Seconds into the clip the poster is taken from (earlier for short clips)
+    this.posterOffset = parseFloat(process.env.VIDEO_POSTER_OFFSET) || 1;
+  }
+
+  /**
+   * Run a bundled tool and collect its stdout
+   * @returns {Promise<Buffer>}
+   */
+  run(command, args) {
+    if (!command) {
+      return Promise.reject(
+        new Error("No ffmpeg binary for this platform: set FFMPEG_PATH")
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      execFile(
+        command,
+        args,
+        {
+          encoding: "buffer",
+          maxBuffer: 32 * 1024 * 1024,
+          timeout: this.timeout,
+        },
+        (error, stdout, stderr) => {
+          if (error) {
+            const reason = stderr.toString().trim().split("\n").pop();
+            return reject(
+              new Error(
+                `${path.basename(command)} failed: ${reason || error.message}`
+              )
+            );
+          }
+          resolve(stdout);
+        }
+      );
+    });
+  }
+
+  /**
+   * Rotation (degrees) a player applies to the video stream
+   */
+  static rotationOf(stream) {
+    const displayMatrix = (stream.side_data_list || []).find(
+      (data) => data.rotation !== undefined
+    );
+
+    return (
+      parseInt(displayMatrix ? displayMatrix.rotation : stream.tags?.rotate) ||
+      0
+    );
+  }
+
+  /**
+   * Duration and displayed resolution of a video file
+   * @returns {Promise<{duration: number|null, width: number, height: number,
+   *   codec: string, hasAudio: boolean}>}
+   */
+  async probe(filePath) {
+    const output = await this.run(this.ffprobePath, [
+      "-v",
+      "error",
+      "-print_format",
+      "json",
+      "-show_format",
+      "-show_streams",
+      filePath,
+    ]);
+    const info = JSON.parse(output.toString());
+    const streams = info.streams || [];
+    const video = streams.find((stream) => stream.codec_type === "video");
+
+    if (!video) {
+      throw new Error("No video stream found");
+    }
+
+    // Phones record portrait clips as rotated landscape streams
+    const sideways = Math.abs(VideoService.rotationOf(video)) % 180 === 90;
+    const duration = parseFloat(info.format?.duration || video.duration);
+
+    return {
+      duration: Number.isFinite(duration) ? duration : null,
+      width: sideways ? video.height : video.width,
+      height: sideways ? video.width : video.height,
+      codec: video.codec_name,
+      hasAudio: streams.some((stream) => stream.codec_type === "audio"),
+    };
+  }
+
+  /**
+   * One frame of a video file as JPEG (ffmpeg applies the rotation)
+   * @returns {Promise<Buffer>} empty if there is no frame at that time
+   */
+  extractFrame(filePath, seconds) {
+    return this.run(this.ffmpegPath, [
+      "-v",
+      "error",
+      "-ss",
+      String(seconds),
+      "-i",
+      filePath,
+      "-frames:v",
+      "1",
+      "-f",
+      "image2pipe",
+      "-vcodec",
+      "mjpeg",
+      "-q:v",
+      "2",
+      "pipe:1",
+    ]);
+  }
+
+  /**
+   * Metadata and poster frame of an uploaded clip. The tools need a
+   * seekable file, so the clip is written to a temporary directory first.
+   * @param {Buffer} buffer - Video file contents
+   * @returns {Promise<{duration: number|null, width: number, height: number,
+   *   codec: string, hasAudio: boolean, poster: Buffer}>}
+   */
+  async analyze(buffer) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "video-"));
+    const filePath = path.join(dir, "clip");
+
+    try {
+      await fs.writeFile(filePath, buffer);
+
+      const info = await this.probe(filePath);
+      const offset = info.duration
+        ? Math.min(this.posterOffset, info.duration / 2)
+        : 0;
+
+      let poster = await this.extractFrame(filePath, offset);
+      if (poster.length === 0 && offset > 0) {
+        poster = await this.extractFrame(filePath, 0);
+      }
+
+      if (poster.length === 0) {
+        throw new Error("Could not extract a poster frame");
+      }
+
+      return { ...info, poster };
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = VideoService;
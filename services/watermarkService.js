@@ -0,0 +1,366 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const StorageService = require("./storageService");
+const RenditionService = require("./renditionService");
+
+const WATERMARK_TYPES = ["text", "image"];
+const WATERMARK_POSITIONS = [
+  "center",
+  "top-left",
+  "top-right",
+  "bottom-left",
+  "bottom-right",
+  "tiled",
+];
+
+const DEFAULT_WATERMARK = {
+  enabled: true,
+  type: "text",
+  text: "PROOF",
+  position: "center",
+  opacity: 0.4, // 0 - 1
+  scale: 0.3, // watermark width as a fraction of the photo width
+};
+
+/**
+ * Watermark Service - Proof watermarks for client-facing photo delivery
+ *
+ * A collection's watermark config lives on PhotoCollection.watermark. While it
+ * is enabled and the collection isn't marked final (PhotoCollection.isFinal),
+ * clients get watermarked copies; stored originals are never modified.
+ * Watermarked copies are cached in storage per config and recorded in the
+ * photo's renditions map as "wm-<configHash>-<size>". Videos are only
+ * delivered as their watermarked poster frame until the collection is final.
+ */
+class WatermarkService {
+  constructor() {
+    this.storage = new StorageService();
+    this.renditionService = new RenditionService();
+  }
+
+  /**
+   * Merge a (partial) config with the defaults
+   */
+  normalizeConfig(config = {}) {
+    const merged = { ...DEFAULT_WATERMARK };
+
+    for (const field of Object.keys(DEFAULT_WATERMARK).concat("logoKey")) {
+      if (config[field] !== undefined && config[field] !== null) {
+        merged[field] = config[field];
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Watermark config to apply for a collection row, or null if the collection
+   * is delivered clean (no watermark, disabled, or marked final)
+   */
+  activeConfig(collection) {
+    if (!collection || collection.isFinal || !collection.watermark) {
+      return null;
+    }
+
+    const config = this.normalizeConfig(collection.watermark);
+    return config.enabled ? config : null;
+  }
+
+  /**
+   * Watermark to apply when a client views a photo. A photo can be in more
+   * than one collection shared with the client; if any of them is delivered
+   * clean, the client already has clean access.
+   */
+  async getClientConfig(db, photoId, clientUsername) {
+    const collections = await db.query(
+      `SELECT watermark, isFinal FROM PhotoCollection
+       WHERE isActive = true
+       AND scheduledDeletionDate IS NULL
+       AND @rid IN (
+         SELECT out FROM CollectionPhoto
+         WHERE in IN (SELECT FROM Photo WHERE photoId = :photoId)
+       )
+       AND @rid IN (
+         SELECT out FROM CollectionAccess
+         WHERE in IN (SELECT FROM Client WHERE username = :clientUsername)
+       )`,
+      { params: { photoId, clientUsername } }
+    );
+
+    const configs = collections.map((c) => this.activeConfig(c));
+    if (configs.length === 0 || configs.some((config) => !config)) {
+      return null;
+    }
+
+    return configs[0];
+  }
+
+  /**
+   * Short stable hash identifying what a config renders
+   */
+  configHash(config) {
+    const { type, text, logoKey, position, opacity, scale } = config;
+
+    return crypto
+      .createHash("sha1")
+      .update(JSON.stringify([type, text, logoKey, position, opacity, scale]))
+      .digest("hex")
+      .slice(0, 12);
+  }
+
+  renditionName(config, size) {
+    return `wm-${this.configHash(config)}-${size}`;
+  }
+
+  /**
+   * Storage key of a watermarked copy of a photo, rendering and caching it
+   * on first use
+   * @param {object} db - Open database session
+   * @param {object} photo - Photo row (photoId, photographerId, storageKey,
+   *                         thumbnailKey, renditions)
+   * @param {string} size - Rendition name or "original"
+   * @param {object} config - Active watermark config
+   */
+  async resolve(db, photo, size, config) {
+    const name = this.renditionName(config, size);
+    const cached = photo.renditions && photo.renditions[name];
+
+    if (cached && (await this.storage.statObject(cached))) {
+      return { key: cached, contentType: "image/jpeg" };
+    }
+
+    const key = await this.renditionService.once(
+      `${photo.photoId}:${name}`,
+      async () => {
+        // A video's full-size stand-in is its poster frame; the clip itself
+        // can't be watermarked
+        const source =
+          size === "original"
+            ? { key: RenditionService.imageSourceOf(photo) }
+            : await this.renditionService.resolve(db, photo, size);
+        const buffer = await this.storage.getObject(source.key);
+        const key = StorageService.photoKey(
+          photo.photographerId || "unassigned",
+          photo.photoId,
+          name
+        );
+
+        await this.storage.putObject(key, await this.apply(buffer, config), {
+          contentType: "image/jpeg",
+        });
+        await this.renditionService.record(db, photo.photoId, { [name]: key });
+
+        return key;
+      }
+    );
+
+    return { key, contentType: "image/jpeg" };
+  }
+
+  /**
+   * Storage key of what a client should be served for a photo: a watermarked
+   * copy while any proof watermark applies, the plain rendition otherwise
+   */
+  async resolveForClient(db, photo, size, clientUsername) {
+    const config = await this.getClientConfig(
+      db,
+      photo.photoId,
+      clientUsername
+    );
+
+    return config
+      ? this.resolve(db, photo, size, config)
+      : this.renditionService.resolve(db, photo, size);
+  }
+
+  /**
+   * Thumbnail as base64 for JSON listings, watermarked when a config is
+   * given. Returns null if it can't be read.
+   */
+  async getThumbnailBase64(db, photo, config) {
+    if (!config) {
+      return this.storage.getObjectBase64(photo.thumbnailKey);
+    }
+
+    try {
+      const { key } = await this.resolve(db, photo, "thumb", config);
+      return await this.storage.getObjectBase64(key);
+    } catch (error) {
+      console.error(
+        `Failed to watermark thumbnail of ${photo.photoId}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Render the watermark onto an image
+   * @returns {Promise<Buffer>} JPEG
+   */
+  async apply(buffer, config) {
+    const metadata = await sharp(buffer).metadata();
+
+    // Orientations 5-8 are rotated by 90°, which swaps the displayed size
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const overlay = await this.buildOverlay(config, width, height);
+    const layer =
+      config.position === "tiled"
+        ? { input: overlay.buffer, tile: true }
+        : {
+            input: overlay.buffer,
+            ...this.placement(config.position, width, height, overlay),
+          };
+
+    return sharp(buffer)
+      .rotate()
+      .composite([layer])
+      .jpeg({ quality: 85 })
+      .toBuffer();
+  }
+
+  /**
+   * Build the watermark image (PNG with transparency) for a photo size
+   */
+  async buildOverlay(config, width, height) {
+    const markWidth = Math.max(
+      1,
+      Math.min(width, Math.round(width * config.scale))
+    );
+    const opacity = Math.min(Math.max(Number(config.opacity), 0), 1);
+
+    let image;
+
+    if (config.type === "image" && config.logoKey) {
+      const logo = await this.storage.getObject(config.logoKey);
+
+      // Multiply the logo's own alpha by the configured opacity
+      image = sharp(
+        await sharp(logo)
+          .resize(markWidth, height, { fit: "inside" })
+          .ensureAlpha()
+          .png()
+          .toBuffer()
+      ).composite([
+        {
+          input: Buffer.from([255, 255, 255, Math.round(opacity * 255)]),
+          raw: { width: 1, height: 1, channels: 4 },
+          tile: true,
+          blend: "dest-in",
+        },
+      ]);
+    } else {
+      const text = String(config.text || DEFAULT_WATERMARK.text);
+      const fontSize = Math.max(
+        8,
+        Math.floor(markWidth / (Math.max(text.length, 1) * 0.7))
+      );
+      const markHeight = Math.min(height, Math.ceil(fontSize * 1.4));
+
+      image = sharp(
+        Buffer.from(
+          `<svg xmlns="http://www.w3.org/2000/svg" width="${markWidth}" height="${markHeight}">
+            <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle"
+              textLength="${Math.round(
+                markWidth * 0.95
+              )}" lengthAdjust="spacingAndGlyphs"
+              font-family="sans-serif" font-weight="bold" font-size="${fontSize}"
+              fill="#ffffff" fill-opacity="${opacity}"
+              stroke="#000000" stroke-opacity="${opacity / 2}"
+              stroke-width="${Math.max(1, fontSize / 30)}">${this.escapeXml(
+            text
+          )}</text>
+          </svg>`
+        )
+      );
+    }
+
+    // Tiles need some space between them
+    if (config.position === "tiled") {
+      const gap = Math.round(markWidth * 0.25);
+      image = sharp(await image.png().toBuffer()).extend({
+        top: gap,
+        bottom: gap,
+        left: gap,
+        right: gap,
+        background: { r: 0, g: 0, b: 0, alpha: 0 },
+      });
+    }
+
+    const { data, info } = await image
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height };
+  }
+
+  placement(position, width, height, overlay) {
+    const margin = Math.round(Math.min(width, height) * 0.03);
+    const right = Math.max(0, width - overlay.width - margin);
+    const bottom = Math.max(0, height - overlay.height - margin);
+
+    switch (position) {
+      case "top-left":
+        return { left: margin, top: margin };
+      case "top-right":
+        return { left: right, top: margin };
+      case "bottom-left":
+        return { left: margin, top: bottom };
+      case "bottom-right":
+        return { left: right, top: bottom };
+      default:
+        return {
+          left: Math.max(0, Math.round((width - overlay.width) / 2)),
+          top: Math.max(0, Math.round((height - overlay.height) / 2)),
+        };
+    }
+  }
+
+  escapeXml(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+
+  /**
+   * Delete cached watermarked copies made with a config that no longer
+   * applies to a collection
+   */
+  async purgeCollection(db, collectionId, config) {
+    const prefix = `wm-${this.configHash(config)}-`;
+    const photos = await db.query(
+      `SELECT photoId, renditions FROM Photo
+       WHERE @rid IN (
+         SELECT in FROM CollectionPhoto
+         WHERE out IN (SELECT FROM PhotoCollection WHERE collectionId = :collectionId)
+       )`,
+      { params: { collectionId } }
+    );
+
+    for (const photo of photos) {
+      const stale = Object.entries(
+        RenditionService.keysOf(photo.renditions)
+      ).filter(([name]) => name.startsWith(prefix));
+
+      if (stale.length === 0) continue;
+
+      await this.renditionService.deleteKeys(stale.map(([, key]) => key));
+      await this.renditionService.record(
+        db,
+        photo.photoId,
+        Object.fromEntries(stale.map(([name]) => [name, null]))
+      );
+    }
+  }
+}
+
+WatermarkService.TYPES = WATERMARK_TYPES;
+WatermarkService.POSITIONS = WATERMARK_POSITIONS;
+WatermarkService.DEFAULTS = DEFAULT_WATERMARK;
+
+module.exports = WatermarkService;
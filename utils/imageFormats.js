@@ -0,0 +1,198 @@
+const path = require("path");
+
+/**
+ * Utility functions for the image and video formats accepted on upload
+ */
+
+// Keyed by the format name we detect from the file bytes.
+// "web" formats are delivered as uploaded; the rest get a JPEG derivative.
+const IMAGE_FORMATS = {
+  jpeg: { mimetype: "image/jpeg", extension: "jpg", web: true },
+  png: { mimetype: "image/png", extension: "png", web: true },
+  webp: { mimetype: "image/webp", extension: "webp", web: true },
+  gif: { mimetype: "image/gif", extension: "gif", web: false },
+  avif: { mimetype: "image/avif", extension: "avif", web: false },
+  heic: { mimetype: "image/heic", extension: "heic", web: false },
+  tiff: { mimetype: "image/tiff", extension: "tif", web: false },
+};
+
+// Video clips are stored as uploaded and get a poster frame instead of a
+// web version (see VideoService)
+const VIDEO_FORMATS = {
+  mp4: { mimetype: "video/mp4", extension: "mp4", web: true },
+  mov: { mimetype: "video/quicktime", extension: "mov", web: false },
+};
+
+const MEDIA_FORMATS = { ...IMAGE_FORMATS, ...VIDEO_FORMATS };
+
+// Mimetypes browsers and phones actually send for those formats
+const MIMETYPE_ALIASES = {
+  "image/jpg": "jpeg",
+  "image/pjpeg": "jpeg",
+  "image/heif": "heic",
+  "image/heic-sequence": "heic",
+  "image/heif-sequence": "heic",
+  "image/tif": "tiff",
+  "image/x-tiff": "tiff",
+  "video/x-m4v": "mp4",
+  "video/mov": "mov",
+};
+
+const EXTENSION_ALIASES = {
+  jpg: "jpeg",
+  jpeg: "jpeg",
+  jpe: "jpeg",
+  png: "png",
+  webp: "webp",
+  gif: "gif",
+  avif: "avif",
+  heic: "heic",
+  heif: "heic",
+  tif: "tiff",
+  tiff: "tiff",
+  mp4: "mp4",
+  m4v: "mp4",
+  mov: "mov",
+  qt: "mov",
+};
+
+// ISO-BMFF brands (bytes 8-12) of HEIC files
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1"];
+
+// ...and of MP4 files
+const MP4_BRANDS = [
+  "isom",
+  "iso2",
+  "iso4",
+  "iso5",
+  "iso6",
+  "mp41",
+  "mp42",
+  "avc1",
+  "M4V ",
+  "M4VP",
+  "mmp4",
+  "dash",
+];
+
+// Top-level atoms QuickTime files without an ftyp box may start with
+const QUICKTIME_ATOMS = ["moov", "mdat", "wide"];
+
+/**
+ * Format name for a mimetype, or null if it isn't supported
+ * @param {string} mimetype
+ * @returns {string|null}
+ */
+function formatOfMimetype(mimetype) {
+  const type = (mimetype || "").toLowerCase();
+  const format = Object.keys(MEDIA_FORMATS).find(
+    (name) => MEDIA_FORMATS[name].mimetype === type
+  );
+
+  return format || MIMETYPE_ALIASES[type] || null;
+}
+
+/**
+ * Format name for a filename extension, or null if it isn't supported
+ * @param {string} filename
+ * @returns {string|null}
+ */
+function formatOfFilename(filename) {
+  const extension = path
+    .extname(filename || "")
+    .slice(1)
+    .toLowerCase();
+
+  return EXTENSION_ALIASES[extension] || null;
+}
+
+/**
+ * Is a format name one of the video formats?
+ * @param {string} format
+ * @returns {boolean}
+ */
+function isVideoFormat(format) {
+  return Boolean(format && VIDEO_FORMATS[format]);
+}
+
+/**
+ * Should an upload be accepted? Some clients send HEIC/AVIF files as
+ * application/octet-stream, so the extension is checked for those.
+ * @param {object} file - Multer file (mimetype, originalname)
+ * @returns {boolean}
+ */
+function isSupportedUpload(file) {
+  if (formatOfMimetype(file.mimetype)) return true;
+
+  return (
+    file.mimetype === "application/octet-stream" &&
+    formatOfFilename(file.originalname) !== null
+  );
+}
+
+/**
+ * Detect the real format of an image or video from its bytes
+ * @param {Buffer} buffer - File contents
+ * @param {object} [metadata] - sharp metadata, if it could be read
+ * @returns {string|null} format name (see IMAGE_FORMATS and VIDEO_FORMATS)
+ */
+function detectFormat(buffer, metadata) {
+  // sharp reports both AVIF and HEIC as "heif"; the compression tells them apart
+  if (metadata && metadata.format === "heif") {
+    return metadata.compression === "av1" ? "avif" : "heic";
+  }
+
+  if (metadata && IMAGE_FORMATS[metadata.format]) {
+    return metadata.format;
+  }
+
+  if (buffer.length >= 12 && buffer.toString("ascii", 4, 8) === "ftyp") {
+    const brand = buffer.toString("ascii", 8, 12);
+    if (brand === "avif" || brand === "avis") return "avif";
+    if (HEIC_BRANDS.includes(brand)) return "heic";
+    if (brand === "qt  ") return "mov";
+    if (MP4_BRANDS.includes(brand)) return "mp4";
+  }
+
+  if (
+    buffer.length >= 8 &&
+    QUICKTIME_ATOMS.includes(buffer.toString("ascii", 4, 8))
+  ) {
+    return "mov";
+  }
+
+  return null;
+}
+
+/**
+ * Download filename whose extension matches the file actually delivered,
+ * e.g. ("IMG_0042.HEIC", "image/jpeg") -> "IMG_0042.jpg"
+ * @param {string} originalName - Name the file was uploaded with
+ * @param {string} mimetype - Type of the delivered file
+ * @returns {string}
+ */
+function downloadFilename(originalName, mimetype) {
+  const format = formatOfMimetype(mimetype) || "jpeg";
+  const name = originalName || "photo";
+
+  if (formatOfFilename(name) === format) {
+    return name;
+  }
+
+  const base = formatOfFilename(name)
+    ? name.slice(0, -path.extname(name).length)
+    : name;
+
+  return `${base}.${MEDIA_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  VIDEO_FORMATS,
+  formatOfMimetype,
+  formatOfFilename,
+  isVideoFormat,
+  isSupportedUpload,
+  detectFormat,
+  downloadFilename,
+};
@@ -0,0 +1,36 @@
+/**
+ * Utility functions for photo tags
+ */
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_PHOTO = 50;
+
+/**
+ * Clean up a single tag: trimmed, inner whitespace collapsed
+ * @param {string} tag
+ * @returns {string} empty if nothing is left
+ */
+function normalizeTag(tag) {
+  return String(tag ?? "")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Clean up a tag list (array or comma separated string): every tag
+ * normalized, empty ones dropped, each kept once. Tags are matched
+ * exactly, so "Wedding" and "wedding" are different tags.
+ * @returns {Array<string>}
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? "").split(",");
+
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_PHOTO,
+  normalizeTag,
+  normalizeTags,
+};
@@ -0,0 +1,187 @@
+const { pipeline } = require("stream");
+
+/**
+ * Send a blob storage object as a binary HTTP response, with conditional
+ * and partial request support:
+ *   - strong ETag, If-None-Match -> 304 Not Modified
+ *   - single Range requests (bytes=a-b, bytes=a-, bytes=-n) -> 206 / 416
+ *   - If-Range, so a resumed download never mixes two versions of a file
+ */
+
+// Photos are behind authentication, so only the browser may cache them, and
+// it must revalidate (cheaply, via ETag) once max-age is up
+const DEFAULT_CACHE_CONTROL = `private, max-age=${
+  parseInt(process.env.PHOTO_CACHE_MAX_AGE) || 300
+}, must-revalidate`;
+
+/**
+ * Content-Disposition header value for any filename. Header values must be
+ * Latin-1, so the real name goes in filename* (RFC 6266, UTF-8
+ * percent-encoded) and filename= gets an ASCII fallback for old clients.
+ * @param {string} disposition - "inline" or "attachment"
+ * @param {string} filename
+ * @returns {string}
+ */
+function contentDisposition(disposition, filename) {
+  const fallback = String(filename)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]/g, "_")
+    .replace(/["\\]/g, "\\$&");
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Check an If-None-Match header against an ETag
+ * @param {string} header - Raw If-None-Match value
+ * @param {string} etag - Quoted strong ETag
+ * @returns {boolean}
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+
+  // Weak comparison is correct for If-None-Match
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .includes(etag);
+}
+
+/**
+ * Parse a Range header for an object of the given size
+ * @param {string} header - Raw Range value
+ * @param {number} size - Object size in bytes
+ * @returns {{start: number, end: number}|null|-1} the inclusive range,
+ *   null to ignore the header (send everything) or -1 if unsatisfiable
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+
+  // Missing, malformed or multi-range headers are ignored (full 200 response)
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2]);
+    if (suffix === 0) return -1;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return -1;
+
+  return { start, end };
+}
+
+/**
+ * Stream a stored object to the response
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {StorageService} storage - Storage the object lives in
+ * @param {string} key - Storage key
+ * @param {object} options
+ * @param {string} options.contentType - Content-Type of the object
+ * @param {string} [options.filename] - Sets Content-Disposition when given
+ * @param {string} [options.disposition] - "inline" (default) or "attachment"
+ * @param {string} [options.cacheControl] - Overrides the default Cache-Control
+ * @param {Function} [options.beforeFirstByte] - Awaited before a body that
+ *   starts at the object's first byte (200, or 206 from byte 0; not HEAD),
+ *   e.g. to count a download once while resumed chunks and 304s don't.
+ *   When it resolves false it has answered the request and nothing is sent
+ * @returns {Promise<boolean>} false if the object doesn't exist (nothing sent)
+ */
+async function sendStoredObject(req, res, storage, key, options = {}) {
+  const stat = key ? await storage.statObject(key) : null;
+  if (!stat) return false;
+
+  const etag = `"${stat.etag}"`;
+  const notModified = etagMatches(req.headers["if-none-match"], etag);
+
+  // If-Range: only honor the Range when the client still has this version
+  const ifRange = req.headers["if-range"];
+  const range =
+    !notModified && (!ifRange || ifRange.trim() === etag)
+      ? parseRange(req.headers.range, stat.size)
+      : null;
+
+  if (
+    options.beforeFirstByte &&
+    !notModified &&
+    range !== -1 &&
+    (!range || range.start === 0) &&
+    req.method !== "HEAD" &&
+    !(await options.beforeFirstByte())
+  ) {
+    return true;
+  }
+
+  res.setHeader("ETag", etag);
+  res.setHeader("Last-Modified", new Date(stat.lastModified).toUTCString());
+  res.setHeader("Cache-Control", options.cacheControl || DEFAULT_CACHE_CONTROL);
+  res.setHeader("Accept-Ranges", "bytes");
+
+  if (notModified) {
+    res.status(304).end();
+    return true;
+  }
+
+  res.setHeader("Content-Type", options.contentType || "image/jpeg");
+  if (options.filename) {
+    res.setHeader(
+      "Content-Disposition",
+      contentDisposition(options.disposition || "inline", options.filename)
+    );
+  }
+
+  if (range === -1) {
+    res.setHeader("Content-Range", `bytes */${stat.size}`);
+    res.status(416).end();
+    return true;
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader(
+      "Content-Range",
+      `bytes ${range.start}-${range.end}/${stat.size}`
+    );
+    res.setHeader("Content-Length", range.end - range.start + 1);
+  } else {
+    res.status(200);
+    res.setHeader("Content-Length", stat.size);
+  }
+
+  if (req.method === "HEAD" || stat.size === 0) {
+    res.end();
+    return true;
+  }
+
+  const stream = await storage.getObjectStream(key, range || {});
+
+  pipeline(stream, res, (error) => {
+    if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error(`Error streaming ${key}:`, error.message);
+    }
+  });
+
+  return true;
+}
+
+module.exports = {
+  sendStoredObject,
+  contentDisposition,
+  parseRange,
+  etagMatches,
+};
@@ -0,0 +1,19 @@
+/**
+ * Utility for running several statements as one OrientDB transaction
+ */
+
+/**
+ * Run statements in a single transaction (an SQL batch script). Either all
+ * of them are applied or none; conflicting writes are retried a few times.
+ * @param {object} db - Open database session
+ * @param {Array<string>} statements - SQL statements, without semicolons
+ * @param {object} params - Named parameters shared by the statements
+ */
+async function runInTransaction(db, statements, params = {}) {
+  return db.query(`BEGIN;\n${statements.join(";\n")};\nCOMMIT RETRY 3;`, {
+    class: "s",
+    params,
+  });
+}
+
+module.exports = { runInTransaction };